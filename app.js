@@ -0,0 +1,35 @@
+const express = require('express');
+const cors = require('cors');
+const apiRoutes = require('./routes');
+const docsRoutes = require('./routes/docsRoutes');
+const { getStorage } = require('./utils/storage');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+
+const app = express();
+// Needed for correct client IPs (rate limiting, sessions) behind a reverse proxy
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+app.use(cors());
+// Deck imports parse their own, larger bodies (see routes/flashcardRoutes.js)
+const isDeckImport = (req) => req.method === 'POST' && /^\/api\/flashcards\/decks\/(?:[^/]+\/)?import\/?$/.test(req.path);
+const jsonBody = express.json();
+app.use((req, res, next) => (isDeckImport(req) ? next() : jsonBody(req, res, next)));
+
+apiRoutes.forEach(({ path, router }) => app.use(path, router));
+
+// OpenAPI document and interactive explorer
+app.use('/api/docs', docsRoutes);
+
+// Uploaded card media, when stored on local disk
+const { publicDir } = getStorage();
+if (publicDir) {
+  app.use('/uploads', express.static(publicDir, {
+    setHeaders: (res) => res.set('X-Content-Type-Options', 'nosniff')
+  }));
+}
+
+// Every error leaves through the same envelope (see utils/errors)
+app.use(notFound);
+app.use(errorHandler);
+
+module.exports = app;
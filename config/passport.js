@@ -0,0 +1,41 @@
+// Google OAuth 2.0 redirect flow (GET /api/auth/google). Only registered when
+// GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET are both set; the ID-token
+// endpoint (POST /api/auth/google-signin) works without it.
+const passport = require('passport');
+const { Strategy: GoogleStrategy } = require('passport-google-oauth20');
+const { resolveSocialUser } = require('../utils/identities');
+const audit = require('../utils/audit');
+
+const isGoogleOAuthEnabled = () => !!(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET);
+
+if (isGoogleOAuthEnabled()) {
+  passport.use(new GoogleStrategy({
+    clientID: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    callbackURL: `${process.env.APP_URL || 'http://localhost:8000'}/api/auth/google/callback`,
+    passReqToCallback: true
+  }, async (req, accessToken, refreshToken, googleProfile, done) => {
+    try {
+      const email = googleProfile.emails?.[0];
+      if (!email) return done(null, false, { message: 'Google account has no email address' });
+
+      const { user, conflict, created } = await resolveSocialUser({
+        provider: 'google',
+        subject: googleProfile.id,
+        email: email.value,
+        emailVerified: !!email.verified,
+        name: googleProfile.displayName
+      });
+      if (conflict) {
+        await audit.record(req, 'auth.social_login_conflict', { actor: null, metadata: { provider: 'google', email: email.value } });
+        return done(null, false, { message: 'An account with this email already exists' });
+      }
+      if (created) await audit.record(req, 'auth.register', { actor: user, target: user, targetType: 'User', metadata: { provider: 'google' } });
+      done(null, user);
+    } catch (err) {
+      done(err);
+    }
+  }));
+}
+
+module.exports = { passport, isGoogleOAuthEnabled };
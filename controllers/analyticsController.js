@@ -0,0 +1,297 @@
+const mongoose = require('mongoose');
+const Classroom = require('../models/Classroom');
+const Deck = require('../models/Deck');
+const Flashcard = require('../models/Flashcard');
+const ErrorCard = require('../models/ErrorCard');
+const ReviewLog = require('../models/ReviewLog');
+const ReviewState = require('../models/ReviewState');
+const User = require('../models/User');
+const { canEditDeck, canViewDeck } = require('../utils/deckAccess');
+const { toCsv } = require('../utils/csv');
+const { dayKey, computeStreaks } = require('../utils/streaks');
+const { displayName } = require('../utils/users');
+const { MASTERY_INTERVAL_DAYS } = require('../utils/reviews');
+const { ForbiddenError, NotFoundError } = require('../utils/errors');
+
+const { ObjectId } = mongoose.Types;
+
+// ?from=&to= (validated by validators/analytics) as a Mongo date condition
+const dateRange = (query) => {
+  const range = {};
+  if (query.from) range.$gte = new Date(query.from);
+  if (query.to) range.$lte = new Date(query.to);
+  return range;
+};
+
+const withRange = (field, range) => (Object.keys(range).length ? { [field]: range } : {});
+
+const send = (req, res, filename, columns, rows, body) => {
+  if (req.query.format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    return res.send(toCsv(columns, rows));
+  }
+  res.json(body);
+};
+
+// Self, admins, and teachers of a class the student belongs to
+const canViewStudent = async (user, studentId) => {
+  if (user.role === 'admin' || user._id.equals(studentId)) return true;
+  if (user.role !== 'teacher') return false;
+  return !!(await Classroom.exists({ teacher: user._id, students: studentId }));
+};
+
+const classIsVisible = (user, classroom) =>
+  user.role === 'admin' || !!classroom.teacher?.equals(user._id);
+
+// Hardest cards in a deck by error rate (errors / max(reviews, errors))
+exports.getHardestCards = async (req, res) => {
+  const range = dateRange(req.query);
+  const limit = req.query.limit ? Number(req.query.limit) : 20;
+
+  const deck = await Deck.findById(req.params.deckId);
+  if (!deck) throw new NotFoundError('Deck not found');
+
+  // Deck owners see everyone; class teachers see only their class, and only for
+  // a deck they can view that is assigned to that class
+  const match = { deckId: deck._id };
+  let classroom;
+  if (req.query.classId) {
+    classroom = await Classroom.findById(req.query.classId);
+    if (!classroom || !classIsVisible(req.user, classroom)) throw new NotFoundError('Class not found');
+    match.userId = { $in: classroom.students };
+  }
+  const assignedToClass = !!classroom &&
+    classroom.assignments.some((assignment) => assignment.deckId && assignment.deckId.equals(deck._id));
+  if (!canEditDeck(req.user, deck) && !(assignedToClass && await canViewDeck(req.user, deck))) {
+    throw new ForbiddenError('Not authorized to view analytics for this deck');
+  }
+
+  const [reviews, errors] = await Promise.all([
+    ReviewLog.aggregate([
+      { $match: { ...match, ...withRange('reviewedAt', range) } },
+      { $group: { _id: '$flashcardId', reviews: { $sum: 1 }, students: { $addToSet: '$userId' } } }
+    ]),
+    ErrorCard.aggregate([
+      { $match: { ...match, ...withRange('timestamp', range) } },
+      { $group: { _id: '$flashcardId', errors: { $sum: 1 }, students: { $addToSet: '$userId' } } }
+    ])
+  ]);
+
+  const stats = new Map();
+  reviews.forEach((row) => stats.set(row._id.toString(), { reviews: row.reviews, errors: 0, students: row.students }));
+  errors.forEach((row) => {
+    const entry = stats.get(row._id.toString()) || { reviews: 0, errors: 0, students: [] };
+    entry.errors = row.errors;
+    entry.students = [...new Set([...entry.students, ...row.students].map(String))];
+    stats.set(row._id.toString(), entry);
+  });
+
+  const cards = await Flashcard.find({ deckId: deck._id }).select('question answer').lean();
+  const rows = cards
+    .map((card) => {
+      const entry = stats.get(card._id.toString()) || { reviews: 0, errors: 0, students: [] };
+      const attempts = Math.max(entry.reviews, entry.errors);
+      return {
+        flashcardId: card._id,
+        question: card.question,
+        answer: card.answer,
+        attempts,
+        errors: entry.errors,
+        errorRate: attempts ? Number((entry.errors / attempts).toFixed(3)) : 0,
+        students: entry.students.length
+      };
+    })
+    .filter((row) => row.attempts > 0)
+    .sort((a, b) => b.errorRate - a.errorRate || b.errors - a.errors)
+    .slice(0, limit);
+
+  send(req, res, `hardest-cards-${deck._id}`, [
+    ['flashcardId', 'flashcardId'], ['question', 'question'], ['answer', 'answer'],
+    ['attempts', 'attempts'], ['errors', 'errors'], ['errorRate', 'errorRate'], ['students', 'students']
+  ], rows, { deck: { _id: deck._id, title: deck.title }, cards: rows });
+};
+
+// A student's accuracy and activity per day or week
+exports.getStudentActivity = async (req, res) => {
+  const { userId } = req.params;
+  if (!(await canViewStudent(req.user, userId))) throw new NotFoundError('Student not found');
+
+  const range = dateRange(req.query);
+  if (!range.$gte) range.$gte = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+  const unit = req.query.interval === 'week' ? 'week' : 'day';
+
+  const student = await User.findById(userId).select('preferences');
+  if (!student) throw new NotFoundError('Student not found');
+  const timezone = student.preferences?.timezone || 'UTC';
+  const match = { userId: new ObjectId(userId) };
+  if (req.query.deckId) match.deckId = new ObjectId(req.query.deckId);
+  const bucket = (field) => ({ $dateTrunc: { date: field, unit, timezone } });
+
+  const [reviews, errors] = await Promise.all([
+    ReviewLog.aggregate([
+      { $match: { ...match, reviewedAt: range } },
+      {
+        $group: {
+          _id: bucket('$reviewedAt'),
+          reviews: { $sum: 1 },
+          correct: { $sum: { $cond: [{ $gte: ['$grade', 3] }, 1, 0] } },
+          cards: { $addToSet: '$flashcardId' }
+        }
+      }
+    ]),
+    ErrorCard.aggregate([
+      { $match: { ...match, timestamp: range } },
+      { $group: { _id: bucket('$timestamp'), errors: { $sum: 1 } } }
+    ])
+  ]);
+
+  const periods = new Map();
+  const periodFor = (date) => {
+    const key = date.toISOString();
+    if (!periods.has(key)) periods.set(key, { period: date, reviews: 0, correct: 0, errors: 0, cardsStudied: 0 });
+    return periods.get(key);
+  };
+  reviews.forEach((row) => Object.assign(periodFor(row._id), {
+    reviews: row.reviews,
+    correct: row.correct,
+    cardsStudied: row.cards.length
+  }));
+  errors.forEach((row) => { periodFor(row._id).errors = row.errors; });
+
+  const series = [...periods.values()]
+    .sort((a, b) => a.period - b.period)
+    .map((row) => ({ ...row, accuracy: row.reviews ? Number((row.correct / row.reviews).toFixed(3)) : null }));
+  const totals = series.reduce((sum, row) => ({
+    reviews: sum.reviews + row.reviews,
+    correct: sum.correct + row.correct,
+    errors: sum.errors + row.errors
+  }), { reviews: 0, correct: 0, errors: 0 });
+  totals.accuracy = totals.reviews ? Number((totals.correct / totals.reviews).toFixed(3)) : null;
+
+  send(req, res, `student-activity-${userId}`, [
+    ['period', 'period'], ['reviews', 'reviews'], ['correct', 'correct'],
+    ['accuracy', 'accuracy'], ['errors', 'errors'], ['cardsStudied', 'cardsStudied']
+  ], series.map((row) => ({ ...row, period: row.period.toISOString() })), { userId, interval: unit, timezone, totals, series });
+};
+
+// Distinct study days per user (reviews and error cards), as streaks. One
+// pipeline covers every user, with each day taken in the user's own timezone.
+const studyStreaks = async (userIds) => {
+  const users = await User.find({ _id: { $in: userIds } }).select('name firstName lastName email preferences').lean();
+  if (!users.length) return [];
+
+  const timezoneOf = (user) => user.preferences?.timezone || 'UTC';
+  const idsByTimezone = new Map();
+  users.forEach((user) => {
+    const zone = timezoneOf(user);
+    idsByTimezone.set(zone, [...(idsByTimezone.get(zone) || []), user._id]);
+  });
+  const timezone = {
+    $switch: {
+      branches: [...idsByTimezone].map(([zone, ids]) => ({ case: { $in: ['$userId', ids] }, then: zone })),
+      default: 'UTC'
+    }
+  };
+
+  const match = { $match: { userId: { $in: users.map((user) => user._id) } } };
+  const rows = await ReviewLog.aggregate([
+    match,
+    { $project: { userId: 1, at: '$reviewedAt' } },
+    { $unionWith: { coll: ErrorCard.collection.name, pipeline: [match, { $project: { userId: 1, at: '$timestamp' } }] } },
+    { $group: { _id: { userId: '$userId', day: { $dateToString: { date: '$at', format: '%Y-%m-%d', timezone } } } } },
+    { $group: { _id: '$_id.userId', days: { $push: '$_id.day' } } }
+  ]);
+  const daysByUser = new Map(rows.map((row) => [row._id.toString(), row.days]));
+
+  return users.map((user) => {
+    const zone = timezoneOf(user);
+    const days = daysByUser.get(user._id.toString()) || [];
+    return { userId: user._id, name: displayName(user), timezone: zone, ...computeStreaks(days, dayKey(new Date(), zone)) };
+  });
+};
+
+// A student's current and longest study streak, in their timezone
+exports.getStudentStreak = async (req, res) => {
+  const { userId } = req.params;
+  if (!(await canViewStudent(req.user, userId))) throw new NotFoundError('Student not found');
+
+  const [streaks] = await studyStreaks([new ObjectId(userId)]);
+  if (!streaks) throw new NotFoundError('Student not found');
+  res.json(streaks);
+};
+
+// Class streak overview
+exports.getClassStreaks = async (req, res) => {
+  const rows = await studyStreaks(req.classroom.students);
+  rows.sort((a, b) => b.current - a.current || b.longest - a.longest);
+
+  send(req, res, `class-streaks-${req.classroom._id}`, [
+    ['userId', 'userId'], ['name', 'name'], ['current', 'currentStreak'],
+    ['longest', 'longestStreak'], ['lastActiveDay', 'lastActiveDay'], ['activeDays', 'activeDays']
+  ], rows, { classroom: { _id: req.classroom._id, name: req.classroom.name }, students: rows });
+};
+
+// Mastery of each assigned deck across the class roster
+exports.getClassMastery = async (req, res) => {
+  const classroom = req.classroom;
+  const deckIds = classroom.assignments.map((assignment) => assignment.deckId);
+  const range = dateRange(req.query);
+
+  const [decks, cardCounts, progress, students] = await Promise.all([
+    Deck.find({ _id: { $in: deckIds } }).select('title').lean(),
+    Flashcard.aggregate([
+      { $match: { deckId: { $in: deckIds } } },
+      { $group: { _id: '$deckId', count: { $sum: 1 } } }
+    ]),
+    ReviewState.aggregate([
+      {
+        $match: {
+          deckId: { $in: deckIds },
+          userId: { $in: classroom.students },
+          ...withRange('lastReviewedAt', range)
+        }
+      },
+      {
+        $group: {
+          _id: { deckId: '$deckId', userId: '$userId' },
+          studied: { $sum: 1 },
+          mastered: { $sum: { $cond: [{ $gte: ['$interval', MASTERY_INTERVAL_DAYS] }, 1, 0] } }
+        }
+      }
+    ]),
+    User.find({ _id: { $in: classroom.students } }).select('name firstName lastName email').lean()
+  ]);
+
+  const totals = new Map(cardCounts.map((row) => [row._id.toString(), row.count]));
+  const byPair = new Map(progress.map((row) => [`${row._id.deckId}:${row._id.userId}`, row]));
+
+  const rows = [];
+  const summary = decks.map((deck) => {
+    const cardCount = totals.get(deck._id.toString()) || 0;
+    const perStudent = students.map((student) => {
+      const entry = byPair.get(`${deck._id}:${student._id}`) || { studied: 0, mastered: 0 };
+      const row = {
+        deckId: deck._id,
+        deck: deck.title,
+        userId: student._id,
+        student: displayName(student),
+        cardCount,
+        studied: entry.studied,
+        mastered: entry.mastered,
+        mastery: cardCount ? Number((entry.mastered / cardCount).toFixed(3)) : 0
+      };
+      rows.push(row);
+      return row;
+    });
+    const average = perStudent.length
+      ? Number((perStudent.reduce((sum, row) => sum + row.mastery, 0) / perStudent.length).toFixed(3))
+      : 0;
+    return { deckId: deck._id, title: deck.title, cardCount, averageMastery: average, students: perStudent };
+  });
+
+  send(req, res, `class-mastery-${classroom._id}`, [
+    ['deckId', 'deckId'], ['deck', 'deck'], ['userId', 'userId'], ['student', 'student'],
+    ['cardCount', 'cardCount'], ['studied', 'studied'], ['mastered', 'mastered'], ['mastery', 'mastery']
+  ], rows, { classroom: { _id: classroom._id, name: classroom.name }, masteryIntervalDays: MASTERY_INTERVAL_DAYS, decks: summary });
+};
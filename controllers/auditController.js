@@ -0,0 +1,52 @@
+const AuditLog = require('../models/AuditLog');
+const { record, getRetentionDays, setRetentionDays, MIN_RETENTION_DAYS, DEFAULT_RETENTION_DAYS } = require('../utils/audit');
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Admin: Query audit entries, newest first.
+// Filters: actor, action (exact, or a prefix like "deck.*"), targetType, targetId, ip, from, to
+exports.listAuditLogs = async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+  const filter = {};
+
+  for (const field of ['actor', 'targetId']) {
+    if (req.query[field] !== undefined) filter[field] = req.query[field];
+  }
+  if (req.query.action) {
+    const action = String(req.query.action);
+    filter.action = action.endsWith('*') ? new RegExp(`^${escapeRegex(action.slice(0, -1))}`) : action;
+  }
+  if (req.query.targetType) filter.targetType = String(req.query.targetType);
+  if (req.query.ip) filter.ip = String(req.query.ip);
+  if (req.query.from || req.query.to) {
+    filter.createdAt = {};
+    if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+    if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+  }
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter).sort({ createdAt: -1, _id: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+    AuditLog.countDocuments(filter)
+  ]);
+  res.json({ entries, page, limit, total, pages: Math.ceil(total / limit) });
+};
+
+// Admin: Current retention period
+exports.getRetention = async (req, res) => {
+  res.json({ retentionDays: await getRetentionDays(), defaultRetentionDays: DEFAULT_RETENTION_DAYS, minRetentionDays: MIN_RETENTION_DAYS });
+};
+
+// Admin: Change how long audit entries are kept
+exports.updateRetention = async (req, res) => {
+  const days = req.body.retentionDays;
+
+  const previous = await getRetentionDays();
+  await setRetentionDays(days, req.user);
+  await record(req, 'audit.retention_update', {
+    targetType: 'Setting',
+    before: { retentionDays: previous },
+    after: { retentionDays: days }
+  });
+  res.json({ retentionDays: days });
+};
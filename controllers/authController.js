@@ -1,122 +1,312 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-const { OAuth2Client } = require('google-auth-library');
-const nodemailer = require('nodemailer');
-
-const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
-const generateToken = (id) => jwt.sign({ id }, process.env.JWT_SECRET, { expiresIn: '7d' });
-
-const sendEmail = async (to, subject, text) => {
-  const transporter = nodemailer.createTransport({
-    service: 'Gmail',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS,
-    },
-  });
+const { createSession, rotateRefreshToken, revokeSession, revokeAllSessions } = require('../utils/sessions');
+const {
+  MAX_CHALLENGE_ATTEMPTS,
+  createChallengeToken,
+  verifyChallengeToken,
+  verifyTotp,
+  consumeBackupCode,
+} = require('../utils/twoFactor');
 
-  await transporter.sendMail({
-    from: `"Your App Name" <${process.env.EMAIL_USER}>`,
-    to,
-    subject,
-    text,
-  });
+const { sendTemplate } = require('../utils/sendEmail');
+const { newGuestIdentity } = require('../utils/guests');
+const { verifyIdToken, findUserByIdentity, addIdentity, resolveSocialUser } = require('../utils/identities');
+const { OTP_TTL_MS, issueOtp, canResendOtp, consumeOtp, issueResetToken, consumeResetToken } = require('../utils/otp');
+const { readVerificationToken, sendVerificationEmail } = require('../utils/emailVerification');
+const audit = require('../utils/audit');
+const { serializeUser } = require('../utils/users');
+const { UnauthorizedError, ConflictError, ValidationError } = require('../utils/errors');
+
+// Issue tokens, or a 2FA challenge when the account needs a second step
+const completeLogin = async (user, req, method) => {
+  if (user.twoFactorEnabled) {
+    await audit.record(req, 'auth.login_challenge', { actor: user, target: user, targetType: 'User', metadata: { method } });
+    const { challengeToken, challengeId } = createChallengeToken(user._id);
+    await User.updateOne({ _id: user._id }, { twoFactorChallengeId: challengeId, twoFactorChallengeAttempts: 0 });
+    return { twoFactorRequired: true, challengeToken };
+  }
+  const { token, refreshToken } = await createSession(user, req);
+  await audit.record(req, 'auth.login', { actor: user, target: user, targetType: 'User', metadata: { method } });
+  return { token, refreshToken, user: serializeUser(user) };
 };
 
+const emailTaken = () => new ConflictError('An account with this email already exists', { code: 'EMAIL_TAKEN' });
+
 exports.register = async (req, res) => {
-  try {
-    const { name, email, password, role } = req.body;
-    const hashed = await bcrypt.hash(password, 10);
-    const user = await User.create({ name, email, password: hashed, role });
-    const token = generateToken(user._id);
-    res.status(201).json({ token, user });
-  } catch (err) {
-    res.status(400).json({ error: 'User already exists or invalid data' });
-  }
+  const { name, firstName, lastName, email, password, role } = req.body;
+  if (await User.exists({ email })) throw emailTaken();
+
+  const user = await User.create({ name, firstName, lastName, email, password, role });
+  const { token, refreshToken } = await createSession(user, req);
+  await audit.record(req, 'auth.register', {
+    actor: user,
+    target: user,
+    targetType: 'User',
+    after: audit.snapshot(user, ['email', 'role'])
+  });
+  res.status(201).json({ token, refreshToken, user: serializeUser(user) });
+
+  // Registration already succeeded; a mail outage shouldn't fail it
+  Promise.all([
+    sendTemplate(email, 'welcome', { name: firstName || name }),
+    sendVerificationEmail(user)
+  ]).catch((mailErr) => console.error('❌ Failed to send registration emails:', mailErr));
 };
 
+// Compared against when the account doesn't exist, so both paths cost a bcrypt check
+const DUMMY_HASH = bcrypt.hashSync('not-a-real-password', 10);
+const GENERIC_OTP_MESSAGE = 'If an account exists for that email, a code has been sent';
+
 exports.login = async (req, res) => {
   const { email, password } = req.body;
-  const user = await User.findOne({ email });
-  if (!user) return res.status(404).json({ error: 'User not found' });
+  const user = await User.findOne({ email }).select('+password');
 
-  const isMatch = await bcrypt.compare(password, user.password);
-  if (!isMatch) return res.status(401).json({ error: 'Invalid credentials' });
+  const isMatch = user ? await user.comparePassword(password) : await bcrypt.compare(password, DUMMY_HASH);
+  if (!user || !isMatch) {
+    await audit.record(req, 'auth.login_failed', {
+      actor: user || null,
+      target: user,
+      targetType: 'User',
+      metadata: { email: email.slice(0, 254), reason: user ? 'bad_password' : 'unknown_email' }
+    });
+    throw new UnauthorizedError('Invalid email or password', { code: 'INVALID_CREDENTIALS' });
+  }
 
-  const token = generateToken(user._id);
-  res.status(200).json({ token, user });
+  res.status(200).json(await completeLogin(user, req, 'password'));
 };
 
 exports.sendOtp = async (req, res) => {
   const { email } = req.body;
-  const otp = Math.floor(100000 + Math.random() * 900000).toString();
-  const otpExpiresAt = Date.now() + 10 * 60 * 1000;
+  const user = await User.findOne({ email });
 
-  const user = await User.findOneAndUpdate({ email }, { otp, otpExpiresAt });
-  if (!user) return res.status(404).json({ error: 'User not found' });
+  if (user && user.role !== 'guest' && canResendOtp(user)) {
+    const otp = await issueOtp(user);
+    await user.save();
+    await sendTemplate(email, 'otp', { name: user.firstName || user.name, otp, expiresInMinutes: OTP_TTL_MS / 60000 });
+  }
 
-  await sendEmail(email, 'Your OTP Code', `Your OTP is ${otp}`);
-  res.json({ message: 'OTP sent to your email' });
+  res.json({ message: GENERIC_OTP_MESSAGE });
 };
 
+const invalidOtp = () => new ValidationError('Invalid or expired OTP', { code: 'INVALID_OTP' });
+
+// Consumes the OTP and returns a single-use reset token for resetPassword
 exports.verifyOtp = async (req, res) => {
   const { email, otp } = req.body;
-  const user = await User.findOne({ email, otp });
+  const user = await User.findOne({ email });
 
-  if (!user || Date.now() > user.otpExpiresAt)
-    return res.status(400).json({ error: 'Invalid or expired OTP' });
+  const valid = user ? await consumeOtp(user, otp) : false;
+  if (!valid) {
+    if (user) await user.save();
+    throw invalidOtp();
+  }
 
-  res.json({ message: 'OTP verified' });
+  const resetToken = issueResetToken(user);
+  await user.save();
+  res.json({ message: 'OTP verified', resetToken });
 };
 
+// Accepts either the resetToken from verifyOtp or the OTP itself
 exports.resetPassword = async (req, res) => {
-  const { email, otp, newPassword } = req.body;
-  const user = await User.findOne({ email, otp });
-
-  if (!user || Date.now() > user.otpExpiresAt)
-    return res.status(400).json({ error: 'Invalid or expired OTP' });
+  const { email, otp, resetToken, newPassword } = req.body;
+  const user = await User.findOne({ email });
+  let valid = false;
+  if (user) {
+    valid = resetToken ? consumeResetToken(user, resetToken) : await consumeOtp(user, otp);
+  }
+  if (!valid) {
+    if (user) await user.save();
+    throw invalidOtp();
+  }
 
-  const hashed = await bcrypt.hash(newPassword, 10);
-  user.password = hashed;
-  user.otp = null;
-  user.otpExpiresAt = null;
+  user.password = newPassword;
   await user.save();
+  await revokeAllSessions(user._id);
+  await audit.record(req, 'auth.password_reset', {
+    actor: user,
+    target: user,
+    targetType: 'User',
+    metadata: { via: resetToken ? 'reset_token' : 'otp', sessionsRevoked: true }
+  });
 
+  sendTemplate(email, 'passwordReset', { name: user.firstName || user.name })
+    .catch((mailErr) => console.error('❌ Failed to send password reset notice:', mailErr));
   res.json({ message: 'Password reset successful' });
 };
 
 exports.guestLogin = async (req, res) => {
-  const guestId = `Guest${Date.now()}`;
-  const email = `${guestId.toLowerCase()}@guest.com`;
-  let user = await User.findOne({ email });
+  const user = await User.create({ ...newGuestIdentity(), password: '', role: 'guest' });
+  const { token, refreshToken } = await createSession(user, req);
+  await audit.record(req, 'auth.guest_login', { actor: user, target: user, targetType: 'User' });
+  res.status(200).json({ token, refreshToken, user: serializeUser(user) });
+};
+
+const socialLoginFailed = () => new ValidationError('Google sign-in failed', { code: 'INVALID_ID_TOKEN' });
 
-  if (!user) {
-    user = await User.create({ name: guestId, email, password: '', role: 'guest' });
+// Upgrade the signed-in guest to a student in place, keeping its id and progress.
+// Accepts { email, password, name } or a Google { tokenId }.
+exports.convertGuest = async (req, res) => {
+  if (req.user.role !== 'guest') {
+    throw new ConflictError('Only guest accounts can be converted', { code: 'NOT_A_GUEST' });
+  }
+
+  const { tokenId, password, name, firstName, lastName } = req.body;
+  let email = req.body.email;
+  let emailVerified = false;
+  let displayName = name;
+
+  let profile;
+  if (tokenId) {
+    profile = await verifyIdToken('google', tokenId);
+    if (!profile) throw socialLoginFailed();
+    if (await findUserByIdentity(profile.provider, profile.subject)) {
+      throw new ConflictError('This Google account is already linked to another user', { code: 'IDENTITY_TAKEN' });
+    }
+    email = profile.email;
+    emailVerified = profile.emailVerified;
+    displayName = displayName || profile.name;
   }
 
-  const token = generateToken(user._id);
-  res.status(200).json({ token, user });
+  if (await User.exists({ email, _id: { $ne: req.user._id } })) throw emailTaken();
+
+  const user = await User.findById(req.user._id);
+  const before = audit.snapshot(user, ['role', 'email', 'isEmailVerified']);
+  user.role = 'student';
+  user.email = email;
+  user.isEmailVerified = emailVerified;
+  user.guestExpiresAt = undefined;
+  if (displayName) user.name = displayName;
+  if (firstName) user.firstName = firstName;
+  if (lastName) user.lastName = lastName;
+  if (profile) addIdentity(user, profile);
+  else user.password = password;
+  await user.save();
+  await audit.record(req, 'auth.guest_convert', {
+    target: user,
+    targetType: 'User',
+    before,
+    after: audit.snapshot(user, ['role', 'email', 'isEmailVerified']),
+    metadata: { method: profile ? profile.provider : 'password' }
+  });
+
+  res.json({ message: 'Account created', user: serializeUser(user) });
+  if (!emailVerified) {
+    sendVerificationEmail(user).catch((mailErr) => console.error('❌ Failed to send verification email:', mailErr));
+  }
 };
 
+const ACCOUNT_EXISTS_MESSAGE =
+  'An account with this email already exists. Sign in with your password and link Google from your account settings.';
+
 exports.googleSignIn = async (req, res) => {
-  try {
-    const { tokenId } = req.body;
-    const ticket = await client.verifyIdToken({
-      idToken: tokenId,
-      audience: process.env.GOOGLE_CLIENT_ID,
-    });
+  const profile = await verifyIdToken('google', req.body.tokenId);
+  if (!profile) throw socialLoginFailed();
 
-    const { name, email } = ticket.getPayload();
-    let user = await User.findOne({ email });
+  const { user, conflict, created } = await resolveSocialUser(profile);
+  if (conflict) {
+    await audit.record(req, 'auth.social_login_conflict', { actor: null, metadata: { provider: profile.provider, email: profile.email } });
+    throw new ConflictError(ACCOUNT_EXISTS_MESSAGE, { code: 'EMAIL_TAKEN' });
+  }
+  if (created) await audit.record(req, 'auth.register', { actor: user, target: user, targetType: 'User', metadata: { provider: profile.provider } });
+
+  res.status(200).json(await completeLogin(user, req, profile.provider));
+};
 
-    if (!user) {
-      user = await User.create({ name, email, password: '', role: 'student' });
+// Server-side OAuth redirect flow; passport has already resolved req.user
+exports.googleCallback = async (req, res) => {
+  const target = new URL(process.env.OAUTH_SUCCESS_REDIRECT || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/auth/callback`);
+  try {
+    if (!req.user) {
+      target.hash = new URLSearchParams({ error: req.authInfo?.message || 'Google sign-in failed' }).toString();
+      return res.redirect(target.toString());
     }
+    const result = await completeLogin(req.user, req, 'google');
+    const fragment = result.twoFactorRequired
+      ? { twoFactorRequired: 'true', challengeToken: result.challengeToken }
+      : { token: result.token, refreshToken: result.refreshToken };
+    // Tokens go in the fragment so they never reach server logs or Referer headers
+    target.hash = new URLSearchParams(fragment).toString();
+    res.redirect(target.toString());
+  } catch (err) {
+    target.hash = new URLSearchParams({ error: 'Google sign-in failed' }).toString();
+    res.redirect(target.toString());
+  }
+};
+
+// Second login step: exchange a 2FA challenge plus a TOTP or backup code for tokens
+exports.verifyTwoFactor = async (req, res) => {
+  const { challengeToken, token: code, backupCode } = req.body;
+  const invalidChallenge = () => new UnauthorizedError('Invalid or expired challenge', { code: 'INVALID_CHALLENGE' });
+  const challenge = verifyChallengeToken(challengeToken);
+  if (!challenge) throw invalidChallenge();
 
-    const token = generateToken(user._id);
-    res.status(200).json({ token, user });
-  } catch (error) {
-    res.status(400).json({ error: 'Google sign-in failed' });
+  // Claim one of the challenge's guesses up front, so parallel attempts count too;
+  // once they are used up the challenge is dead and the user must sign in again
+  const user = await User.findOneAndUpdate({
+    _id: challenge.userId,
+    twoFactorEnabled: true,
+    twoFactorChallengeId: challenge.challengeId,
+    twoFactorChallengeAttempts: { $lt: MAX_CHALLENGE_ATTEMPTS }
+  }, { $inc: { twoFactorChallengeAttempts: 1 } }, { new: true });
+  if (!user) throw invalidChallenge();
+
+  const method = backupCode ? 'backup_code' : 'totp';
+  const failed = () => audit.record(req, 'auth.2fa_failed', { actor: user, target: user, targetType: 'User', metadata: { method } });
+  if (backupCode) {
+    if (!consumeBackupCode(user, backupCode)) {
+      await failed();
+      throw new UnauthorizedError('Invalid backup code', { code: 'INVALID_2FA_CODE' });
+    }
+  } else if (!verifyTotp(user.twoFactorSecret, code)) {
+    await failed();
+    throw new UnauthorizedError('Invalid 2FA code', { code: 'INVALID_2FA_CODE' });
   }
+
+  // Challenges are single-use
+  const consumed = await User.updateOne(
+    { _id: user._id, twoFactorChallengeId: challenge.challengeId },
+    { $unset: { twoFactorChallengeId: 1 }, twoFactorChallengeAttempts: 0 }
+  );
+  if (!consumed.modifiedCount) throw invalidChallenge();
+  if (backupCode) await user.save();
+
+  const { token, refreshToken } = await createSession(user, req);
+  await audit.record(req, 'auth.login', { actor: user, target: user, targetType: 'User', metadata: { method: `2fa_${method}` } });
+  res.status(200).json({ token, refreshToken, user: serializeUser(user), backupCodesRemaining: user.twoFactorBackupCodes.length });
+};
+
+exports.verifyEmail = async (req, res) => {
+  const invalidLink = () => new ValidationError('Invalid or expired verification link', { code: 'INVALID_VERIFICATION_TOKEN' });
+  const claims = readVerificationToken(req.query.token);
+  if (!claims) throw invalidLink();
+
+  const user = await User.findOneAndUpdate(
+    { _id: claims.id, email: claims.email },
+    { isEmailVerified: true },
+    { new: true }
+  );
+  if (!user) throw invalidLink();
+
+  await audit.record(req, 'auth.email_verified', { actor: user, target: user, targetType: 'User', metadata: { email: user.email } });
+  res.json({ message: 'Email verified' });
+};
+
+exports.resendVerification = async (req, res) => {
+  if (req.user.isEmailVerified) throw new ConflictError('Email is already verified', { code: 'ALREADY_VERIFIED' });
+  await sendVerificationEmail(req.user);
+  res.json({ message: 'Verification email sent' });
+};
+
+exports.refreshToken = async (req, res) => {
+  const tokens = await rotateRefreshToken(req.body.refreshToken, req);
+  if (!tokens) throw new UnauthorizedError('Invalid or expired refresh token', { code: 'INVALID_REFRESH_TOKEN' });
+
+  res.json({ token: tokens.token, refreshToken: tokens.refreshToken });
+};
+
+exports.logout = async (req, res) => {
+  await revokeSession(req.user._id, req.user.sessionId);
+  await audit.record(req, 'auth.logout', { target: req.user, targetType: 'User' });
+  res.json({ message: 'Logged out' });
 };
@@ -0,0 +1,219 @@
+const Classroom = require('../models/Classroom');
+const Deck = require('../models/Deck');
+const User = require('../models/User');
+const Flashcard = require('../models/Flashcard');
+const ReviewState = require('../models/ReviewState');
+const { canViewDeck } = require('../utils/deckAccess');
+const { randomCode } = require('../utils/codes');
+const { isTeacherOf } = require('../middleware/classroomMiddleware');
+const { NotFoundError, ConflictError, invalidField } = require('../utils/errors');
+const { serializeUser, viewSelect } = require('../utils/users');
+
+const JOIN_CODE_LENGTH = 6;
+
+const uniqueJoinCode = async () => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = randomCode(JOIN_CODE_LENGTH);
+    if (!(await Classroom.exists({ joinCode: code }))) return code;
+  }
+  throw new Error('Could not generate a unique join code');
+};
+
+// Teacher/Admin: Create a class
+exports.createClassroom = async (req, res) => {
+  const { name, description } = req.body;
+  const classroom = await Classroom.create({
+    name,
+    description,
+    teacher: req.user._id,
+    joinCode: await uniqueJoinCode()
+  });
+  res.status(201).json(classroom);
+};
+
+// Classes the caller teaches or attends (admins may pass ?all=true)
+exports.listClassrooms = async (req, res) => {
+  const filter = req.user.role === 'admin' && req.query.all === 'true'
+    ? {}
+    : { $or: [{ teacher: req.user._id }, { students: req.user._id }] };
+  if (req.query.archived !== 'true') filter.archived = false;
+
+  const classes = await Classroom.find(filter)
+    .sort({ createdAt: -1 })
+    .populate('teacher', 'name firstName lastName')
+    .lean();
+
+  res.json(classes.map((classroom) => {
+    const teaches = req.user.role === 'admin' || !!classroom.teacher?._id.equals(req.user._id);
+    const { students, joinCode, ...rest } = classroom;
+    return teaches
+      ? { ...rest, joinCode, studentCount: students.length }
+      : { ...rest, studentCount: students.length };
+  }));
+};
+
+// Class details; the roster and join code are for the teacher only
+exports.getClassroom = async (req, res) => {
+  // Admins get the admin view of each student, the teacher the teacher-of view
+  const view = req.user.role === 'admin' ? 'admin' : 'teacher';
+  const classroom = await req.classroom.populate([
+    { path: 'teacher', select: 'name firstName lastName' },
+    { path: 'students', select: viewSelect(view) },
+    { path: 'assignments.deckId', select: 'title description visibility' }
+  ]);
+  const data = classroom.toObject();
+
+  if (req.user.role !== 'admin' && !isTeacherOf(req.user, req.classroom)) {
+    delete data.joinCode;
+    data.studentCount = data.students.length;
+    delete data.students;
+  } else {
+    data.students = data.students.map((student) => serializeUser(student, view));
+  }
+  res.json(data);
+};
+
+// Teacher/Admin: Rename or describe a class
+exports.updateClassroom = async (req, res) => {
+  const { name, description } = req.body;
+  if (name !== undefined) req.classroom.name = name;
+  if (description !== undefined) req.classroom.description = description;
+  await req.classroom.save();
+  res.json(req.classroom);
+};
+
+// Teacher/Admin: Issue a new join code, invalidating the old one
+exports.regenerateJoinCode = async (req, res) => {
+  req.classroom.joinCode = await uniqueJoinCode();
+  await req.classroom.save();
+  res.json({ joinCode: req.classroom.joinCode });
+};
+
+// Student: Join a class with its code
+exports.joinClassroom = async (req, res) => {
+  const code = String(req.body.joinCode || '').trim().toUpperCase();
+  const classroom = await Classroom.findOneAndUpdate(
+    { joinCode: code, archived: false, teacher: { $ne: req.user._id } },
+    { $addToSet: { students: req.user._id } },
+    { new: true }
+  ).populate('teacher', 'name firstName lastName');
+  if (!classroom) throw new NotFoundError('Invalid join code');
+
+  const { students, joinCode, ...data } = classroom.toObject();
+  res.json({ ...data, studentCount: students.length });
+};
+
+// Student: Leave a class
+exports.leaveClassroom = async (req, res) => {
+  await Classroom.updateOne({ _id: req.classroom._id }, { $pull: { students: req.user._id } });
+  res.json({ message: 'Left class' });
+};
+
+// Teacher/Admin: Remove a student from the roster
+exports.removeStudent = async (req, res) => {
+  const { studentId } = req.params;
+  const result = await Classroom.updateOne({ _id: req.classroom._id }, { $pull: { students: studentId } });
+  if (!result.modifiedCount) throw new NotFoundError('Student is not in this class');
+  res.json({ message: 'Student removed' });
+};
+
+// Teacher/Admin: Hand the class to another teacher
+exports.transferOwnership = async (req, res) => {
+  const { teacherId } = req.body;
+  const teacher = await User.findById(teacherId);
+  if (!teacher || teacher.role !== 'teacher') throw invalidField('teacherId', 'New owner must be a teacher');
+
+  req.classroom.teacher = teacher._id;
+  req.classroom.students.pull(teacher._id);
+  await req.classroom.save();
+  res.json(req.classroom);
+};
+
+// Teacher/Admin: Archive or restore a class
+exports.setArchived = async (req, res) => {
+  const archived = req.body.archived !== false;
+  req.classroom.archived = archived;
+  req.classroom.archivedAt = archived ? new Date() : undefined;
+  await req.classroom.save();
+  res.json(req.classroom);
+};
+
+// Teacher/Admin: Assign a deck to the class
+exports.assignDeck = async (req, res) => {
+  const { deckId, dueAt } = req.body;
+  const deck = await Deck.findById(deckId);
+  if (!deck || !(await canViewDeck(req.user, deck))) throw new NotFoundError('Deck not found');
+  if (deck.visibility === 'private') {
+    throw invalidField('deckId', 'Private decks cannot be assigned; make the deck class or public first');
+  }
+  if (req.classroom.assignments.some((assignment) => assignment.deckId.equals(deck._id))) {
+    throw new ConflictError('Deck is already assigned to this class');
+  }
+
+  req.classroom.assignments.push({ deckId: deck._id, dueAt, assignedBy: req.user._id });
+  await req.classroom.save();
+  res.status(201).json(req.classroom.assignments[req.classroom.assignments.length - 1]);
+};
+
+// Teacher/Admin: Change an assignment's due date
+exports.updateAssignment = async (req, res) => {
+  const assignment = req.classroom.assignments.id(req.params.assignmentId);
+  if (!assignment) throw new NotFoundError('Assignment not found');
+
+  assignment.dueAt = req.body.dueAt || undefined;
+  await req.classroom.save();
+  res.json(assignment);
+};
+
+// Teacher/Admin: Remove an assignment
+exports.removeAssignment = async (req, res) => {
+  const assignment = req.classroom.assignments.id(req.params.assignmentId);
+  if (!assignment) throw new NotFoundError('Assignment not found');
+
+  assignment.deleteOne();
+  await req.classroom.save();
+  res.json({ message: 'Assignment removed' });
+};
+
+// Student: Assignments across every active class, with study progress
+exports.getMyAssignments = async (req, res) => {
+  const classes = await Classroom.find({ students: req.user._id, archived: false })
+    .populate('assignments.deckId', 'title description')
+    .lean();
+
+  const deckIds = classes.flatMap((c) => c.assignments.filter((a) => a.deckId).map((a) => a.deckId._id));
+  const [cardCounts, studiedCounts] = await Promise.all([
+    Flashcard.aggregate([
+      { $match: { deckId: { $in: deckIds } } },
+      { $group: { _id: '$deckId', count: { $sum: 1 } } }
+    ]),
+    ReviewState.aggregate([
+      { $match: { userId: req.user._id, deckId: { $in: deckIds } } },
+      { $group: { _id: '$deckId', count: { $sum: 1 } } }
+    ])
+  ]);
+  const toMap = (rows) => new Map(rows.map((row) => [row._id.toString(), row.count]));
+  const totals = toMap(cardCounts);
+  const studied = toMap(studiedCounts);
+  const now = new Date();
+
+  const assignments = classes.flatMap((classroom) => classroom.assignments
+    .filter((assignment) => assignment.deckId)
+    .map((assignment) => {
+      const key = assignment.deckId._id.toString();
+      return {
+        _id: assignment._id,
+        classroom: { _id: classroom._id, name: classroom.name },
+        deck: assignment.deckId,
+        dueAt: assignment.dueAt,
+        assignedAt: assignment.assignedAt,
+        overdue: !!assignment.dueAt && assignment.dueAt < now,
+        cardCount: totals.get(key) || 0,
+        studiedCount: studied.get(key) || 0
+      };
+    }));
+
+  // Soonest due first; undated assignments last
+  assignments.sort((a, b) => (a.dueAt ? a.dueAt.getTime() : Infinity) - (b.dueAt ? b.dueAt.getTime() : Infinity));
+  res.json(assignments);
+};
@@ -0,0 +1,81 @@
+const Device = require('../models/Device');
+const Deck = require('../models/Deck');
+const Flashcard = require('../models/Flashcard');
+const { canViewDeck } = require('../utils/deckAccess');
+const { randomCode, hashCode } = require('../utils/codes');
+const { isConnected, pushCardToDevice, disconnectDevice } = require('../sockets/microbitGateway');
+const { NotFoundError, ConflictError } = require('../utils/errors');
+
+const PAIRING_CODE_LENGTH = 8;
+const PAIRING_TTL_MS = 10 * 60 * 1000;
+
+const present = (device) => ({ ...device.toJSON(), connected: isConnected(device._id) });
+
+const loadOwnDevice = async (req) => {
+  const device = await Device.findOne({ _id: req.params.deviceId, owner: req.user._id, status: { $ne: 'revoked' } });
+  if (!device) throw new NotFoundError('Device not found');
+  return device;
+};
+
+// Start pairing: the code is entered on the serial bridge as "PAIR <code> <hardwareId>"
+exports.startPairing = async (req, res) => {
+  const pairingCode = randomCode(PAIRING_CODE_LENGTH);
+  const device = await Device.create({
+    owner: req.user._id,
+    name: req.body.name,
+    pairingCodeHash: hashCode(pairingCode),
+    pairingExpiresAt: new Date(Date.now() + PAIRING_TTL_MS)
+  });
+  res.status(201).json({ device: present(device), pairingCode, expiresAt: device.pairingExpiresAt });
+};
+
+exports.listDevices = async (req, res) => {
+  const devices = await Device.find({ owner: req.user._id, status: 'paired' })
+    .sort({ pairedAt: -1 })
+    .populate('activeDeckId', 'title');
+  res.json(devices.map(present));
+};
+
+// Rename a device or choose the deck it studies
+exports.updateDevice = async (req, res) => {
+  const device = await loadOwnDevice(req);
+
+  const { name, activeDeckId } = req.body;
+  if (name !== undefined) device.name = name;
+  if (activeDeckId !== undefined) {
+    if (activeDeckId === null) {
+      device.activeDeckId = undefined;
+    } else {
+      const deck = await Deck.findById(activeDeckId);
+      if (!deck || !(await canViewDeck(req.user, deck))) throw new NotFoundError('Deck not found');
+      device.activeDeckId = deck._id;
+    }
+  }
+  await device.save();
+  res.json(present(device));
+};
+
+// Unpair: the device token stops working and any live connection is closed
+exports.revokeDevice = async (req, res) => {
+  const device = await loadOwnDevice(req);
+
+  device.status = 'revoked';
+  device.tokenHash = undefined;
+  device.pairingCodeHash = undefined;
+  await device.save();
+  disconnectDevice(device._id);
+  res.json({ message: 'Device unpaired' });
+};
+
+// Push one card's prompt to a connected device
+exports.pushCard = async (req, res) => {
+  const device = await loadOwnDevice(req);
+
+  const { flashcardId } = req.body;
+  const card = await Flashcard.findById(flashcardId);
+  const deck = card && await Deck.findById(card.deckId);
+  if (!card || !(await canViewDeck(req.user, deck))) throw new NotFoundError('Flashcard not found');
+
+  if (!pushCardToDevice(device._id, card)) throw new ConflictError('Device is not connected');
+  res.json({ message: 'Card sent to device' });
+};
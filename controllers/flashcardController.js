@@ -1,72 +1,301 @@
 const Deck = require('../models/Deck.js');
 const Flashcard = require('../models/Flashcard');
+const Note = require('../models/Note');
 const ErrorCard = require('../models/ErrorCard');
+const ReviewState = require('../models/ReviewState');
+const ReviewLog = require('../models/ReviewLog');
+const { canEditDeck, canViewDeck, visibleDeckFilter } = require('../utils/deckAccess');
+const { recordReview, getDueCards, DEFAULT_NEW_CARD_LIMIT } = require('../utils/reviews');
+const { applyCardContent } = require('../utils/cardContent');
+const { moveNoteCards } = require('../utils/notes');
+const { normalizeTags } = require('../utils/tags');
+const { resolveTopicIds, normalizeGradeLevels, subtreeIds } = require('../utils/taxonomy');
+const { readPage, listDeckPage } = require('../utils/deckListing');
+const audit = require('../utils/audit');
+const { ForbiddenError, NotFoundError, ConflictError, ValidationError, invalidField } = require('../utils/errors');
+const { recordReviewActivity, registerError } = require('../utils/progress');
 
-// Admin: Create deck
+// Fields recorded in audit entries
+const DECK_FIELDS = ['title', 'description', 'visibility', 'tags', 'topics', 'gradeLevels'];
+const CARD_FIELDS = ['deckId', 'question', 'answer', 'content', 'attachments', 'tags', 'isMicrobit'];
+
+const generatedCardError = (card) => new ConflictError('This card is generated from a note; edit the note instead', {
+  code: 'GENERATED_CARD',
+  details: { noteId: card.noteId }
+});
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const nextPosition = async (deckId) => {
+  const last = await Flashcard.findOne({ deckId }).sort({ position: -1 }).select('position');
+  return last ? last.position + 1 : 0;
+};
+
+// Teacher/Admin: Create deck
 exports.createDeck = async (req, res) => {
-  try {
-    const { title, description } = req.body;
-    const deck = new Deck({ title, description });
-    await deck.save();
-    res.status(201).json(deck);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
+  const { title, description, visibility } = req.body;
+  const { tags, error } = normalizeTags(req.body.tags);
+  if (error) throw invalidField('tags', error);
+  const { ids: topics, error: topicError } = await resolveTopicIds(req.body.topics);
+  if (topicError) throw invalidField('topics', topicError);
+  const { gradeLevels, error: gradeError } = normalizeGradeLevels(req.body.gradeLevels);
+  if (gradeError) throw invalidField('gradeLevels', gradeError);
+
+  const deck = new Deck({ title, description, visibility, tags, topics, gradeLevels, createdBy: req.user._id });
+  await deck.save();
+  await audit.record(req, 'deck.create', { target: deck, targetType: 'Deck', after: audit.snapshot(deck, DECK_FIELDS) });
+  res.status(201).json(deck);
 };
 
-// Admin: Add flashcard
+// Teacher/Admin: Add flashcard to an owned deck
 exports.addFlashcard = async (req, res) => {
-  try {
-    const { deckId, question, answer, isMicrobit } = req.body;
-    const card = new Flashcard({ deckId, question, answer, isMicrobit });
+  const position = await nextPosition(req.deck._id);
+  const card = new Flashcard({ deckId: req.deck._id, isMicrobit: req.body.isMicrobit, position });
+  const contentError = await applyCardContent(card, req.body, req.user);
+  if (contentError) throw new ValidationError(contentError);
+  await card.save();
+  await audit.record(req, 'card.create', { target: card, targetType: 'Flashcard', after: audit.snapshot(card, CARD_FIELDS) });
+  res.status(201).json(card);
+};
+
+// List decks visible to the caller, with search, tag/topic/grade filters and pagination
+exports.listDecks = async (req, res) => {
+  const filter = { $and: [await visibleDeckFilter(req.user)] };
+
+  if (req.query.q) {
+    const pattern = new RegExp(escapeRegex(req.query.q), 'i');
+    filter.$and.push({ $or: [{ title: pattern }, { description: pattern }] });
+  }
+  if (req.query.mine === 'true') filter.$and.push({ createdBy: req.user._id });
+  if (req.query.tags) {
+    const { tags, error } = normalizeTags(req.query.tags);
+    if (error) throw invalidField('tags', error, 'query');
+    if (tags.length) filter.$and.push({ tags: { $all: tags } });
+  }
+  if (req.query.topic) {
+    filter.$and.push({ topics: { $in: await subtreeIds(req.query.topic) } });
+  }
+  if (req.query.gradeLevel) filter.$and.push({ gradeLevels: String(req.query.gradeLevel) });
+
+  res.json(await listDeckPage(filter, readPage(req.query)));
+};
+
+// Get a single deck with card counts
+exports.getDeck = async (req, res) => {
+  const [cardCount, microbitCount] = await Promise.all([
+    Flashcard.countDocuments({ deckId: req.deck._id }),
+    Flashcard.countDocuments({ deckId: req.deck._id, isMicrobit: true })
+  ]);
+  res.json({ ...req.deck.toObject(), cardCount, microbitCount });
+};
+
+// Teacher/Admin: Update deck details
+exports.updateDeck = async (req, res) => {
+  const { title, description, visibility } = req.body;
+  const deck = req.deck;
+  const before = audit.snapshot(deck, DECK_FIELDS);
+  if (title !== undefined) deck.title = title;
+  if (description !== undefined) deck.description = description;
+  if (visibility !== undefined) deck.visibility = visibility;
+  if (req.body.tags !== undefined) {
+    const { tags, error } = normalizeTags(req.body.tags);
+    if (error) throw invalidField('tags', error);
+    deck.tags = tags;
+  }
+  if (req.body.topics !== undefined) {
+    const { ids, error } = await resolveTopicIds(req.body.topics);
+    if (error) throw invalidField('topics', error);
+    deck.topics = ids;
+  }
+  if (req.body.gradeLevels !== undefined) {
+    const { gradeLevels, error } = normalizeGradeLevels(req.body.gradeLevels);
+    if (error) throw invalidField('gradeLevels', error);
+    deck.gradeLevels = gradeLevels;
+  }
+  deck.updatedAt = Date.now();
+  await deck.save();
+  await audit.record(req, 'deck.update', { target: deck, targetType: 'Deck', before, after: audit.snapshot(deck, DECK_FIELDS) });
+  res.json(deck);
+};
+
+// Teacher/Admin: Delete deck along with its cards and study history
+exports.deleteDeck = async (req, res) => {
+  const deckId = req.deck._id;
+  await Promise.all([
+    Flashcard.deleteMany({ deckId }),
+    Note.deleteMany({ deckId }),
+    ErrorCard.deleteMany({ deckId }),
+    ReviewState.deleteMany({ deckId }),
+    ReviewLog.deleteMany({ deckId })
+  ]);
+  await req.deck.deleteOne();
+  await audit.record(req, 'deck.delete', { target: req.deck, targetType: 'Deck', before: audit.snapshot(req.deck, DECK_FIELDS) });
+  res.json({ message: 'Deck deleted' });
+};
+
+// Teacher/Admin: Set the order of every card in a deck
+exports.reorderFlashcards = async (req, res) => {
+  const { cardIds } = req.body;
+
+  const existing = await Flashcard.find({ deckId: req.deck._id }).select('_id');
+  const existingIds = new Set(existing.map((card) => card._id.toString()));
+  const requested = new Set(cardIds.map(String));
+  if (requested.size !== cardIds.length || requested.size !== existingIds.size ||
+      [...requested].some((id) => !existingIds.has(id))) {
+    throw invalidField('cardIds', 'cardIds must list every card in the deck exactly once');
+  }
+
+  await Flashcard.bulkWrite(cardIds.map((id, position) => ({
+    updateOne: { filter: { _id: id, deckId: req.deck._id }, update: { position } }
+  })));
+  const cards = await Flashcard.find({ deckId: req.deck._id }).sort({ position: 1 });
+  res.json(cards);
+};
+
+// Teacher/Admin: Update a flashcard
+exports.updateFlashcard = async (req, res) => {
+  const card = req.flashcard;
+  if (card.noteId) throw generatedCardError(card);
+  const before = audit.snapshot(card, CARD_FIELDS);
+  const contentError = await applyCardContent(card, req.body, req.user);
+  if (contentError) throw new ValidationError(contentError);
+  if (req.body.isMicrobit !== undefined) card.isMicrobit = req.body.isMicrobit;
+  await card.save();
+  await audit.record(req, 'card.update', { target: card, targetType: 'Flashcard', before, after: audit.snapshot(card, CARD_FIELDS) });
+  res.json(card);
+};
+
+// Teacher/Admin: Delete a flashcard and its study history
+exports.deleteFlashcard = async (req, res) => {
+  if (req.flashcard.noteId) throw generatedCardError(req.flashcard);
+  const flashcardId = req.flashcard._id;
+  await Promise.all([
+    ErrorCard.deleteMany({ flashcardId }),
+    ReviewState.deleteMany({ flashcardId }),
+    ReviewLog.deleteMany({ flashcardId })
+  ]);
+  await req.flashcard.deleteOne();
+  await audit.record(req, 'card.delete', { target: req.flashcard, targetType: 'Flashcard', before: audit.snapshot(req.flashcard, CARD_FIELDS) });
+  res.json({ message: 'Flashcard deleted' });
+};
+
+// Teacher/Admin: Move a flashcard to another deck (appended at the end).
+// A note's cards always move together.
+exports.moveFlashcard = async (req, res) => {
+  const target = await Deck.findById(req.body.deckId);
+  if (!target) throw new NotFoundError('Target deck not found');
+  if (!canEditDeck(req.user, target)) {
+    throw new ForbiddenError('Not authorized to modify the target deck');
+  }
+
+  const card = req.flashcard;
+  const moved = { target: card, targetType: 'Flashcard', before: { deckId: card.deckId }, after: { deckId: target._id } };
+  if (card.noteId && !card.deckId.equals(target._id)) {
+    const note = await Note.findById(card.noteId);
+    note.deckId = target._id;
+    await note.save();
+    const cards = await moveNoteCards(note, target._id);
+    await audit.record(req, 'card.move', { ...moved, metadata: { noteId: note._id, cards: cards.length } });
+    return res.json(cards.find((sibling) => sibling._id.equals(card._id)));
+  }
+  if (!card.deckId.equals(target._id)) {
+    card.deckId = target._id;
+    card.position = await nextPosition(target._id);
     await card.save();
-    res.status(201).json(card);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+
+    const update = { deckId: target._id };
+    await Promise.all([
+      ErrorCard.updateMany({ flashcardId: card._id }, update),
+      ReviewState.updateMany({ flashcardId: card._id }, update),
+      ReviewLog.updateMany({ flashcardId: card._id }, update)
+    ]);
+    await audit.record(req, 'card.move', moved);
   }
+  res.json(card);
 };
 
-// Student: Get all flashcards in a deck
+// Student: Get all flashcards in a deck, optionally of one card type
 exports.getDeckFlashcards = async (req, res) => {
-  try {
-    const { deckId } = req.params;
-    const cards = await Flashcard.find({ deckId });
-    res.json(cards);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+  const { deckId } = req.params;
+  const filter = { deckId };
+  if (req.query.type !== undefined) {
+    filter.cardType = req.query.type === 'basic' ? { $in: ['basic', null] } : req.query.type;
   }
+  const cards = await Flashcard.find(filter).sort({ position: 1, createdAt: 1 });
+  res.json(cards);
 };
 
 // Student: Get microbit cards
 exports.getMicrobitFlashcards = async (req, res) => {
-  try {
-    const { deckId } = req.params;
-    const cards = await Flashcard.find({ deckId, isMicrobit: true });
-    res.json(cards);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
+  const { deckId } = req.params;
+  const cards = await Flashcard.find({ deckId, isMicrobit: true }).sort({ position: 1, createdAt: 1 });
+  res.json(cards);
 };
 
-// Student: Add error card
+// Student: Add error card. `response` (or `selectedOption` for a
+// multiple-choice card) records what the student answered.
 exports.markErrorCard = async (req, res) => {
-  try {
-    const { userId, flashcardId, deckId } = req.body;
-    const error = new ErrorCard({ userId, flashcardId, deckId });
-    await error.save();
-    res.status(201).json(error);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+  const { flashcardId, selectedOption } = req.body;
+  const card = await Flashcard.findById(flashcardId);
+  // Cards in decks the caller can't see are reported as missing
+  if (!card || !await canViewDeck(req.user, await Deck.findById(card.deckId))) {
+    throw new NotFoundError('Flashcard not found');
+  }
+
+  let response = req.body.response;
+  if (selectedOption !== undefined) {
+    if (card.cardType !== 'multipleChoice' || !card.options[selectedOption]) {
+      throw invalidField('selectedOption', 'selectedOption must be the index of one of the card\'s options');
+    }
+    response = card.options[selectedOption];
   }
+
+  const error = new ErrorCard({
+    userId: req.user._id,
+    flashcardId: card._id,
+    deckId: card.deckId,
+    noteId: card.noteId,
+    cardType: card.cardType || 'basic',
+    response
+  });
+  await error.save();
+  await registerError(req.user, card);
+  res.status(201).json(error);
 };
 
-// Student: Get all error cards for user
+// Student: Get all error cards for user, optionally of one card type
 exports.getUserErrorCards = async (req, res) => {
-  try {
-    const { userId } = req.params;
-    const cards = await ErrorCard.find({ userId }).populate('flashcardId');
-    res.json(cards);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+  const { userId } = req.params;
+  const filter = { userId };
+  if (req.query.type !== undefined) {
+    filter.cardType = req.query.type === 'basic' ? { $in: ['basic', null] } : req.query.type;
+  }
+  const cards = await ErrorCard.find(filter).sort({ timestamp: -1 }).populate('flashcardId');
+  res.json(cards);
+};
+
+// Student: Grade a flashcard review (0-5) and reschedule it
+exports.reviewFlashcard = async (req, res) => {
+  const { flashcardId } = req.body;
+  const grade = Number(req.body.grade);
+
+  const card = await Flashcard.findById(flashcardId);
+  // Cards in decks the caller can't see are reported as missing
+  if (!card || !await canViewDeck(req.user, await Deck.findById(card.deckId))) {
+    throw new NotFoundError('Flashcard not found');
   }
+
+  const now = new Date();
+  const state = await recordReview({ userId: req.user._id, card, grade, now });
+  const progress = await recordReviewActivity({ user: req.user, card, grade, state, now });
+  res.json({ ...state.toObject(), progress });
+};
+
+// Student: Get cards due for review in a deck
+exports.getDueFlashcards = async (req, res) => {
+  const { deckId } = req.params;
+  const newLimit = req.query.newLimit !== undefined ? Number(req.query.newLimit) : DEFAULT_NEW_CARD_LIMIT;
+
+  const queue = await getDueCards({ userId: req.user._id, deckId, newLimit });
+  res.json(queue);
 };
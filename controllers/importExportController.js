@@ -0,0 +1,91 @@
+const Deck = require('../models/Deck');
+const Flashcard = require('../models/Flashcard');
+const { FORMATS, CONTENT_TYPES, EXTENSIONS, parseDeck, writeDeck } = require('../utils/deckFormats');
+const { normalizeTags } = require('../utils/tags');
+const audit = require('../utils/audit');
+const { ValidationError, invalidField } = require('../utils/errors');
+
+const detectFormat = (req) => {
+  if (req.query.format) return req.query.format;
+  if (req.is('application/json')) return 'json';
+  if (req.is('text/tab-separated-values')) return 'anki';
+  if (req.is('text/csv')) return 'csv';
+  return undefined;
+};
+
+const parseRequest = (req) => {
+  const format = detectFormat(req);
+  if (!FORMATS.includes(format)) {
+    throw invalidField('format', `format must be one of: ${FORMATS.join(', ')}`, 'query');
+  }
+
+  const result = parseDeck(format, req.body);
+  if (result.errors.length) {
+    throw new ValidationError('Import failed validation; nothing was saved', { code: 'IMPORT_INVALID', details: result.errors });
+  }
+  if (!result.cards.length) throw new ValidationError('Import contains no cards', { code: 'IMPORT_EMPTY' });
+  return { ...result, format };
+};
+
+// Insert every card or none: on failure, remove whatever did get written.
+const insertCards = async (deckId, cards, startPosition) => {
+  const docs = cards.map((card, index) => new Flashcard({ ...card, deckId, position: startPosition + index }));
+  try {
+    await Flashcard.insertMany(docs, { ordered: true });
+  } catch (err) {
+    await Flashcard.deleteMany({ _id: { $in: docs.map((doc) => doc._id) } });
+    throw err;
+  }
+  return docs;
+};
+
+// Teacher/Admin: Import a new deck from CSV, JSON or Anki text
+exports.importDeck = async (req, res) => {
+  const result = parseRequest(req);
+  const meta = result.deck || {};
+  const title = req.query.title || meta.title;
+  if (!title) throw invalidField('title', 'A deck title is required', 'query');
+
+  let deck;
+  try {
+    deck = await Deck.create({
+      title,
+      description: req.query.description || meta.description,
+      visibility: meta.visibility,
+      tags: normalizeTags(meta.tags).tags,
+      createdBy: req.user._id
+    });
+    const cards = await insertCards(deck._id, result.cards, 0);
+    await audit.record(req, 'deck.import', {
+      target: deck,
+      targetType: 'Deck',
+      after: audit.snapshot(deck, ['title', 'description', 'visibility', 'tags']),
+      metadata: { format: result.format, cards: cards.length }
+    });
+    res.status(201).json({ deck, imported: cards.length });
+  } catch (err) {
+    if (deck) await Deck.deleteOne({ _id: deck._id });
+    throw err;
+  }
+};
+
+// Teacher/Admin: Append imported cards to an existing deck
+exports.importIntoDeck = async (req, res) => {
+  const result = parseRequest(req);
+  const last = await Flashcard.findOne({ deckId: req.deck._id }).sort({ position: -1 }).select('position');
+  const cards = await insertCards(req.deck._id, result.cards, last ? last.position + 1 : 0);
+  await audit.record(req, 'deck.import_cards', { target: req.deck, targetType: 'Deck', metadata: { format: result.format, cards: cards.length } });
+  res.status(201).json({ deck: req.deck, imported: cards.length });
+};
+
+// Stream a deck and its cards in the requested format; a failure once
+// streaming has started drops the connection (see middleware/errorHandler)
+exports.exportDeck = async (req, res) => {
+  const format = req.query.format || 'json';
+  const filename = `${req.deck.title.replace(/[^\w-]+/g, '_') || 'deck'}.${EXTENSIONS[format]}`;
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  const cursor = Flashcard.find({ deckId: req.deck._id }).sort({ position: 1, createdAt: 1 }).lean().cursor();
+  await writeDeck(format, req.deck, cursor, res);
+};
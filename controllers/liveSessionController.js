@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const Deck = require('../models/Deck');
+const Flashcard = require('../models/Flashcard');
+const LiveSession = require('../models/LiveSession');
+const { canViewDeck } = require('../utils/deckAccess');
+const { buildQuestions } = require('../utils/quizBuilder');
+const { isLive } = require('../sockets/liveSessionGateway');
+const { NotFoundError, invalidField } = require('../utils/errors');
+const { ANONYMOUS_NAME } = require('../utils/users');
+
+const PIN_LENGTH = 6;
+
+const uniquePin = async () => {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const pin = crypto.randomInt(0, 10 ** PIN_LENGTH).toString().padStart(PIN_LENGTH, '0');
+    if (!(await LiveSession.exists({ pin, status: { $in: ['lobby', 'running'] } }))) return pin;
+  }
+  throw new Error('Could not generate a unique PIN');
+};
+
+const loadSession = async (req) => {
+  const session = await LiveSession.findById(req.params.sessionId);
+  const allowed = session && (
+    req.user.role === 'admin' ||
+    session.host?.equals(req.user._id) ||
+    session.players.some((player) => player.userId.equals(req.user._id))
+  );
+  if (!allowed) throw new NotFoundError('Live session not found');
+  return session;
+};
+
+// Teacher/Admin: Create a live game from a deck; players join with the PIN over /ws/live
+exports.createLiveSession = async (req, res) => {
+  const { deckId, questionCount = 10, questionTimeSeconds = 20 } = req.body;
+
+  const deck = await Deck.findById(deckId);
+  if (!deck || !(await canViewDeck(req.user, deck))) throw new NotFoundError('Deck not found');
+
+  const cards = await Flashcard.find({ deckId: deck._id }).lean();
+  if (!cards.length) throw invalidField('deckId', 'This deck has no cards');
+
+  const session = await LiveSession.create({
+    deckId: deck._id,
+    host: req.user._id,
+    pin: await uniquePin(),
+    questionTimeSeconds,
+    questions: buildQuestions(cards, { count: questionCount, types: ['multiple_choice', 'true_false'] })
+  });
+
+  res.status(201).json({
+    _id: session._id,
+    pin: session.pin,
+    deck: { _id: deck._id, title: deck.title },
+    questionCount: session.questions.length,
+    questionTimeSeconds
+  });
+};
+
+// Results and leaderboard; players only see their own answers
+exports.getLiveSession = async (req, res) => {
+  const session = await loadSession(req);
+
+  const isHost = req.user.role === 'admin' || !!session.host?.equals(req.user._id);
+  const data = session.toObject();
+  data.live = isLive(session._id);
+  data.players = [...data.players]
+    .sort((a, b) => (a.rank || Infinity) - (b.rank || Infinity))
+    .map((player) => (isHost || player.userId.equals(req.user._id)
+      ? player
+      : { userId: player.userId, name: player.hideName ? ANONYMOUS_NAME : player.name, score: player.score, rank: player.rank }));
+  if (!isHost) {
+    delete data.pin;
+    if (data.status !== 'finished') delete data.questions;
+  }
+  res.json(data);
+};
+
+// Finished games the caller played, with their score and rank
+exports.getMyLiveHistory = async (req, res) => {
+  const sessions = await LiveSession.find({ 'players.userId': req.user._id, status: 'finished' })
+    .sort({ endedAt: -1 })
+    .limit(Math.min(100, parseInt(req.query.limit, 10) || 20))
+    .populate('deckId', 'title')
+    .lean();
+
+  res.json(sessions.map((session) => {
+    const me = session.players.find((player) => player.userId.equals(req.user._id));
+    return {
+      _id: session._id,
+      deck: session.deckId,
+      endedAt: session.endedAt,
+      questionCount: session.questions.length,
+      playerCount: session.players.length,
+      score: me.score,
+      correctCount: me.correctCount,
+      rank: me.rank
+    };
+  }));
+};
+
+// Teacher/Admin: Games I've hosted
+exports.getHostedSessions = async (req, res) => {
+  const sessions = await LiveSession.find({ host: req.user._id })
+    .select('-questions -players.answers')
+    .sort({ createdAt: -1 })
+    .limit(Math.min(100, parseInt(req.query.limit, 10) || 20))
+    .populate('deckId', 'title');
+  res.json(sessions);
+};
@@ -0,0 +1,60 @@
+const crypto = require('crypto');
+const Media = require('../models/Media');
+const Flashcard = require('../models/Flashcard');
+const { getStorage } = require('../utils/storage');
+const { validateUpload } = require('../utils/media');
+const audit = require('../utils/audit');
+const { ForbiddenError, NotFoundError, ConflictError, PayloadTooLargeError, UnsupportedMediaTypeError } = require('../utils/errors');
+
+// Teacher/Admin: Upload an image or audio file for use on cards
+exports.uploadMedia = async (req, res) => {
+  const { buffer, originalname } = req.file;
+  const checked = validateUpload(buffer);
+  if (checked.error) {
+    throw checked.status === 413 ? new PayloadTooLargeError(checked.error) : new UnsupportedMediaTypeError(checked.error);
+  }
+
+  const storageKey = `${req.user._id}/${crypto.randomBytes(16).toString('hex')}.${checked.ext}`;
+  const { url } = await getStorage().put(storageKey, buffer, checked.mimeType);
+
+  const media = await Media.create({
+    owner: req.user._id,
+    kind: checked.kind,
+    mimeType: checked.mimeType,
+    size: buffer.length,
+    originalName: originalname ? String(originalname).slice(0, 255) : undefined,
+    storageKey,
+    url
+  });
+  await audit.record(req, 'media.upload', {
+    target: media,
+    targetType: 'Media',
+    metadata: { kind: media.kind, mimeType: media.mimeType, size: media.size, originalName: media.originalName }
+  });
+  res.status(201).json(media);
+};
+
+// Teacher/Admin: List my uploads
+exports.listMedia = async (req, res) => {
+  const filter = { owner: req.user._id };
+  if (req.query.kind) filter.kind = req.query.kind;
+  const media = await Media.find(filter).sort({ createdAt: -1 }).limit(200);
+  res.json(media);
+};
+
+// Teacher/Admin: Delete an upload that no card uses any more
+exports.deleteMedia = async (req, res) => {
+  const media = await Media.findById(req.params.mediaId);
+  if (!media) throw new NotFoundError('Media not found');
+  if (req.user.role !== 'admin' && !media.owner.equals(req.user._id)) {
+    throw new ForbiddenError('Not authorized to delete this file');
+  }
+  if (await Flashcard.exists({ 'attachments.media': media._id })) {
+    throw new ConflictError('This file is still attached to a flashcard', { code: 'MEDIA_IN_USE' });
+  }
+
+  await getStorage().remove(media.storageKey);
+  await media.deleteOne();
+  await audit.record(req, 'media.delete', { target: media, targetType: 'Media', metadata: { url: media.url, owner: media.owner } });
+  res.json({ message: 'Media deleted' });
+};
@@ -0,0 +1,105 @@
+const Deck = require('../models/Deck');
+const Note = require('../models/Note');
+const Flashcard = require('../models/Flashcard');
+const { canEditDeck } = require('../utils/deckAccess');
+const { normalizeTags } = require('../utils/tags');
+const audit = require('../utils/audit');
+const { ForbiddenError, NotFoundError, ValidationError, invalidField } = require('../utils/errors');
+const { readNoteFields, syncNoteCards, removeCards, moveNoteCards } = require('../utils/notes');
+
+const NOTE_FIELDS = ['deckId', 'type', 'fields', 'tags', 'isMicrobit'];
+
+// Changing type would reinterpret existing cards, except adding/removing the reverse card
+const CONVERTIBLE_TYPES = ['basic', 'reversed'];
+
+// Teacher/Admin: Create a note in an owned deck and generate its cards
+exports.createNote = async (req, res) => {
+  const { type, isMicrobit } = req.body;
+  const { fields, error } = readNoteFields(type, req.body);
+  if (error) throw new ValidationError(error);
+  const { tags, error: tagError } = normalizeTags(req.body.tags);
+  if (tagError) throw invalidField('tags', tagError);
+
+  const note = await Note.create({ deckId: req.deck._id, createdBy: req.user._id, type, fields, tags, isMicrobit });
+  const cards = await syncNoteCards(note);
+  await audit.record(req, 'note.create', {
+    target: note,
+    targetType: 'Note',
+    after: audit.snapshot(note, NOTE_FIELDS),
+    metadata: { cards: cards.length }
+  });
+  res.status(201).json({ note, cards });
+};
+
+// Teacher/Admin: Get a note with its generated cards
+exports.getNote = async (req, res) => {
+  const cards = await Flashcard.find({ noteId: req.note._id }).sort({ ordinal: 1 });
+  res.json({ note: req.note, cards });
+};
+
+// Teacher/Admin: Edit a note; its cards are regenerated in place
+exports.updateNote = async (req, res) => {
+  const note = req.note;
+  const before = audit.snapshot(note, NOTE_FIELDS);
+  const type = req.body.type || note.type;
+  if (type !== note.type && !(CONVERTIBLE_TYPES.includes(type) && CONVERTIBLE_TYPES.includes(note.type))) {
+    throw invalidField('type', `A ${note.type} note cannot be changed to ${type}`);
+  }
+
+  const { fields, error } = readNoteFields(type, { ...note.toObject().fields, ...req.body });
+  if (error) throw new ValidationError(error);
+
+  if (req.body.tags !== undefined) {
+    const { tags, error: tagError } = normalizeTags(req.body.tags);
+    if (tagError) throw invalidField('tags', tagError);
+    note.tags = tags;
+  }
+  note.type = type;
+  note.fields = fields;
+  if (req.body.isMicrobit !== undefined) note.isMicrobit = req.body.isMicrobit;
+  note.updatedAt = Date.now();
+  await note.save();
+
+  const cards = await syncNoteCards(note);
+  await audit.record(req, 'note.update', {
+    target: note,
+    targetType: 'Note',
+    before,
+    after: audit.snapshot(note, NOTE_FIELDS),
+    metadata: { cards: cards.length }
+  });
+  res.json({ note, cards });
+};
+
+// Teacher/Admin: Delete a note, its cards and their study history
+exports.deleteNote = async (req, res) => {
+  const cards = await Flashcard.find({ noteId: req.note._id }).select('_id');
+  await removeCards(cards.map((card) => card._id));
+  await req.note.deleteOne();
+  await audit.record(req, 'note.delete', {
+    target: req.note,
+    targetType: 'Note',
+    before: audit.snapshot(req.note, NOTE_FIELDS),
+    metadata: { cards: cards.length }
+  });
+  res.json({ message: 'Note deleted' });
+};
+
+// Teacher/Admin: Move a note and all of its cards to another deck
+exports.moveNote = async (req, res) => {
+  const target = await Deck.findById(req.body.deckId);
+  if (!target) throw new NotFoundError('Target deck not found');
+  if (!canEditDeck(req.user, target)) {
+    throw new ForbiddenError('Not authorized to modify the target deck');
+  }
+
+  const note = req.note;
+  if (!note.deckId.equals(target._id)) {
+    const before = { deckId: note.deckId };
+    note.deckId = target._id;
+    await note.save();
+    await moveNoteCards(note, target._id);
+    await audit.record(req, 'note.move', { target: note, targetType: 'Note', before, after: { deckId: target._id } });
+  }
+  res.json(note);
+};
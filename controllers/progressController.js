@@ -0,0 +1,46 @@
+const { BADGES } = require('../utils/badges');
+const { getProgressSummary } = require('../utils/progress');
+const { buildLeaderboard, readLeaderboardQuery } = require('../utils/leaderboards');
+const { isTeacherOf } = require('../middleware/classroomMiddleware');
+
+// Student: Own XP, level, streak, counters and badges
+exports.getMyProgress = async (req, res) => {
+  res.json(await getProgressSummary(req.user));
+};
+
+// All badges, with when the current user earned each one
+exports.listBadges = async (req, res) => {
+  const { badges } = await getProgressSummary(req.user);
+  const earned = new Map(badges.map((badge) => [badge.key, badge.awardedAt]));
+  res.json(BADGES.map(({ key, name, description, xp }) => ({
+    key,
+    name,
+    description,
+    xp,
+    earned: earned.has(key),
+    awardedAt: earned.get(key) || null
+  })));
+};
+
+const sendLeaderboard = async (req, res, match, scope, privacy) => {
+  const { window, limit } = readLeaderboardQuery(req.query);
+  const board = await buildLeaderboard({ match, window, limit, viewer: req.user, privacy });
+  res.json({ scope, ...board });
+};
+
+// GET /leaderboards/global?window=weekly|all&limit=
+exports.getGlobalLeaderboard = (req, res) => sendLeaderboard(req, res, {}, { type: 'global' });
+
+// Class members only; XP earned anywhere counts. The class teacher sees every
+// name; classmates respect both privacy settings.
+exports.getClassLeaderboard = (req, res) => sendLeaderboard(req, res,
+  { userId: { $in: req.classroom.students } },
+  { type: 'class', classId: req.classroom._id, name: req.classroom.name },
+  req.user.role === 'admin' || isTeacherOf(req.user, req.classroom)
+    ? []
+    : ['hideNameOnLeaderboards', 'hideNameFromClassmates']);
+
+// XP earned studying one deck
+exports.getDeckLeaderboard = (req, res) => sendLeaderboard(req, res,
+  { deckId: req.deck._id },
+  { type: 'deck', deckId: req.deck._id, title: req.deck.title });
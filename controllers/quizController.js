@@ -0,0 +1,209 @@
+const Deck = require('../models/Deck');
+const Flashcard = require('../models/Flashcard');
+const ErrorCard = require('../models/ErrorCard');
+const QuizAttempt = require('../models/QuizAttempt');
+const { canViewDeck } = require('../utils/deckAccess');
+const { checkAnswer } = require('../utils/answerMatching');
+const { QUESTION_TYPES, buildQuestions } = require('../utils/quizBuilder');
+const { recordQuizAnswer, recordQuizCompleted } = require('../utils/progress');
+const { NotFoundError, ConflictError, invalidField } = require('../utils/errors');
+
+// Strip answers from questions until the attempt is finished
+const present = (attempt) => {
+  const data = attempt.toObject();
+  if (data.status !== 'completed') {
+    data.questions = data.questions.map((question) => {
+      const { correctAnswer, isCorrect, ...rest } = question;
+      return question.answeredAt ? { ...rest, isCorrect } : rest;
+    });
+  }
+  return data;
+};
+
+// Mark unanswered questions wrong and compute the score. They only count as
+// timed out when the quiz's time limit has actually run out.
+//
+// Completion is claimed like an answer: only the request that moves the
+// attempt out of in_progress records it. The claim also requires every
+// question counted as missed to still be unanswered; when an answer slipped
+// in first, it is retried with the fresh attempt. Returns false when another
+// request completed the attempt.
+const finalize = async (attempt, now = new Date()) => {
+  const expired = !!attempt.expiresAt && now >= attempt.expiresAt;
+  const correctCount = attempt.questions.filter((question) => question.answeredAt && question.isCorrect).length;
+  const filter = { _id: attempt._id, status: 'in_progress' };
+  const completed = {
+    status: 'completed',
+    completedAt: now,
+    correctCount,
+    score: attempt.questions.length ? Math.round((correctCount / attempt.questions.length) * 100) : 0
+  };
+  const missed = [];
+  attempt.questions.forEach((question, index) => {
+    if (question.answeredAt) return;
+    filter[`questions.${index}.answeredAt`] = null;
+    Object.assign(completed, {
+      [`questions.${index}.isCorrect`]: false,
+      [`questions.${index}.unanswered`]: true,
+      [`questions.${index}.timedOut`]: expired
+    });
+    missed.push(question);
+  });
+
+  const claimed = await QuizAttempt.updateOne(filter, { $set: completed });
+  if (!claimed.modifiedCount) {
+    const latest = await QuizAttempt.findById(attempt._id).lean();
+    attempt.init(latest);
+    return latest.status === 'in_progress' ? finalize(attempt, now) : false;
+  }
+  attempt.set(completed);
+
+  await recordQuizCompleted(attempt, now);
+  if (missed.length) {
+    await ErrorCard.insertMany(missed.map((question) => ({
+      userId: attempt.userId,
+      flashcardId: question.flashcardId,
+      deckId: question.deckId,
+      noteId: question.noteId,
+      cardType: question.cardType,
+      timestamp: now
+    })));
+  }
+  return true;
+};
+
+const loadOwnAttempt = async (req) => {
+  const attempt = await QuizAttempt.findById(req.params.attemptId);
+  if (!attempt || !attempt.userId.equals(req.user._id)) throw new NotFoundError('Quiz attempt not found');
+  return attempt;
+};
+
+// Student: Start a quiz from one or more decks
+exports.startQuiz = async (req, res) => {
+  const { deckIds, questionCount = 10, types = QUESTION_TYPES, timeLimitSeconds, questionTimeLimitSeconds } = req.body;
+
+  const decks = await Deck.find({ _id: { $in: deckIds } });
+  const visible = [];
+  for (const deck of decks) {
+    if (await canViewDeck(req.user, deck)) visible.push(deck);
+  }
+  if (visible.length !== new Set(deckIds.map(String)).size) {
+    throw new NotFoundError('One or more decks were not found');
+  }
+
+  const cards = await Flashcard.find({ deckId: { $in: visible.map((deck) => deck._id) } }).lean();
+  if (!cards.length) throw invalidField('deckIds', 'The selected decks have no cards');
+
+  const now = new Date();
+  const attempt = await QuizAttempt.create({
+    userId: req.user._id,
+    deckIds: visible.map((deck) => deck._id),
+    timeLimitSeconds,
+    questionTimeLimitSeconds,
+    questions: buildQuestions(cards, { count: questionCount, types }),
+    startedAt: now,
+    expiresAt: timeLimitSeconds ? new Date(now.getTime() + timeLimitSeconds * 1000) : undefined
+  });
+
+  res.status(201).json(present(attempt));
+};
+
+// Student: Answer the next question. Questions are answered in order, and each
+// one's clock starts when the previous one was answered.
+exports.answerQuestion = async (req, res) => {
+  const attempt = await loadOwnAttempt(req);
+  if (attempt.status === 'completed') throw new ConflictError('This quiz is already finished', { code: 'QUIZ_FINISHED' });
+
+  const now = new Date();
+  if (attempt.expiresAt && now > attempt.expiresAt) {
+    await finalize(attempt, attempt.expiresAt);
+    throw new ConflictError('Time is up', { code: 'QUIZ_EXPIRED', details: { attempt: present(attempt) } });
+  }
+
+  const index = attempt.questions.findIndex((question) => !question.answeredAt);
+  if (req.body.questionIndex !== index) {
+    throw new ConflictError(`Answer question ${index} next`, { code: 'OUT_OF_ORDER', details: { nextQuestionIndex: index } });
+  }
+
+  const question = attempt.questions[index];
+  const presentedAt = index > 0 ? attempt.questions[index - 1].answeredAt : attempt.startedAt;
+  const timeTakenMs = now - presentedAt;
+  const timedOut = !!attempt.questionTimeLimitSeconds && timeTakenMs > attempt.questionTimeLimitSeconds * 1000;
+  const answer = req.body.answer === undefined || req.body.answer === null ? '' : String(req.body.answer);
+
+  const isCorrect = !timedOut && checkAnswer(question, answer);
+
+  // Only one request may answer a question; a concurrent duplicate finds it taken
+  const answered = { answer, answeredAt: now, timeTakenMs, timedOut, isCorrect };
+  const claimed = await QuizAttempt.updateOne(
+    { _id: attempt._id, status: 'in_progress', [`questions.${index}.answeredAt`]: null },
+    { $set: Object.fromEntries(Object.entries(answered).map(([key, value]) => [`questions.${index}.${key}`, value])) }
+  );
+  if (!claimed.modifiedCount) {
+    throw new ConflictError('This question was already answered', { code: 'OUT_OF_ORDER', details: { nextQuestionIndex: index + 1 } });
+  }
+  Object.assign(question, answered);
+
+  if (!question.isCorrect) {
+    await ErrorCard.create({
+      userId: req.user._id,
+      flashcardId: question.flashcardId,
+      deckId: question.deckId,
+      noteId: question.noteId,
+      cardType: question.cardType,
+      response: answer,
+      timestamp: now
+    });
+  }
+
+  const isLast = index === attempt.questions.length - 1;
+  if (isLast) await finalize(attempt, now);
+  const progress = await recordQuizAnswer({ user: req.user, question, now });
+
+  res.json({
+    questionIndex: index,
+    isCorrect: question.isCorrect,
+    timedOut,
+    correctAnswer: question.correctAnswer,
+    completed: isLast,
+    score: isLast ? attempt.score : undefined,
+    progress
+  });
+};
+
+// Student: Finish early; unanswered questions count as wrong
+exports.submitQuiz = async (req, res) => {
+  const attempt = await loadOwnAttempt(req);
+  if (attempt.status !== 'completed') {
+    const now = new Date();
+    await finalize(attempt, attempt.expiresAt && attempt.expiresAt < now ? attempt.expiresAt : now);
+  }
+  res.json(present(attempt));
+};
+
+// Student: Get one attempt (answers revealed once completed)
+exports.getAttempt = async (req, res) => {
+  const attempt = await loadOwnAttempt(req);
+  if (attempt.status !== 'completed' && attempt.expiresAt && new Date() > attempt.expiresAt) {
+    await finalize(attempt, attempt.expiresAt);
+  }
+  res.json(present(attempt));
+};
+
+// Student: List my attempts, newest first
+exports.listAttempts = async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  const filter = { userId: req.user._id };
+
+  const [attempts, total] = await Promise.all([
+    QuizAttempt.find(filter)
+      .select('-questions')
+      .sort({ startedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('deckIds', 'title'),
+    QuizAttempt.countDocuments(filter)
+  ]);
+  res.json({ attempts, page, limit, total, pages: Math.ceil(total / limit) });
+};
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const Deck = require('../models/Deck');
+const Flashcard = require('../models/Flashcard');
+const { visibleDeckFilter } = require('../utils/deckAccess');
+const { normalizeTags } = require('../utils/tags');
+const { queryTerms, highlightFields } = require('../utils/search');
+const { invalidField } = require('../utils/errors');
+
+const { ObjectId } = mongoose.Types;
+
+// Search options from the query string (validated by validators/search)
+const readOptions = (req) => {
+  const options = {
+    q: String(req.query.q).trim(),
+    scope: req.query.scope || 'all',
+    page: req.query.page ? Number(req.query.page) : 1,
+    limit: req.query.limit ? Number(req.query.limit) : 20
+  };
+
+  if (req.query.deckId !== undefined) options.deckId = new ObjectId(String(req.query.deckId));
+  if (req.query.owner !== undefined) {
+    options.owner = req.query.owner === 'me' ? req.user._id : new ObjectId(String(req.query.owner));
+  }
+  if (req.query.type !== undefined) options.type = req.query.type;
+  if (req.query.isMicrobit !== undefined) options.isMicrobit = req.query.isMicrobit === 'true';
+  if (req.query.tags !== undefined) {
+    const { tags, error } = normalizeTags(req.query.tags);
+    if (error) throw invalidField('tags', error, 'query');
+    if (tags.length) options.tags = tags;
+  }
+  return options;
+};
+
+const pageInfo = (total, { page, limit }) => ({ total, page, limit, pages: Math.ceil(total / limit) });
+
+const searchDecks = async (user, options, terms) => {
+  const filter = { $text: { $search: options.q }, $and: [await visibleDeckFilter(user)] };
+  if (options.deckId) filter.$and.push({ _id: options.deckId });
+  if (options.owner) filter.$and.push({ createdBy: options.owner });
+  if (options.tags) filter.$and.push({ tags: { $all: options.tags } });
+
+  const [decks, total] = await Promise.all([
+    Deck.find(filter, { score: { $meta: 'textScore' } })
+      .select('title description visibility tags createdBy createdAt updatedAt')
+      .sort({ score: { $meta: 'textScore' }, _id: 1 })
+      .skip((options.page - 1) * options.limit)
+      .limit(options.limit)
+      .lean(),
+    Deck.countDocuments(filter)
+  ]);
+
+  return {
+    results: decks.map((deck) => ({ ...deck, highlights: highlightFields(deck, ['title', 'description', 'tags'], terms) })),
+    ...pageInfo(total, options)
+  };
+};
+
+// Cards are matched by text first, then joined to their deck for visibility,
+// owner and deck-tag filtering. Tag filters match tags on the card or its deck.
+const searchCards = async (user, options, terms) => {
+  const match = { $text: { $search: options.q } };
+  if (options.deckId) match.deckId = options.deckId;
+  if (options.type) match.cardType = options.type === 'basic' ? { $in: ['basic', null] } : options.type;
+  if (options.isMicrobit !== undefined) match.isMicrobit = options.isMicrobit;
+
+  const deckConditions = [await visibleDeckFilter(user, 'deck.')];
+  if (options.owner) deckConditions.push({ 'deck.createdBy': options.owner });
+  if (options.tags) {
+    deckConditions.push({ $or: [{ tags: { $all: options.tags } }, { 'deck.tags': { $all: options.tags } }] });
+  }
+
+  const [result] = await Flashcard.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: Deck.collection.name,
+        localField: 'deckId',
+        foreignField: '_id',
+        pipeline: [{ $project: { title: 1, visibility: 1, createdBy: 1, tags: 1 } }],
+        as: 'deck'
+      }
+    },
+    { $unwind: '$deck' },
+    { $match: { $and: deckConditions } },
+    { $addFields: { score: { $meta: 'textScore' } } },
+    { $sort: { score: -1, _id: 1 } },
+    {
+      $facet: {
+        results: [
+          { $skip: (options.page - 1) * options.limit },
+          { $limit: options.limit },
+          {
+            $project: {
+              deckId: 1,
+              noteId: 1,
+              cardType: 1,
+              question: 1,
+              answer: 1,
+              isMicrobit: 1,
+              tags: 1,
+              score: 1,
+              deck: { _id: '$deck._id', title: '$deck.title' }
+            }
+          }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  return {
+    results: result.results.map((card) => ({
+      ...card,
+      cardType: card.cardType || 'basic',
+      highlights: highlightFields(card, ['question', 'answer', 'tags'], terms)
+    })),
+    ...pageInfo(result.total[0] ? result.total[0].count : 0, options)
+  };
+};
+
+// Full-text search over decks and cards the caller can see
+exports.search = async (req, res) => {
+  const options = readOptions(req);
+
+  const terms = queryTerms(options.q);
+  const [decks, cards] = await Promise.all([
+    options.scope === 'cards' ? undefined : searchDecks(req.user, options, terms),
+    options.scope === 'decks' ? undefined : searchCards(req.user, options, terms)
+  ]);
+
+  res.json({ query: options.q, decks, cards });
+};
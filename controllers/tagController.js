@@ -0,0 +1,148 @@
+const Tag = require('../models/Tag');
+const Deck = require('../models/Deck');
+const Flashcard = require('../models/Flashcard');
+const Note = require('../models/Note');
+const { visibleDeckFilter } = require('../utils/deckAccess');
+const { slugify, registerTags } = require('../utils/tags');
+const { readPage, listDeckPage } = require('../utils/deckListing');
+const audit = require('../utils/audit');
+const { NotFoundError, ConflictError, invalidField } = require('../utils/errors');
+
+const TAGGED_MODELS = [Deck, Flashcard, Note];
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Replace `from` with `to` on every deck, card and note (or just remove it when `to` is null)
+const replaceTag = async (from, to) => {
+  const tags = to
+    ? { $setUnion: [{ $setDifference: ['$tags', [from]] }, [to]] }
+    : { $setDifference: ['$tags', [from]] };
+  const results = await Promise.all(TAGGED_MODELS.map((Model) =>
+    Model.updateMany({ tags: from }, [{ $set: { tags } }])));
+  const [decks, cards, notes] = results.map((result) => result.modifiedCount);
+  return { decks, cards, notes };
+};
+
+// Tag -> count of matching visible decks, and of cards in visible decks
+const tagCounts = async (user, slugs) => {
+  const visible = await visibleDeckFilter(user);
+  const [deckRows, cardRows] = await Promise.all([
+    Deck.aggregate([
+      { $match: { $and: [visible, { tags: { $in: slugs } }] } },
+      { $unwind: '$tags' },
+      { $match: { tags: { $in: slugs } } },
+      { $group: { _id: '$tags', count: { $sum: 1 } } }
+    ]),
+    Flashcard.aggregate([
+      { $match: { tags: { $in: slugs } } },
+      ...(Object.keys(visible).length ? [
+        {
+          $lookup: {
+            from: Deck.collection.name,
+            localField: 'deckId',
+            foreignField: '_id',
+            pipeline: [{ $project: { visibility: 1, createdBy: 1 } }],
+            as: 'deck'
+          }
+        },
+        { $unwind: '$deck' },
+        { $match: await visibleDeckFilter(user, 'deck.') }
+      ] : []),
+      { $unwind: '$tags' },
+      { $match: { tags: { $in: slugs } } },
+      { $group: { _id: '$tags', count: { $sum: 1 } } }
+    ])
+  ]);
+  const toMap = (rows) => new Map(rows.map((row) => [row._id, row.count]));
+  return { decks: toMap(deckRows), cards: toMap(cardRows) };
+};
+
+// List tags (optionally by prefix) with visible deck and card counts
+exports.listTags = async (req, res) => {
+  const { page, limit } = readPage(req.query);
+  const filter = req.query.q ? { slug: new RegExp(`^${escapeRegex(slugify(req.query.q))}`) } : {};
+
+  const [tags, total] = await Promise.all([
+    Tag.find(filter).sort({ slug: 1 }).skip((page - 1) * limit).limit(limit).lean(),
+    Tag.countDocuments(filter)
+  ]);
+  const counts = await tagCounts(req.user, tags.map((tag) => tag.slug));
+
+  res.json({
+    tags: tags.map((tag) => ({
+      ...tag,
+      deckCount: counts.decks.get(tag.slug) || 0,
+      cardCount: counts.cards.get(tag.slug) || 0
+    })),
+    page,
+    limit,
+    total,
+    pages: Math.ceil(total / limit)
+  });
+};
+
+// Visible decks carrying a tag
+exports.listTagDecks = async (req, res) => {
+  const filter = { $and: [await visibleDeckFilter(req.user), { tags: slugify(req.params.slug) }] };
+  res.json(await listDeckPage(filter, readPage(req.query)));
+};
+
+// Admin: Set a tag's display name and/or rename its slug everywhere it is used
+exports.updateTag = async (req, res) => {
+  const tag = await Tag.findOne({ slug: req.params.slug });
+  if (!tag) throw new NotFoundError('Tag not found');
+
+  const before = audit.snapshot(tag, ['slug', 'name']);
+  let updated = { decks: 0, cards: 0, notes: 0 };
+  if (req.body.slug !== undefined) {
+    const slug = slugify(req.body.slug);
+    if (!slug) throw invalidField('slug', 'slug cannot be empty');
+    if (slug !== tag.slug) {
+      if (await Tag.exists({ slug })) {
+        throw new ConflictError(`Tag "${slug}" already exists; merge into it instead`, { code: 'TAG_EXISTS' });
+      }
+      updated = await replaceTag(tag.slug, slug);
+      tag.slug = slug;
+    }
+  }
+  if (req.body.name !== undefined) tag.name = req.body.name;
+  await tag.save();
+  await audit.record(req, 'tag.update', {
+    target: tag,
+    targetType: 'Tag',
+    before,
+    after: audit.snapshot(tag, ['slug', 'name']),
+    metadata: { updated }
+  });
+
+  res.json({ tag, updated });
+};
+
+// Admin: Merge a tag into another; everything tagged with the source gets the target
+exports.mergeTag = async (req, res) => {
+  const into = slugify(req.body.into);
+  if (!into) throw invalidField('into', 'into must contain letters or numbers');
+  if (into === req.params.slug) throw invalidField('into', 'Cannot merge a tag into itself');
+
+  const tag = await Tag.findOne({ slug: req.params.slug });
+  if (!tag) throw new NotFoundError('Tag not found');
+
+  await registerTags([into]);
+  const updated = await replaceTag(tag.slug, into);
+  await tag.deleteOne();
+  await audit.record(req, 'tag.merge', { target: tag, targetType: 'Tag', metadata: { from: tag.slug, into, updated } });
+
+  res.json({ message: `Merged "${tag.slug}" into "${into}"`, updated });
+};
+
+// Admin: Delete a tag and remove it from every deck, card and note
+exports.deleteTag = async (req, res) => {
+  const tag = await Tag.findOne({ slug: req.params.slug });
+  if (!tag) throw new NotFoundError('Tag not found');
+
+  const updated = await replaceTag(tag.slug, null);
+  await tag.deleteOne();
+  await audit.record(req, 'tag.delete', { target: tag, targetType: 'Tag', before: audit.snapshot(tag, ['slug', 'name']), metadata: { updated } });
+
+  res.json({ message: 'Tag deleted', updated });
+};
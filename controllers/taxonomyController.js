@@ -0,0 +1,175 @@
+const Topic = require('../models/Topic');
+const Deck = require('../models/Deck');
+const { visibleDeckFilter } = require('../utils/deckAccess');
+const { slugify, normalizeTags } = require('../utils/tags');
+const { childLevel, subtreeIds, deckCountsByNode, buildTree } = require('../utils/taxonomy');
+const { readPage, listDeckPage } = require('../utils/deckListing');
+const audit = require('../utils/audit');
+const { NotFoundError, ConflictError, invalidField } = require('../utils/errors');
+
+const NODE_FIELDS = ['name', 'slug', 'level', 'parent', 'description', 'position'];
+
+const findNode = async (id) => {
+  const node = await Topic.findById(id);
+  if (!node) throw new NotFoundError('Taxonomy node not found');
+  return node;
+};
+
+// Sibling names must be unique; rethrows anything else
+const duplicateError = (err) => {
+  if (err.code !== 11000) throw err;
+  throw new ConflictError('A node with this name already exists here', { code: 'DUPLICATE_NODE' });
+};
+
+// Decks visible to the user, optionally limited to one grade level
+const deckFilterFor = async (req) => {
+  const filter = { $and: [await visibleDeckFilter(req.user)] };
+  if (req.query.gradeLevel) filter.$and.push({ gradeLevels: String(req.query.gradeLevel) });
+  return filter;
+};
+
+// Full subject -> topic -> subtopic tree with visible deck counts
+exports.getTree = async (req, res) => {
+  const [nodes, counts] = await Promise.all([
+    Topic.find().sort({ position: 1, name: 1 }).lean(),
+    deckCountsByNode(await deckFilterFor(req))
+  ]);
+  res.json(buildTree(nodes, counts));
+};
+
+// One node with its breadcrumb and direct children
+exports.getNode = async (req, res) => {
+  const node = await findNode(req.params.nodeId);
+
+  const [ancestors, children, counts] = await Promise.all([
+    Topic.find({ _id: { $in: node.ancestors } }).select('name slug level').lean(),
+    Topic.find({ parent: node._id }).sort({ position: 1, name: 1 }).lean(),
+    deckCountsByNode(await deckFilterFor(req))
+  ]);
+  const byId = new Map(ancestors.map((a) => [a._id.toString(), a]));
+
+  res.json({
+    ...node.toObject(),
+    deckCount: counts.get(node._id.toString()) || 0,
+    breadcrumb: node.ancestors.map((id) => byId.get(id.toString())).filter(Boolean),
+    children: children.map((child) => ({ ...child, deckCount: counts.get(child._id.toString()) || 0 }))
+  });
+};
+
+// Visible decks filed under a node or anything below it
+exports.listNodeDecks = async (req, res) => {
+  const node = await findNode(req.params.nodeId);
+
+  const filter = await deckFilterFor(req);
+  filter.$and.push({ topics: { $in: await subtreeIds(node._id) } });
+  if (req.query.tags) {
+    const { tags, error } = normalizeTags(req.query.tags);
+    if (error) throw invalidField('tags', error, 'query');
+    if (tags.length) filter.$and.push({ tags: { $all: tags } });
+  }
+
+  res.json(await listDeckPage(filter, readPage(req.query)));
+};
+
+// Admin: Add a subject (no parent), or a topic/subtopic under a parent
+exports.createNode = async (req, res) => {
+  const { name, description, position } = req.body;
+  const slug = slugify(name);
+  if (!slug) throw invalidField('name', 'name must contain letters or numbers');
+
+  let parent = null;
+  if (req.body.parent) {
+    parent = await Topic.findById(req.body.parent);
+    if (!parent) throw new NotFoundError('Parent node not found');
+    if (!childLevel(parent.level)) throw invalidField('parent', 'Subtopics cannot have children');
+  }
+
+  const node = await Topic.create({
+    name,
+    slug,
+    description,
+    position,
+    level: parent ? childLevel(parent.level) : 'subject',
+    parent: parent ? parent._id : null,
+    ancestors: parent ? [...parent.ancestors, parent._id] : []
+  }).catch(duplicateError);
+  await audit.record(req, 'taxonomy.create', { target: node, targetType: 'Topic', after: audit.snapshot(node, NODE_FIELDS) });
+  res.status(201).json(node);
+};
+
+// Admin: Rename, reorder or move a node. Nodes keep their level, so a topic
+// can move to another subject and a subtopic to another topic.
+exports.updateNode = async (req, res) => {
+  const node = await findNode(req.params.nodeId);
+
+  const before = audit.snapshot(node, NODE_FIELDS);
+  const { name, description, position } = req.body;
+  if (name !== undefined) {
+    const slug = slugify(name);
+    if (!slug) throw invalidField('name', 'name must contain letters or numbers');
+    node.name = name;
+    node.slug = slug;
+  }
+  if (description !== undefined) node.description = description;
+  if (position !== undefined) node.position = position;
+
+  const oldAncestors = node.ancestors;
+  if (req.body.parent !== undefined && String(req.body.parent) !== String(node.parent)) {
+    const parent = req.body.parent ? await Topic.findById(req.body.parent) : null;
+    if (req.body.parent && !parent) throw new NotFoundError('Parent node not found');
+    if ((parent ? childLevel(parent.level) : 'subject') !== node.level) {
+      throw invalidField('parent', `A ${node.level} can only be moved under a node one level up`);
+    }
+    node.parent = parent ? parent._id : null;
+    node.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+  }
+
+  node.updatedAt = Date.now();
+  await node.save().catch(duplicateError);
+
+  // Descendants keep their path below this node and take its new ancestry
+  if (String(oldAncestors) !== String(node.ancestors)) {
+    const descendants = await Topic.find({ ancestors: node._id });
+    await Promise.all(descendants.map((descendant) => {
+      const below = descendant.ancestors.slice(oldAncestors.length);
+      descendant.ancestors = [...node.ancestors, ...below];
+      return descendant.save();
+    }));
+  }
+
+  await audit.record(req, 'taxonomy.update', { target: node, targetType: 'Topic', before, after: audit.snapshot(node, NODE_FIELDS) });
+  res.json(node);
+};
+
+// Admin: Delete a node and everything below it. Decks filed there are
+// unfiled, or refiled under ?reassignTo= when given.
+exports.deleteNode = async (req, res) => {
+  const node = await findNode(req.params.nodeId);
+
+  const removed = await subtreeIds(node._id);
+  let reassignTo = null;
+  if (req.query.reassignTo) {
+    reassignTo = await Topic.findById(req.query.reassignTo);
+    if (!reassignTo) throw new NotFoundError('Reassignment node not found');
+    if (removed.some((id) => id.equals(reassignTo._id))) {
+      throw invalidField('reassignTo', 'Cannot reassign decks to a node that is being deleted', 'query');
+    }
+  }
+
+  const result = await Deck.updateMany({ topics: { $in: removed } }, [{
+    $set: {
+      topics: {
+        $setUnion: [{ $setDifference: ['$topics', removed] }, reassignTo ? [reassignTo._id] : []]
+      }
+    }
+  }]);
+  await Topic.deleteMany({ _id: { $in: removed } });
+  await audit.record(req, 'taxonomy.delete', {
+    target: node,
+    targetType: 'Topic',
+    before: audit.snapshot(node, NODE_FIELDS),
+    metadata: { nodesDeleted: removed.length, decksUpdated: result.modifiedCount, reassignTo: reassignTo && reassignTo._id }
+  });
+
+  res.json({ message: 'Taxonomy node deleted', nodesDeleted: removed.length, decksUpdated: result.modifiedCount });
+};
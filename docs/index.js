@@ -0,0 +1,24 @@
+// The assembled OpenAPI document, built once on first use
+const { version } = require('../package.json');
+const mounts = require('../routes');
+const paths = require('./paths');
+const { models, schemas } = require('./schemas');
+const { buildSpec } = require('../utils/openapi');
+
+const info = {
+  title: 'Student App API',
+  version,
+  description: [
+    'Flashcards, spaced-repetition review, quizzes, classes and live games.',
+    'Authenticate with `Authorization: Bearer <token>` from /api/auth/login or /api/auth/register.',
+    'Errors always use the `Error` envelope: a message, a stable `code` and optional `details`.'
+  ].join('\n\n')
+};
+
+let spec;
+const getSpec = () => {
+  spec = spec || buildSpec({ info, mounts, paths, schemas, models });
+  return spec;
+};
+
+module.exports = { getSpec, mounts, paths };
@@ -0,0 +1,105 @@
+const { ref, arrayOf, object, types } = require('../../utils/openapi');
+
+// routes/user.js wraps responses as { success, message?, data? }
+const account = (data) => object({
+  success: { type: 'boolean', enum: [true] },
+  message: types.string,
+  ...(data && { data })
+});
+
+const identities = arrayOf(object({ provider: types.string, email: types.string, linkedAt: types.date }));
+
+module.exports = {
+  tag: 'Account',
+  routes: {
+    'GET /profile': {
+      summary: 'Get my account',
+      response: account('User')
+    },
+    'PUT /profile': {
+      summary: 'Update my name, email, profile, preferences and privacy settings',
+      response: account('User'),
+      errors: [409]
+    },
+    'PUT /change-password': {
+      summary: 'Change my password',
+      response: account()
+    },
+    'POST /password/set': {
+      summary: 'Add a password to an account that signs in with Google only',
+      response: account(),
+      errors: [409]
+    },
+    'GET /identities': {
+      summary: 'List linked sign-in providers',
+      response: account(object({ hasPassword: types.boolean, identities }))
+    },
+    'POST /identities/google': {
+      summary: 'Link a Google account',
+      response: account(identities),
+      errors: [409]
+    },
+    'DELETE /identities/:provider': {
+      summary: 'Unlink a sign-in provider',
+      description: 'The last way to sign in cannot be removed.',
+      response: account(identities),
+      errors: [404, 409]
+    },
+    'POST /2fa/setup': {
+      summary: 'Start two-factor setup',
+      response: account(object({ secret: types.string, qrCode: { type: 'string', description: 'Data URL of the QR code' } })),
+      errors: [409]
+    },
+    'POST /2fa/verify': {
+      summary: 'Confirm two-factor setup with a code',
+      response: account(object({ backupCodes: arrayOf(types.string) })),
+      errors: [409]
+    },
+    'POST /2fa/disable': {
+      summary: 'Turn off two-factor authentication',
+      description: 'Confirmed like `DELETE /account`: with `password`, or for Google-only accounts with a fresh `tokenId` or an emailed `code`.',
+      response: account(),
+      errors: [409]
+    },
+    'POST /2fa/backup-codes': {
+      summary: 'Replace my two-factor backup codes',
+      response: account(object({ backupCodes: arrayOf(types.string) })),
+      errors: [409]
+    },
+    'GET /account/export': {
+      summary: 'Download everything stored about me',
+      description: 'Sent as a JSON file attachment: account, authored decks and cards, uploads, classes, study history, live games played and hosted, devices and security log.',
+      response: ref('AccountExport'),
+      responseDescription: 'The export archive'
+    },
+    'DELETE /account': {
+      summary: 'Request deletion of my account',
+      description: 'The account and everything linked to it is erased once the grace period (30 days by default) ends. Shared decks are kept without their author; private decks are deleted; hosted games are kept for their players without the host. Accounts with a password confirm with `password`. Accounts that sign in with Google only confirm with a fresh Google `tokenId` or a `code` from `POST /account/confirmation-code`.',
+      response: account(object({ deletionScheduledFor: types.date })),
+      errors: [409]
+    },
+    'POST /account/confirmation-code': {
+      summary: 'Email a code to confirm account deletion or turning off 2FA on an account without a password',
+      response: account(),
+      errors: [409]
+    },
+    'POST /account/cancel-deletion': {
+      summary: 'Cancel a pending account deletion',
+      response: account(),
+      errors: [409]
+    },
+    'GET /sessions': {
+      summary: 'List my signed-in sessions',
+      response: account(arrayOf('Session'))
+    },
+    'DELETE /sessions/:sessionId': {
+      summary: 'Sign out one session',
+      response: account(),
+      errors: [404]
+    },
+    'DELETE /sessions': {
+      summary: 'Sign out every other session',
+      response: account()
+    }
+  }
+};
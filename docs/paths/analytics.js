@@ -0,0 +1,89 @@
+const { arrayOf, object, types } = require('../../utils/openapi');
+
+const csv = 'Add ?format=csv to download the rows as CSV instead.';
+
+const studentStreak = object({
+  userId: types.id,
+  name: types.string,
+  timezone: types.string,
+  current: types.integer,
+  longest: types.integer,
+  lastActiveDay: { ...types.string, description: 'YYYY-MM-DD in the student\'s timezone' },
+  activeDays: types.integer
+});
+
+module.exports = {
+  tag: 'Analytics',
+  routes: {
+    'GET /students/:userId/activity': {
+      summary: "A student's accuracy and activity per day or week",
+      description: `Students can read their own; teachers read students in their classes. ${csv}`,
+      response: object({
+        userId: types.id,
+        interval: { type: 'string', enum: ['day', 'week'] },
+        timezone: types.string,
+        totals: object({ reviews: types.integer, correct: types.integer, errors: types.integer, accuracy: { ...types.number, nullable: true } }),
+        series: arrayOf(object({
+          period: types.date,
+          reviews: types.integer,
+          correct: types.integer,
+          accuracy: { ...types.number, nullable: true },
+          errors: types.integer,
+          cardsStudied: types.integer
+        }))
+      }),
+      errors: [404]
+    },
+    'GET /students/:userId/streak': {
+      summary: "A student's current and longest study streak",
+      response: studentStreak,
+      errors: [404]
+    },
+    'GET /decks/:deckId/hardest-cards': {
+      summary: 'Cards in a deck with the highest error rate',
+      description: `Deck owners see every student; pass ?classId= to limit to one class you teach. Teachers who don't own the deck need ?classId= for a class the deck is assigned to. ${csv}`,
+      response: object({
+        deck: object({ _id: types.id, title: types.string }),
+        cards: arrayOf(object({
+          flashcardId: types.id,
+          question: types.string,
+          answer: types.string,
+          attempts: types.integer,
+          errors: types.integer,
+          errorRate: types.number,
+          students: types.integer
+        }))
+      }),
+      errors: [404]
+    },
+    'GET /classes/:classId/mastery': {
+      summary: 'Mastery of each assigned deck across the class',
+      description: csv,
+      response: object({
+        classroom: object({ _id: types.id, name: types.string }),
+        masteryIntervalDays: types.integer,
+        decks: arrayOf(object({
+          deckId: types.id,
+          title: types.string,
+          cardCount: types.integer,
+          averageMastery: types.number,
+          students: arrayOf(object({
+            userId: types.id,
+            student: types.string,
+            studied: types.integer,
+            mastered: types.integer,
+            mastery: types.number
+          }))
+        }))
+      })
+    },
+    'GET /classes/:classId/streaks': {
+      summary: 'Study streaks across the class',
+      description: csv,
+      response: object({
+        classroom: object({ _id: types.id, name: types.string }),
+        students: arrayOf(studentStreak)
+      })
+    }
+  }
+};
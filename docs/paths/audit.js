@@ -0,0 +1,20 @@
+const { ref, object, types } = require('../../utils/openapi');
+
+module.exports = {
+  tag: 'Audit',
+  routes: {
+    'GET /': {
+      summary: 'Query audit entries, newest first',
+      description: 'action matches exactly, or by prefix when it ends in "*" (e.g. "deck.*").',
+      response: ref('AuditPage')
+    },
+    'GET /retention': {
+      summary: 'How long audit entries are kept',
+      response: object({ retentionDays: types.integer, defaultRetentionDays: types.integer, minRetentionDays: types.integer })
+    },
+    'PUT /retention': {
+      summary: 'Change how long audit entries are kept',
+      response: object({ retentionDays: types.integer })
+    }
+  }
+};
@@ -0,0 +1,81 @@
+const { ref, object, types } = require('../../utils/openapi');
+
+module.exports = {
+  tag: 'Auth',
+  routes: {
+    'POST /register': {
+      summary: 'Create a student or teacher account',
+      status: 201,
+      response: ref('AuthSession'),
+      errors: [409]
+    },
+    'POST /login': {
+      summary: 'Sign in with email and password',
+      description: 'Accounts with two-factor authentication get a challenge token to complete at POST /api/auth/2fa/verify.',
+      response: ref('LoginResult')
+    },
+    'POST /send-otp': {
+      summary: 'Email a password reset code',
+      description: 'Responds the same way whether or not the account exists.',
+      response: ref('Message')
+    },
+    'POST /verify-otp': {
+      summary: 'Exchange a reset code for a reset token',
+      response: object({ message: types.string, resetToken: types.string })
+    },
+    'POST /reset-password': {
+      summary: 'Set a new password with a reset code or token',
+      response: ref('Message')
+    },
+    'POST /guest-login': {
+      summary: 'Start a temporary guest account',
+      response: ref('AuthSession')
+    },
+    'POST /guest/convert': {
+      summary: 'Turn the current guest account into a full account',
+      response: object({ message: types.string, user: 'User' }),
+      errors: [409]
+    },
+    'POST /google-signin': {
+      summary: 'Sign in with a Google ID token',
+      response: ref('LoginResult')
+    },
+    'GET /google': {
+      summary: 'Start the Google OAuth redirect flow',
+      status: 302,
+      responseDescription: 'Redirect to Google',
+      errors: [404]
+    },
+    'GET /google/callback': {
+      summary: 'Google OAuth callback',
+      description: 'Redirects to the client with tokens, or with an error code, in the URL fragment.',
+      status: 302,
+      responseDescription: 'Redirect to the client application',
+      errors: [400, 404]
+    },
+    'POST /2fa/verify': {
+      summary: 'Complete a two-factor login challenge',
+      description: 'A challenge is single-use and allows 5 wrong codes, after which the user must sign in again.',
+      response: { allOf: [ref('AuthSession'), object({ backupCodesRemaining: types.integer })] }
+    },
+    'GET /verify-email': {
+      summary: 'Confirm an email address from the emailed link',
+      response: ref('Message'),
+      errors: [409]
+    },
+    'POST /resend-verification': {
+      summary: 'Send the email verification link again',
+      response: ref('Message'),
+      errors: [409]
+    },
+    'POST /refresh': {
+      summary: 'Rotate a refresh token for a new access token',
+      response: ref('Tokens'),
+      errors: [401]
+    },
+    'POST /logout': {
+      summary: 'End the current session',
+      response: ref('Message')
+    }
+  }
+};
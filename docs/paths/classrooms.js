@@ -0,0 +1,87 @@
+const { ref, arrayOf, object, types } = require('../../utils/openapi');
+
+const summary = { allOf: [ref('Classroom'), object({ studentCount: types.integer })] };
+
+module.exports = {
+  tag: 'Classes',
+  routes: {
+    'GET /': {
+      summary: 'List classes I teach or attend',
+      description: 'Rosters are replaced by a student count; join codes are shown to the teacher only. Admins may pass ?all=true.',
+      response: arrayOf(summary)
+    },
+    'GET /assignments/mine': {
+      summary: 'My assignments across every active class, soonest due first',
+      response: arrayOf(object({
+        _id: types.id,
+        classroom: object({ _id: types.id, name: types.string }),
+        deck: object({ _id: types.id, title: types.string, description: types.string }),
+        dueAt: types.date,
+        assignedAt: types.date,
+        overdue: types.boolean,
+        cardCount: types.integer,
+        studiedCount: types.integer
+      }))
+    },
+    'POST /join': {
+      summary: 'Join a class with its code',
+      response: summary,
+      errors: [404]
+    },
+    'GET /:classId': {
+      summary: 'Get a class',
+      description: 'The roster and join code are included for the teacher only. Admins get the admin view of each student.',
+      response: {
+        allOf: [ref('Classroom'), object({
+          students: arrayOf({ oneOf: [ref('UserTeacherView'), ref('UserAdminView')] }),
+          studentCount: types.integer
+        })]
+      }
+    },
+    'POST /:classId/leave': {
+      summary: 'Leave a class',
+      response: ref('Message')
+    },
+    'POST /': {
+      summary: 'Create a class',
+      status: 201,
+      response: ref('Classroom')
+    },
+    'PUT /:classId': {
+      summary: 'Rename or describe a class',
+      response: ref('Classroom')
+    },
+    'POST /:classId/join-code': {
+      summary: 'Issue a new join code',
+      response: object({ joinCode: types.string }),
+      errors: [409]
+    },
+    'DELETE /:classId/students/:studentId': {
+      summary: 'Remove a student from the roster',
+      response: ref('Message')
+    },
+    'POST /:classId/transfer': {
+      summary: 'Hand the class to another teacher',
+      response: ref('Classroom')
+    },
+    'POST /:classId/archive': {
+      summary: 'Archive or restore a class',
+      response: ref('Classroom')
+    },
+    'POST /:classId/assignments': {
+      summary: 'Assign a deck to the class',
+      status: 201,
+      response: object({ _id: types.id, deckId: types.id, dueAt: types.date, assignedBy: types.id, assignedAt: types.date }),
+      errors: [409]
+    },
+    'PUT /:classId/assignments/:assignmentId': {
+      summary: "Change an assignment's due date",
+      response: object({ _id: types.id, deckId: types.id, dueAt: types.date, assignedBy: types.id, assignedAt: types.date }),
+      errors: [409]
+    },
+    'DELETE /:classId/assignments/:assignmentId': {
+      summary: 'Remove an assignment',
+      response: ref('Message')
+    }
+  }
+};
@@ -0,0 +1,32 @@
+const { ref, arrayOf, object, types } = require('../../utils/openapi');
+
+module.exports = {
+  tag: 'Devices',
+  routes: {
+    'GET /': {
+      summary: 'List my paired micro:bit devices',
+      response: arrayOf('DeviceStatus')
+    },
+    'POST /pairing': {
+      summary: 'Start pairing a device',
+      description: 'Enter the code on the serial bridge as "PAIR <code> <hardwareId>" before it expires.',
+      status: 201,
+      response: object({ device: 'DeviceStatus', pairingCode: types.string, expiresAt: types.date })
+    },
+    'PUT /:deviceId': {
+      summary: 'Rename a device or choose the deck it studies',
+      response: ref('DeviceStatus'),
+      errors: [404]
+    },
+    'DELETE /:deviceId': {
+      summary: 'Unpair a device',
+      response: ref('Message'),
+      errors: [404]
+    },
+    'POST /:deviceId/push': {
+      summary: 'Send a card to a connected device',
+      response: ref('Message'),
+      errors: [404, 409]
+    }
+  }
+};
@@ -0,0 +1,155 @@
+const { ref, arrayOf, types } = require('../../utils/openapi');
+
+const importBody = {
+  required: true,
+  description: 'The file contents: CSV, a JSON bundle from export, or Anki tab-separated text. Pick the parser with ?format=, otherwise it is detected.',
+  content: {
+    'text/csv': { schema: types.string },
+    'text/plain': { schema: types.string },
+    'application/json': { schema: { type: 'object' } }
+  }
+};
+
+module.exports = {
+  tag: 'Flashcards',
+  routes: {
+    'GET /decks': {
+      summary: 'List decks I can see',
+      description: 'Search by title with ?q=, and filter by tags, topic, grade level or my own decks.',
+      response: ref('DeckPage')
+    },
+    'GET /decks/:deckId': {
+      summary: 'Get a deck with its card counts',
+      response: ref('DeckDetail')
+    },
+    'PUT /decks/:deckId': {
+      summary: 'Update a deck',
+      response: ref('Deck')
+    },
+    'DELETE /decks/:deckId': {
+      summary: 'Delete a deck, its cards and their study history',
+      response: ref('Message')
+    },
+    'PUT /decks/:deckId/order': {
+      summary: 'Set the order of every card in a deck',
+      response: arrayOf('Flashcard')
+    },
+    'POST /decks/import': {
+      summary: 'Create a deck from an import file',
+      status: 201,
+      requestBody: importBody,
+      response: ref('ImportResult'),
+      errors: [413]
+    },
+    'POST /decks/:deckId/import': {
+      summary: 'Append imported cards to a deck',
+      status: 201,
+      requestBody: importBody,
+      response: ref('ImportResult'),
+      errors: [413]
+    },
+    'GET /decks/:deckId/export': {
+      summary: 'Download a deck as CSV, JSON or Anki text',
+      contentType: 'application/octet-stream',
+      response: { type: 'string', format: 'binary' }
+    },
+    'POST /media': {
+      summary: 'Upload an image or audio file for cards',
+      status: 201,
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: { type: 'object', properties: { file: { type: 'string', format: 'binary' } }, required: ['file'] }
+          }
+        }
+      },
+      response: ref('Media'),
+      errors: [400, 413, 415, 422]
+    },
+    'GET /media': {
+      summary: 'List my uploads',
+      response: arrayOf('Media')
+    },
+    'DELETE /media/:mediaId': {
+      summary: 'Delete an upload no card uses',
+      response: ref('Message'),
+      errors: [404, 409]
+    },
+    'POST /deck': {
+      summary: 'Create a deck',
+      status: 201,
+      response: ref('Deck')
+    },
+    'POST /flashcard': {
+      summary: 'Add a card to a deck',
+      status: 201,
+      response: ref('Flashcard')
+    },
+    'PUT /flashcard/:cardId': {
+      summary: 'Update a card',
+      description: 'Cards generated from a note are edited through the note.',
+      response: ref('Flashcard'),
+      errors: [409]
+    },
+    'DELETE /flashcard/:cardId': {
+      summary: 'Delete a card and its study history',
+      response: ref('Message'),
+      errors: [409]
+    },
+    'POST /flashcard/:cardId/move': {
+      summary: 'Move a card to another deck',
+      description: 'Cards generated from a note move together with their siblings.',
+      response: ref('Flashcard')
+    },
+    'POST /notes': {
+      summary: 'Create a note and generate its cards',
+      status: 201,
+      response: ref('NoteWithCards')
+    },
+    'GET /notes/:noteId': {
+      summary: 'Get a note with its generated cards',
+      response: ref('NoteWithCards')
+    },
+    'PUT /notes/:noteId': {
+      summary: 'Edit a note; its cards are regenerated in place',
+      response: ref('NoteWithCards'),
+      errors: [409]
+    },
+    'DELETE /notes/:noteId': {
+      summary: 'Delete a note, its cards and their study history',
+      response: ref('Message')
+    },
+    'POST /notes/:noteId/move': {
+      summary: 'Move a note and its cards to another deck',
+      response: ref('Note')
+    },
+    'GET /deck/:deckId': {
+      summary: 'List the cards in a deck',
+      response: arrayOf('Flashcard')
+    },
+    'GET /deck/:deckId/microbit': {
+      summary: 'List the micro:bit cards in a deck',
+      response: arrayOf('Flashcard')
+    },
+    'GET /deck/:deckId/due': {
+      summary: 'Cards due for review, with new cards mixed in',
+      response: ref('DueQueue')
+    },
+    'POST /review': {
+      summary: 'Grade a review (0-5) and reschedule the card',
+      response: ref('ReviewResult'),
+      errors: [404]
+    },
+    'POST /error': {
+      summary: 'Record a card I got wrong',
+      status: 201,
+      response: ref('ErrorCard'),
+      errors: [404]
+    },
+    'GET /error/:userId': {
+      summary: "List a student's error cards",
+      response: arrayOf('ErrorCard')
+    }
+  }
+};
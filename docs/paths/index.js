@@ -0,0 +1,19 @@
+// Route descriptors by mount path (see routes/index.js). Keys mirror the route
+// declarations, e.g. 'GET /decks/:deckId'; `npm run docs:check` fails when a
+// registered route has no entry here.
+module.exports = {
+  '/api/auth': require('./auth'),
+  '/api/user': require('./user'),
+  '/api/users': require('./account'),
+  '/api/flashcards': require('./flashcards'),
+  '/api/classes': require('./classrooms'),
+  '/api/analytics': require('./analytics'),
+  '/api/quizzes': require('./quizzes'),
+  '/api/devices': require('./devices'),
+  '/api/live': require('./liveSessions'),
+  '/api/search': require('./search'),
+  '/api/taxonomy': require('./taxonomy'),
+  '/api/tags': require('./tags'),
+  '/api/audit': require('./audit'),
+  '/api/progress': require('./progress')
+};
@@ -0,0 +1,43 @@
+const { ref, arrayOf, object, types } = require('../../utils/openapi');
+
+module.exports = {
+  tag: 'Live sessions',
+  routes: {
+    'GET /history': {
+      summary: 'Finished games I played, with my score and rank',
+      response: arrayOf(object({
+        _id: types.id,
+        deck: object({ _id: types.id, title: types.string }),
+        endedAt: types.date,
+        questionCount: types.integer,
+        playerCount: types.integer,
+        score: types.integer,
+        correctCount: types.integer,
+        rank: types.integer
+      }))
+    },
+    'GET /:sessionId': {
+      summary: 'Results and leaderboard of a game',
+      description: 'Players see only their own answers, and classmates who hide their name appear as "Anonymous learner". The PIN is shown to the host only.',
+      response: { allOf: [ref('LiveSession'), object({ live: types.boolean })] },
+      errors: [404]
+    },
+    'POST /': {
+      summary: 'Create a live game from a deck',
+      description: 'Players join with the PIN over the /ws/live socket.',
+      status: 201,
+      response: object({
+        _id: types.id,
+        pin: types.string,
+        deck: object({ _id: types.id, title: types.string }),
+        questionCount: types.integer,
+        questionTimeSeconds: types.integer
+      }),
+      errors: [404]
+    },
+    'GET /': {
+      summary: "Games I've hosted",
+      response: arrayOf('LiveSession')
+    }
+  }
+};
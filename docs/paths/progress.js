@@ -0,0 +1,32 @@
+const { ref, arrayOf } = require('../../utils/openapi');
+
+const privacy = 'Users who hide their name on leaderboards are listed as "Anonymous learner" to everyone but themselves.';
+
+module.exports = {
+  tag: 'Progress',
+  routes: {
+    'GET /me': {
+      summary: 'My XP, level, streak, counters and badges',
+      response: ref('ProgressSummary')
+    },
+    'GET /badges': {
+      summary: 'Every badge, with when I earned it',
+      response: arrayOf('BadgeStatus')
+    },
+    'GET /leaderboards/global': {
+      summary: 'XP leaderboard across everyone',
+      description: privacy,
+      response: ref('Leaderboard')
+    },
+    'GET /leaderboards/classes/:classId': {
+      summary: 'XP leaderboard of a class; XP earned anywhere counts',
+      description: `${privacy} Classmates who hide their name from classmates are anonymous too; the class teacher sees every name.`,
+      response: ref('Leaderboard')
+    },
+    'GET /leaderboards/decks/:deckId': {
+      summary: 'XP leaderboard for studying one deck',
+      description: privacy,
+      response: ref('Leaderboard')
+    }
+  }
+};
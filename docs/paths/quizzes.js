@@ -0,0 +1,41 @@
+const { ref, object, arrayOf, types } = require('../../utils/openapi');
+
+module.exports = {
+  tag: 'Quizzes',
+  routes: {
+    'POST /': {
+      summary: 'Start a quiz from one or more decks',
+      description: 'Correct answers stay hidden until the attempt is completed.',
+      status: 201,
+      response: ref('QuizAttempt'),
+      errors: [404]
+    },
+    'GET /': {
+      summary: 'List my attempts, newest first',
+      response: object({
+        attempts: arrayOf('QuizAttempt'),
+        page: types.integer,
+        limit: types.integer,
+        total: types.integer,
+        pages: types.integer
+      })
+    },
+    'GET /:attemptId': {
+      summary: 'Get one of my attempts',
+      description: 'An attempt past its time limit is completed on read.',
+      response: ref('QuizAttempt'),
+      errors: [404]
+    },
+    'POST /:attemptId/answers': {
+      summary: 'Answer the next question',
+      description: 'Questions are answered in order. A 409 OUT_OF_ORDER names the next question in details.nextQuestionIndex; QUIZ_EXPIRED carries the completed attempt in details.attempt.',
+      response: ref('QuizAnswerResult'),
+      errors: [404, 409]
+    },
+    'POST /:attemptId/submit': {
+      summary: 'Finish early; unanswered questions count as wrong',
+      response: ref('QuizAttempt'),
+      errors: [404]
+    }
+  }
+};
@@ -0,0 +1,12 @@
+const { ref } = require('../../utils/openapi');
+
+module.exports = {
+  tag: 'Search',
+  routes: {
+    'GET /': {
+      summary: 'Full-text search over decks and cards I can see',
+      description: 'scope=decks or scope=cards leaves the other result set out. Tag filters match tags on the card or its deck.',
+      response: ref('SearchResults')
+    }
+  }
+};
@@ -0,0 +1,31 @@
+const { ref, object, types } = require('../../utils/openapi');
+
+module.exports = {
+  tag: 'Tags',
+  routes: {
+    'GET /': {
+      summary: 'List tags with visible deck and card counts',
+      description: 'Filter by prefix with ?q=.',
+      response: ref('TagPage')
+    },
+    'GET /:slug/decks': {
+      summary: 'Visible decks carrying a tag',
+      response: ref('DeckPage')
+    },
+    'PUT /:slug': {
+      summary: "Set a tag's display name or rename its slug everywhere",
+      response: object({ tag: 'Tag', updated: 'TaggedCounts' }),
+      errors: [404, 409]
+    },
+    'POST /:slug/merge': {
+      summary: 'Merge a tag into another',
+      response: object({ message: types.string, updated: 'TaggedCounts' }),
+      errors: [404]
+    },
+    'DELETE /:slug': {
+      summary: 'Delete a tag and remove it from every deck, card and note',
+      response: object({ message: types.string, updated: 'TaggedCounts' }),
+      errors: [404]
+    }
+  }
+};
@@ -0,0 +1,39 @@
+const { ref, arrayOf, object, types } = require('../../utils/openapi');
+
+module.exports = {
+  tag: 'Taxonomy',
+  routes: {
+    'GET /': {
+      summary: 'The subject -> topic -> subtopic tree with visible deck counts',
+      response: arrayOf('TopicTreeNode')
+    },
+    'GET /:nodeId': {
+      summary: 'One node with its breadcrumb and direct children',
+      response: ref('TopicDetail'),
+      errors: [404]
+    },
+    'GET /:nodeId/decks': {
+      summary: 'Visible decks filed under a node or anything below it',
+      response: ref('DeckPage'),
+      errors: [404]
+    },
+    'POST /': {
+      summary: 'Add a subject, or a topic/subtopic under a parent',
+      status: 201,
+      response: ref('Topic'),
+      errors: [404, 409]
+    },
+    'PUT /:nodeId': {
+      summary: 'Rename, reorder or move a node',
+      description: 'Nodes keep their level, so a topic can move to another subject and a subtopic to another topic.',
+      response: ref('Topic'),
+      errors: [404, 409]
+    },
+    'DELETE /:nodeId': {
+      summary: 'Delete a node and everything below it',
+      description: 'Decks filed there are unfiled, or refiled under ?reassignTo= when given.',
+      response: object({ message: types.string, nodesDeleted: types.integer, decksUpdated: types.integer }),
+      errors: [404]
+    }
+  }
+};
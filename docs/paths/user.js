@@ -0,0 +1,11 @@
+const { object } = require('../../utils/openapi');
+
+module.exports = {
+  tag: 'Account',
+  routes: {
+    'GET /profile': {
+      summary: 'Get the signed-in user',
+      response: object({ user: 'User' })
+    }
+  }
+};
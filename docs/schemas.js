@@ -0,0 +1,238 @@
+// Component schemas for the OpenAPI document. Models listed in `models` are
+// generated from their Mongoose schemas; the rest describe response shapes
+// that controllers assemble themselves.
+const { ref, arrayOf, object, types } = require('../utils/openapi');
+
+const models = [
+  'User',
+  'Deck',
+  'Flashcard',
+  'Note',
+  'ErrorCard',
+  'ReviewState',
+  'Media',
+  'Classroom',
+  'QuizAttempt',
+  'Device',
+  'LiveSession',
+  'Topic',
+  'Tag',
+  'AuditLog',
+  'Progress',
+  'XpEvent',
+  'ReviewLog'
+];
+
+const withFields = (name, properties) => ({ allOf: [ref(name), object(properties)] });
+
+const page = (key, items) => object({
+  [key]: arrayOf(items),
+  page: types.integer,
+  limit: types.integer,
+  total: types.integer,
+  pages: types.integer
+});
+
+const streak = object({ current: types.integer, longest: types.integer, freezes: types.integer });
+
+const schemas = {
+  // Errors (see utils/errors)
+  Error: object({
+    error: { type: 'string', example: 'Deck not found' },
+    code: { type: 'string', example: 'NOT_FOUND' },
+    details: {
+      description: 'Field problems for VALIDATION_FAILED, otherwise extra context',
+      oneOf: [arrayOf('FieldError'), { type: 'object' }]
+    }
+  }, ['error', 'code']),
+  FieldError: object({
+    location: { type: 'string', enum: ['body', 'params', 'query'] },
+    field: types.string,
+    message: types.string
+  }),
+  Message: object({ message: types.string }),
+
+  // Users (see utils/users); `User` is the owner's own view
+  UserTeacherView: object({
+    _id: types.id,
+    name: types.string,
+    firstName: types.string,
+    lastName: types.string,
+    email: types.string,
+    role: types.string
+  }),
+  UserAdminView: object({
+    _id: types.id,
+    name: types.string,
+    firstName: types.string,
+    lastName: types.string,
+    email: types.string,
+    role: types.string,
+    isEmailVerified: types.boolean,
+    guestExpiresAt: types.date,
+    twoFactorEnabled: types.boolean,
+    privacy: object({ hideNameOnLeaderboards: types.boolean, hideNameFromClassmates: types.boolean })
+  }),
+
+  Session: object({
+    _id: types.id,
+    device: types.string,
+    ip: types.string,
+    userAgent: types.string,
+    createdAt: types.date,
+    lastSeen: types.date,
+    expiresAt: types.date
+  }),
+  AccountExport: object({
+    format: { type: 'string', enum: ['account-export'] },
+    version: types.integer,
+    exportedAt: types.date,
+    account: withFields('User', { sessions: arrayOf('Session') }),
+    content: object({
+      decks: arrayOf('Deck'),
+      notes: arrayOf('Note'),
+      flashcards: arrayOf('Flashcard'),
+      media: arrayOf('Media')
+    }),
+    classes: object({ teaching: arrayOf('Classroom'), attending: arrayOf('Classroom') }),
+    study: object({
+      progress: { nullable: true, allOf: [ref('Progress')] },
+      xpEvents: arrayOf('XpEvent'),
+      reviewStates: arrayOf('ReviewState'),
+      reviewLogs: arrayOf('ReviewLog'),
+      errorCards: arrayOf('ErrorCard'),
+      quizAttempts: arrayOf('QuizAttempt')
+    }),
+    liveGames: arrayOf(object({
+      _id: types.id,
+      deckId: types.id,
+      status: types.string,
+      startedAt: types.date,
+      endedAt: types.date,
+      player: types.any
+    })),
+    hostedGames: arrayOf(object({
+      _id: types.id,
+      deckId: types.id,
+      status: types.string,
+      questionTimeSeconds: types.integer,
+      createdAt: types.date,
+      startedAt: types.date,
+      endedAt: types.date,
+      playerCount: types.integer
+    })),
+    devices: arrayOf('Device'),
+    securityLog: arrayOf('AuditLog')
+  }),
+
+  // Auth
+  Tokens: object({ token: types.string, refreshToken: types.string }),
+  AuthSession: object({ token: types.string, refreshToken: types.string, user: 'User' }),
+  TwoFactorChallenge: object({ twoFactorRequired: { type: 'boolean', enum: [true] }, challengeToken: types.string }),
+  LoginResult: { oneOf: [ref('AuthSession'), ref('TwoFactorChallenge')] },
+
+  // Decks and cards
+  DeckSummary: withFields('Deck', { cardCount: types.integer }),
+  DeckPage: page('decks', 'DeckSummary'),
+  DeckDetail: withFields('Deck', { cardCount: types.integer, microbitCount: types.integer }),
+  NoteWithCards: object({ note: 'Note', cards: arrayOf('Flashcard') }),
+  ImportResult: object({ deck: 'Deck', imported: types.integer }),
+  DueCard: withFields('Flashcard', {
+    isNew: types.boolean,
+    review: {
+      nullable: true,
+      ...object({ easeFactor: types.number, interval: types.number, repetitions: types.integer, dueAt: types.date })
+    }
+  }),
+  DueQueue: object({ dueCount: types.integer, newCount: types.integer, cards: arrayOf('DueCard') }),
+
+  // Progress and gamification
+  Badge: object({ key: types.string, name: types.string, description: types.string, xp: types.integer }),
+  ProgressUpdate: {
+    nullable: true,
+    description: 'Null when progress could not be recorded; the review or answer itself still counts',
+    ...object({
+      xpAwarded: types.integer,
+      xp: types.integer,
+      level: types.integer,
+      streak,
+      newBadges: arrayOf('Badge')
+    })
+  },
+  ReviewResult: withFields('ReviewState', { progress: 'ProgressUpdate' }),
+  ProgressSummary: object({
+    xp: types.integer,
+    level: types.integer,
+    levelXp: types.integer,
+    nextLevelXp: types.integer,
+    streak,
+    counters: { type: 'object', additionalProperties: types.integer },
+    masteredDecks: arrayOf(types.id),
+    badges: arrayOf(withFields('Badge', { awardedAt: types.date }))
+  }),
+  BadgeStatus: withFields('Badge', { earned: types.boolean, awardedAt: { ...types.date, nullable: true } }),
+  LeaderboardEntry: object({ userId: types.id, name: types.string, xp: types.integer, rank: types.integer }),
+  Leaderboard: object({
+    scope: object({ type: { type: 'string', enum: ['global', 'class', 'deck'] } }),
+    window: { type: 'string', enum: ['weekly', 'all'] },
+    since: { ...types.date, nullable: true },
+    participants: types.integer,
+    entries: arrayOf('LeaderboardEntry'),
+    me: { nullable: true, allOf: [ref('LeaderboardEntry')] }
+  }),
+
+  // Quizzes
+  QuizAnswerResult: object({
+    questionIndex: types.integer,
+    isCorrect: types.boolean,
+    timedOut: types.boolean,
+    correctAnswer: types.string,
+    completed: types.boolean,
+    score: types.integer,
+    progress: 'ProgressUpdate'
+  }),
+
+  // Search
+  Highlights: { type: 'object', additionalProperties: types.string, description: 'Matched snippets by field' },
+  SearchResults: object({
+    query: types.string,
+    decks: page('results', withFields('Deck', { highlights: 'Highlights' })),
+    cards: page('results', object({
+      _id: types.id,
+      deckId: types.id,
+      noteId: types.id,
+      cardType: types.string,
+      question: types.string,
+      answer: types.string,
+      isMicrobit: types.boolean,
+      tags: arrayOf(types.string),
+      deck: object({ _id: types.id, title: types.string }),
+      highlights: 'Highlights'
+    }))
+  }),
+
+  // Taxonomy and tags
+  TopicTreeNode: object({
+    _id: types.id,
+    name: types.string,
+    slug: types.string,
+    level: { type: 'string', enum: ['subject', 'topic', 'subtopic'] },
+    description: types.string,
+    deckCount: types.integer,
+    children: arrayOf('TopicTreeNode')
+  }),
+  TopicDetail: withFields('Topic', {
+    deckCount: types.integer,
+    breadcrumb: arrayOf(object({ _id: types.id, name: types.string, slug: types.string, level: types.string })),
+    children: arrayOf(withFields('Topic', { deckCount: types.integer }))
+  }),
+  TagPage: page('tags', withFields('Tag', { deckCount: types.integer, cardCount: types.integer })),
+  TaggedCounts: object({ decks: types.integer, cards: types.integer, notes: types.integer }),
+
+  // Devices and live sessions
+  DeviceStatus: withFields('Device', { connected: types.boolean }),
+
+  AuditPage: page('entries', 'AuditLog')
+};
+
+module.exports = { models, schemas };
@@ -1,23 +1,17 @@
 require('dotenv').config();
-const express = require('express');
 const mongoose = require('mongoose');
-const authRoutes = require('./routes/authRoutes.js');
-const userRoutes = require('./routes/userRoutes.js');
-const cors = require('cors');
-
-const app = express();
-app.use(cors());
-app.use(express.json());
-
-app.use('/api/auth', authRoutes);
-app.use('/api/user', userRoutes);
-
-const flashcardRoutes = require('./routes/flashcardRoutes');
-app.use('/api/flashcards', flashcardRoutes);
-
+const app = require('./app');
+const attachSockets = require('./sockets');
+const { startGuestCleanup } = require('./jobs/guestCleanup');
+const { startAuditRetention } = require('./jobs/auditRetention');
+const { startAccountErasure } = require('./jobs/accountErasure');
 
 mongoose.connect(process.env.MONGO_URI)
   .then(() => {
-    app.listen(8000, () => console.log('✅ Server running at http://localhost:8000'));
+    const server = app.listen(8000, () => console.log('✅ Server running at http://localhost:8000'));
+    attachSockets(server);
+    startGuestCleanup();
+    startAuditRetention();
+    startAccountErasure();
   })
   .catch((err) => console.error('❌ MongoDB connection error:', err));
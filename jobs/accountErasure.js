@@ -0,0 +1,31 @@
+// Erases accounts whose requested deletion has waited out its grace period.
+const { findUserIdBatch, deleteUsersAndData } = require('../utils/userData');
+const audit = require('../utils/audit');
+
+const INTERVAL_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 100;
+
+const eraseScheduledAccounts = async (now = new Date()) => {
+  let total = 0;
+  for (;;) {
+    const ids = await findUserIdBatch({ deletionScheduledFor: { $lte: now } }, BATCH_SIZE);
+    if (!ids.length) break;
+    total += await deleteUsersAndData(ids);
+    await Promise.all(ids.map((id) => audit.record(null, 'user.account_erase', { actor: null, target: id, targetType: 'User' })));
+    if (ids.length < BATCH_SIZE) break;
+  }
+  return total;
+};
+
+const startAccountErasure = () => {
+  const run = () => eraseScheduledAccounts()
+    .then((count) => count && console.log(`🧹 Erased ${count} account(s) scheduled for deletion`))
+    .catch((err) => console.error('❌ Account erasure failed:', err));
+
+  run();
+  const timer = setInterval(run, INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { eraseScheduledAccounts, startAccountErasure };
@@ -0,0 +1,25 @@
+// Deletes audit entries older than the configured retention period, daily.
+const AuditLog = require('../models/AuditLog');
+const { getRetentionDays } = require('../utils/audit');
+
+const INTERVAL_MS = 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const purgeExpiredAuditLogs = async (now = new Date()) => {
+  const days = await getRetentionDays();
+  const result = await AuditLog.deleteMany({ createdAt: { $lt: new Date(now.getTime() - days * DAY_MS) } });
+  return result.deletedCount;
+};
+
+const startAuditRetention = () => {
+  const run = () => purgeExpiredAuditLogs()
+    .then((count) => count && console.log(`🧹 Purged ${count} audit log entr${count === 1 ? 'y' : 'ies'}`))
+    .catch((err) => console.error('❌ Audit log retention failed:', err));
+
+  run();
+  const timer = setInterval(run, INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { purgeExpiredAuditLogs, startAuditRetention };
@@ -0,0 +1,41 @@
+// Deletes expired guest accounts and their study data on a fixed interval.
+const mongoose = require('mongoose');
+const { findUserIdBatch, deleteUsersAndData } = require('../utils/userData');
+const { GUEST_TTL_MS } = require('../utils/guests');
+
+const INTERVAL_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 500;
+
+const cleanupExpiredGuests = async (now = new Date()) => {
+  // Guests created before expiry was tracked are aged by their _id timestamp
+  const legacyCutoff = mongoose.Types.ObjectId.createFromTime(Math.floor((now.getTime() - GUEST_TTL_MS) / 1000));
+  const filter = {
+    role: 'guest',
+    $or: [
+      { guestExpiresAt: { $lte: now } },
+      { guestExpiresAt: { $exists: false }, _id: { $lt: legacyCutoff } }
+    ]
+  };
+
+  let total = 0;
+  for (;;) {
+    const ids = await findUserIdBatch(filter, BATCH_SIZE);
+    if (!ids.length) break;
+    total += await deleteUsersAndData(ids);
+    if (ids.length < BATCH_SIZE) break;
+  }
+  return total;
+};
+
+const startGuestCleanup = () => {
+  const run = () => cleanupExpiredGuests()
+    .then((count) => count && console.log(`🧹 Removed ${count} expired guest account(s)`))
+    .catch((err) => console.error('❌ Guest cleanup failed:', err));
+
+  run();
+  const timer = setInterval(run, INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { cleanupExpiredGuests, startGuestCleanup };
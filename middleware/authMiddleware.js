@@ -1,17 +1,108 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Deck = require('../models/Deck');
+const Flashcard = require('../models/Flashcard');
+const Note = require('../models/Note');
+const { canEditDeck, canViewDeck } = require('../utils/deckAccess');
+const { touchSession } = require('../utils/sessions');
+const { UnauthorizedError, ForbiddenError, NotFoundError } = require('../utils/errors');
 
-exports.protect = async (req, res, next) => {
-  let token = req.headers.authorization;
+// Resolve an access token to its user, or null when its session is gone.
+// Throws if the token itself is invalid. Shared with the WebSocket gateways.
+const authenticate = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!decoded.sid) return null;
+
+  const user = await User.findById(decoded.id).select('-password -sessions.refreshTokenHash');
+  const session = user && user.sessions.id(decoded.sid);
+  if (!session || session.expiresAt <= new Date()) return null;
+
+  user.sessionId = session._id;
+  await touchSession(user, session);
+  return user;
+};
+
+exports.authenticate = authenticate;
 
-  if (!token) return res.status(401).json({ error: 'No token provided' });
+exports.protect = async (req, res, next) => {
+  const header = req.headers.authorization;
+  if (!header) throw new UnauthorizedError('No token provided', { code: 'AUTH_REQUIRED' });
 
   try {
-    token = token.replace('Bearer ', '');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = await User.findById(decoded.id).select('-password');
-    next();
+    req.user = await authenticate(header.replace('Bearer ', ''));
   } catch (err) {
-    res.status(401).json({ error: 'Invalid token' });
+    throw new UnauthorizedError('Invalid token', { code: 'INVALID_TOKEN' });
   }
+  if (!req.user) throw new UnauthorizedError('Session expired or revoked', { code: 'SESSION_EXPIRED' });
+  next();
+};
+
+// Allow only the listed roles; must run after protect
+exports.authorize = (...roles) => {
+  const check = (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      throw new ForbiddenError('Not authorized for this action');
+    }
+    next();
+  };
+  check.roles = roles; // documented by utils/openapi
+  return check;
+};
+
+// Guest accounts are temporary; keep them out of account-level features
+exports.denyGuests = (req, res, next) => {
+  if (req.user.role !== 'guest') return next();
+  throw new ForbiddenError('Create an account to use this feature', { code: 'GUEST_NOT_ALLOWED' });
+};
+
+// Teacher actions need a confirmed email address; admins are exempt. Teachers
+// from before verification existed are grandfathered by
+// scripts/grandfather-teacher-emails.js, run once on deploy.
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (req.user.role === 'admin' || req.user.isEmailVerified) return next();
+  throw new ForbiddenError('Please verify your email address first', { code: 'EMAIL_NOT_VERIFIED' });
+};
+
+// Allow the user named by a route param, or an admin
+exports.authorizeSelf = (param = 'userId') => (req, res, next) => {
+  if (req.user.role === 'admin' || req.params[param] === req.user.id) return next();
+  throw new ForbiddenError('Not authorized for this action');
+};
+
+// Load the deck from params or body and require edit rights on it (owner teacher or admin)
+exports.authorizeDeck = async (req, res, next) => {
+  const deck = await Deck.findById(req.params.deckId || req.body.deckId);
+  if (!deck) throw new NotFoundError('Deck not found');
+  if (!canEditDeck(req.user, deck)) throw new ForbiddenError('Not authorized to modify this deck');
+  req.deck = deck;
+  next();
+};
+
+// Load the deck from params and require read access to it
+exports.authorizeDeckRead = async (req, res, next) => {
+  const deck = await Deck.findById(req.params.deckId);
+  if (!deck || !(await canViewDeck(req.user, deck))) throw new NotFoundError('Deck not found');
+  req.deck = deck;
+  next();
+};
+
+// Load the flashcard from params and require edit rights on its deck
+exports.authorizeFlashcard = async (req, res, next) => {
+  const card = await Flashcard.findById(req.params.cardId);
+  if (!card) throw new NotFoundError('Flashcard not found');
+  const deck = await Deck.findById(card.deckId);
+  if (!canEditDeck(req.user, deck)) throw new ForbiddenError('Not authorized to modify this flashcard');
+  req.flashcard = card;
+  req.deck = deck;
+  next();
+};
+
+exports.authorizeNote = async (req, res, next) => {
+  const note = await Note.findById(req.params.noteId);
+  if (!note) throw new NotFoundError('Note not found');
+  const deck = await Deck.findById(note.deckId);
+  if (!canEditDeck(req.user, deck)) throw new ForbiddenError('Not authorized to modify this note');
+  req.note = note;
+  req.deck = deck;
+  next();
 };
@@ -0,0 +1,32 @@
+const Classroom = require('../models/Classroom');
+const { ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// Classes whose teacher was erased have none
+const isTeacherOf = (user, classroom) => !!classroom.teacher?.equals(user._id);
+const isStudentOf = (user, classroom) => classroom.students.some((id) => id.equals(user._id));
+
+// Load the classroom from params; visible to its teacher, its students and admins
+exports.loadClassroom = async (req, res, next) => {
+  const classroom = await Classroom.findById(req.params.classId);
+  const allowed = classroom &&
+    (req.user.role === 'admin' || isTeacherOf(req.user, classroom) || isStudentOf(req.user, classroom));
+  if (!allowed) throw new NotFoundError('Class not found');
+
+  req.classroom = classroom;
+  next();
+};
+
+// Only the class teacher or an admin; must run after loadClassroom
+exports.requireClassTeacher = (req, res, next) => {
+  if (req.user.role === 'admin' || isTeacherOf(req.user, req.classroom)) return next();
+  throw new ForbiddenError('Only the class teacher can do this');
+};
+
+// Archived classes are read-only
+exports.requireActiveClass = (req, res, next) => {
+  if (!req.classroom.archived) return next();
+  throw new ConflictError('This class is archived', { code: 'CLASS_ARCHIVED' });
+};
+
+exports.isTeacherOf = isTeacherOf;
+exports.isStudentOf = isStudentOf;
@@ -0,0 +1,45 @@
+// Last in the chain: turns anything thrown by a route into the error envelope
+// documented in utils/errors.
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { AppError, BadRequestError, NotFoundError, ConflictError, PayloadTooLargeError, ValidationError, errorBody } = require('../utils/errors');
+
+// Known library errors mapped onto typed errors; null when unrecognized
+const translate = (err) => {
+  if (err instanceof AppError) return err;
+  if (err.type === 'entity.parse.failed') return new BadRequestError('Malformed JSON body', { code: 'INVALID_JSON' });
+  if (err.type === 'entity.too.large') return new PayloadTooLargeError('Request body is too large');
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_SIZE') return new PayloadTooLargeError('File is too large');
+    return new BadRequestError(err.message, { code: 'INVALID_UPLOAD' });
+  }
+  if (err instanceof mongoose.Error.CastError) {
+    return new BadRequestError(`Invalid ${err.path}`, { code: 'INVALID_ID', details: { field: err.path } });
+  }
+  if (err instanceof mongoose.Error.ValidationError) {
+    return new ValidationError('Validation failed', {
+      details: Object.values(err.errors).map((error) => ({ location: 'body', field: error.path, message: error.message }))
+    });
+  }
+  if (err.code === 11000) {
+    return new ConflictError('A record with these details already exists', {
+      code: 'DUPLICATE',
+      details: { fields: Object.keys(err.keyPattern || {}) }
+    });
+  }
+  return null;
+};
+
+// Unmatched routes
+exports.notFound = (req, res, next) => {
+  next(new NotFoundError(`Cannot ${req.method} ${req.path}`, { code: 'ROUTE_NOT_FOUND' }));
+};
+
+exports.errorHandler = (err, req, res, next) => {
+  const error = translate(err);
+  if (!error || error.status >= 500) console.error('❌ Unhandled error:', err);
+  if (res.headersSent) return req.socket.destroy();
+
+  const body = error ? errorBody(error) : { error: 'Internal server error', code: 'INTERNAL_ERROR' };
+  res.status(error ? error.status : 500).json(body);
+};
@@ -0,0 +1,39 @@
+// CSRF protection for the OAuth redirect flow without server sessions: a
+// random nonce goes both in a short-lived httpOnly cookie and in the signed
+// `state` parameter, and the callback requires the two to match.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { BadRequestError } = require('../utils/errors');
+
+const COOKIE_NAME = 'oauth_state';
+const STATE_TTL_SECONDS = 10 * 60;
+
+const readCookie = (req, name) => {
+  const header = req.headers.cookie || '';
+  const entry = header.split(';').map((part) => part.trim()).find((part) => part.startsWith(`${name}=`));
+  return entry ? decodeURIComponent(entry.slice(name.length + 1)) : undefined;
+};
+
+exports.issueOAuthState = (req, res, next) => {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  res.cookie(COOKIE_NAME, nonce, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    maxAge: STATE_TTL_SECONDS * 1000,
+    path: '/api/auth/google'
+  });
+  req.oauthState = jwt.sign({ purpose: 'oauth-state', nonce }, process.env.JWT_SECRET, { expiresIn: STATE_TTL_SECONDS });
+  next();
+};
+
+exports.checkOAuthState = (req, res, next) => {
+  res.clearCookie(COOKIE_NAME, { path: '/api/auth/google' });
+  try {
+    const decoded = jwt.verify(String(req.query.state || ''), process.env.JWT_SECRET);
+    if (decoded.purpose === 'oauth-state' && decoded.nonce === readCookie(req, COOKIE_NAME)) return next();
+  } catch (err) {
+    // fall through
+  }
+  next(new BadRequestError('Invalid OAuth state', { code: 'INVALID_OAUTH_STATE' }));
+};
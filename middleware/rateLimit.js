@@ -0,0 +1,53 @@
+// In-memory fixed-window rate limiter. Counters live in this process, so a
+// multi-instance deployment gets per-instance limits.
+const { TooManyRequestsError } = require('../utils/errors');
+const { verifyChallengeToken } = require('../utils/twoFactor');
+
+const limiters = [];
+
+const rateLimit = ({ windowMs, max, key = (req) => req.ip, message = 'Too many requests, please try again later' }) => {
+  const hits = new Map();
+  limiters.push(hits);
+
+  const limiter = (req, res, next) => {
+    const id = key(req);
+    if (id === undefined || id === null || id === '') return next();
+
+    const now = Date.now();
+    let entry = hits.get(id);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(id, entry);
+    }
+    entry.count += 1;
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      throw new TooManyRequestsError(message);
+    }
+    next();
+  };
+  limiter.limit = { windowMs, max }; // documented by utils/openapi
+  return limiter;
+};
+
+// Key by the account an auth request targets, whether or not it exists
+const byEmail = (req) => {
+  const email = req.body?.email;
+  return typeof email === 'string' ? `${email.trim().toLowerCase()}` : undefined;
+};
+
+// Key by the account a 2FA challenge belongs to; invalid challenges are rejected later
+const byChallenge = (req) => verifyChallengeToken(req.body?.challengeToken)?.userId;
+
+const sweep = setInterval(() => {
+  const now = Date.now();
+  limiters.forEach((hits) => {
+    hits.forEach((entry, id) => {
+      if (entry.resetAt <= now) hits.delete(id);
+    });
+  });
+}, 60 * 1000);
+sweep.unref();
+
+module.exports = { rateLimit, byEmail, byChallenge };
@@ -0,0 +1,18 @@
+const multer = require('multer');
+const { MAX_UPLOAD_BYTES } = require('../utils/media');
+const { ValidationError } = require('../utils/errors');
+
+// Files are held in memory so their bytes can be sniffed before anything is stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+});
+
+// Single-file upload under `field`; multer errors are mapped by the error handler
+exports.singleUpload = (field) => (req, res, next) => {
+  upload.single(field)(req, res, (err) => {
+    if (err) return next(err);
+    if (!req.file) return next(new ValidationError(`No file uploaded in field "${field}"`, { code: 'FILE_REQUIRED' }));
+    next();
+  });
+};
@@ -0,0 +1,26 @@
+const { checkSchema, validationResult } = require('express-validator');
+const { ValidationError } = require('../utils/errors');
+
+// Validate the request against an express-validator schema (see validators/)
+// and fail with VALIDATION_FAILED listing each offending field. Pass a list of
+// schemas when the same field name appears in two locations. Sanitizers
+// update req.body and req.params; Express 5 re-parses req.query on every
+// access, so handlers still convert query values themselves.
+const validate = (schema) => {
+  const report = (req, res, next) => {
+    const result = validationResult(req);
+    if (result.isEmpty()) return next();
+    throw new ValidationError('Request validation failed', {
+      details: result.array({ onlyFirstError: true }).map((error) => ({
+        location: error.location,
+        field: error.path,
+        message: error.msg
+      }))
+    });
+  };
+  // utils/openapi reads the schema back to document the route
+  report.schema = [].concat(schema);
+  return [...report.schema.flatMap((part) => checkSchema(part)), report];
+};
+
+module.exports = { validate };
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Append-only record of administrative and security-sensitive actions,
+// written through utils/audit. Entries are never updated; the only deletion
+// is the retention job's deleteMany of entries past the retention period. The
+// one exception is account erasure (utils/userData), which strips the erased
+// user's personal data from their entries.
+const auditLogSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  actorEmail: String,
+  actorRole: String,
+  action: { type: String, required: true },
+  targetType: String,
+  targetId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  ip: String,
+  userAgent: String,
+  changes: {
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  },
+  metadata: mongoose.Schema.Types.Mixed,
+  createdAt: { type: Date, default: Date.now, immutable: true }
+}, { minimize: true });
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetId: 1, createdAt: -1 });
+
+const appendOnly = () => {
+  throw new Error('Audit log entries cannot be modified or deleted individually');
+};
+
+auditLogSchema.pre('save', function () {
+  if (!this.isNew) appendOnly();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'findOneAndDelete']
+  .forEach((op) => auditLogSchema.pre(op, { document: false, query: true }, appendOnly));
+auditLogSchema.pre('deleteOne', { document: true, query: false }, appendOnly);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
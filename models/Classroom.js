@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const assignmentSchema = new mongoose.Schema({
+  deckId: { type: mongoose.Schema.Types.ObjectId, ref: 'Deck', required: true },
+  dueAt: Date,
+  assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  assignedAt: { type: Date, default: Date.now }
+});
+
+const classroomSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  description: String,
+  // Unset once the teacher's account is erased; an admin can hand the class on
+  teacher: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  students: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  joinCode: { type: String, required: true, unique: true },
+  assignments: [assignmentSchema],
+  archived: { type: Boolean, default: false },
+  archivedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+classroomSchema.index({ teacher: 1, archived: 1 });
+classroomSchema.index({ students: 1, archived: 1 });
+classroomSchema.index({ 'assignments.deckId': 1 });
+
+module.exports = mongoose.model('Classroom', classroomSchema);
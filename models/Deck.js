@@ -1,9 +1,24 @@
 const mongoose = require('mongoose');
+const { trackTags } = require('../utils/tags');
 
 const deckSchema = new mongoose.Schema({
-  title: { type: String, required: true },
+  title: { type: String, required: true, trim: true },
   description: String,
-  createdAt: { type: Date, default: Date.now }
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  visibility: { type: String, enum: ['private', 'class', 'public'], default: 'public' },
+  tags: { type: [String], index: true },
+  topics: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Topic' }], index: true },
+  gradeLevels: [{ type: String, trim: true }],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
 });
 
+deckSchema.index({ createdBy: 1, createdAt: -1 });
+deckSchema.index(
+  { title: 'text', description: 'text', tags: 'text' },
+  { name: 'deck_text', weights: { title: 10, tags: 5, description: 2 } }
+);
+
+trackTags(deckSchema);
+
 module.exports = mongoose.model('Deck', deckSchema);
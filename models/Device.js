@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const deviceSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, default: 'micro:bit', trim: true },
+  hardwareId: String,
+  status: { type: String, enum: ['pending', 'paired', 'revoked'], default: 'pending' },
+  pairingCodeHash: String,
+  pairingExpiresAt: Date,
+  tokenHash: String,
+  activeDeckId: { type: mongoose.Schema.Types.ObjectId, ref: 'Deck' },
+  pairedAt: Date,
+  lastSeenAt: Date,
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.pairingCodeHash;
+      delete ret.tokenHash;
+      return ret;
+    }
+  }
+});
+
+deviceSchema.index({ owner: 1, status: 1 });
+deviceSchema.index({ pairingCodeHash: 1 }, { sparse: true });
+
+module.exports = mongoose.model('Device', deviceSchema);
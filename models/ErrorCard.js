@@ -4,6 +4,10 @@ const errorCardSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   flashcardId: { type: mongoose.Schema.Types.ObjectId, ref: 'Flashcard', required: true },
   deckId: { type: mongoose.Schema.Types.ObjectId, ref: 'Deck' },
+  noteId: { type: mongoose.Schema.Types.ObjectId, ref: 'Note' },
+  cardType: { type: String, enum: ['basic', 'reversed', 'cloze', 'multipleChoice'], default: 'basic' },
+  // What the student answered, when known
+  response: String,
   timestamp: { type: Date, default: Date.now }
 });
 
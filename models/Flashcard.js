@@ -1,11 +1,51 @@
 const mongoose = require('mongoose');
+const { trackTags } = require('../utils/tags');
+
+// Rendered, sanitized HTML is stored next to the Markdown source (see utils/richContent)
+const richTextSchema = new mongoose.Schema({
+  markdown: { type: String, required: true },
+  html: { type: String, required: true }
+}, { _id: false });
+
+const attachmentSchema = new mongoose.Schema({
+  media: { type: mongoose.Schema.Types.ObjectId, ref: 'Media', required: true },
+  side: { type: String, enum: ['question', 'answer', 'hint', 'explanation'], default: 'question' },
+  kind: { type: String, enum: ['image', 'audio'], required: true },
+  url: { type: String, required: true },
+  alt: { type: String, trim: true }
+}, { _id: false });
 
 const flashcardSchema = new mongoose.Schema({
   deckId: { type: mongoose.Schema.Types.ObjectId, ref: 'Deck', required: true },
+  // Cards generated from a Note; hand-written basic cards have no noteId
+  noteId: { type: mongoose.Schema.Types.ObjectId, ref: 'Note' },
+  cardType: { type: String, enum: ['basic', 'reversed', 'cloze', 'multipleChoice'], default: 'basic' },
+  // Which card of the note this is: 1 = forward / 2 = reverse, or the cloze number
+  ordinal: { type: Number, default: 1 },
+  options: { type: [String], default: undefined },
+  // Plain-text question/answer are always filled in, for older clients and the micro:bit
   question: { type: String, required: true },
   answer: { type: String, required: true },
+  content: {
+    question: richTextSchema,
+    answer: richTextSchema,
+    hint: richTextSchema,
+    explanation: richTextSchema
+  },
+  attachments: [attachmentSchema],
+  tags: { type: [String], index: true },
   isMicrobit: { type: Boolean, default: false },
+  position: { type: Number, default: 0 },
   createdAt: { type: Date, default: Date.now }
 });
 
+flashcardSchema.index({ deckId: 1, position: 1 });
+flashcardSchema.index(
+  { question: 'text', answer: 'text', tags: 'text' },
+  { name: 'flashcard_text', weights: { question: 5, answer: 3, tags: 2 } }
+);
+flashcardSchema.index({ noteId: 1, ordinal: 1 }, { unique: true, partialFilterExpression: { noteId: { $exists: true } } });
+
+trackTags(flashcardSchema);
+
 module.exports = mongoose.model('Flashcard', flashcardSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const liveQuestionSchema = new mongoose.Schema({
+  flashcardId: { type: mongoose.Schema.Types.ObjectId, ref: 'Flashcard', required: true },
+  type: { type: String, enum: ['free_text', 'multiple_choice', 'true_false'], required: true },
+  prompt: { type: String, required: true },
+  statement: String,
+  options: [String],
+  correctAnswer: { type: String, required: true }
+}, { _id: false });
+
+const playerAnswerSchema = new mongoose.Schema({
+  questionIndex: Number,
+  answer: String,
+  isCorrect: Boolean,
+  timeMs: Number,
+  points: Number
+}, { _id: false });
+
+const playerSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: String,
+  // Shown anonymously to other players (privacy.hideNameFromClassmates)
+  hideName: { type: Boolean, default: false },
+  score: { type: Number, default: 0 },
+  correctCount: { type: Number, default: 0 },
+  rank: Number,
+  answers: [playerAnswerSchema],
+  joinedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const liveSessionSchema = new mongoose.Schema({
+  deckId: { type: mongoose.Schema.Types.ObjectId, ref: 'Deck', required: true },
+  // Unset once the host's account is erased
+  host: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  pin: { type: String, required: true },
+  status: { type: String, enum: ['lobby', 'running', 'finished'], default: 'lobby' },
+  questionTimeSeconds: { type: Number, default: 20 },
+  questions: [liveQuestionSchema],
+  players: [playerSchema],
+  createdAt: { type: Date, default: Date.now },
+  startedAt: Date,
+  endedAt: Date
+});
+
+// PINs only need to be unique among sessions that haven't finished
+liveSessionSchema.index({ pin: 1 }, { unique: true, partialFilterExpression: { status: { $in: ['lobby', 'running'] } } });
+liveSessionSchema.index({ 'players.userId': 1, endedAt: -1 });
+liveSessionSchema.index({ host: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LiveSession', liveSessionSchema);
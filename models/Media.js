@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const mediaSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  kind: { type: String, enum: ['image', 'audio'], required: true },
+  mimeType: { type: String, required: true },
+  size: { type: Number, required: true },
+  originalName: { type: String, trim: true },
+  storageKey: { type: String, required: true },
+  url: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.storageKey;
+      return ret;
+    }
+  }
+});
+
+mediaSchema.index({ owner: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Media', mediaSchema);
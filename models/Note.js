@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const { trackTags } = require('../utils/tags');
+
+// The authored source of one or more generated Flashcards (see utils/notes).
+// Which fields are used depends on the type:
+//   basic / reversed - front, back
+//   cloze            - text with {{c1::answer}} or {{c1::answer::hint}} deletions
+//   multipleChoice   - front, options, correctOption (index into options)
+// `extra` (Markdown) is shown as the explanation on every generated card.
+const noteSchema = new mongoose.Schema({
+  deckId: { type: mongoose.Schema.Types.ObjectId, ref: 'Deck', required: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  type: { type: String, enum: ['basic', 'reversed', 'cloze', 'multipleChoice'], required: true },
+  fields: {
+    front: String,
+    back: String,
+    text: String,
+    options: { type: [String], default: undefined },
+    correctOption: Number,
+    extra: String
+  },
+  tags: [String],
+  isMicrobit: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+noteSchema.index({ deckId: 1 });
+
+trackTags(noteSchema);
+
+module.exports = mongoose.model('Note', noteSchema);
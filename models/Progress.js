@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Per-user gamification state, maintained by utils/progress
+const progressSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  xp: { type: Number, default: 0 },
+  streak: {
+    current: { type: Number, default: 0 },
+    longest: { type: Number, default: 0 },
+    lastActiveDay: String, // YYYY-MM-DD in the user's timezone
+    freezes: { type: Number, default: 0 },
+    freezesUsed: { type: Number, default: 0 }
+  },
+  counters: {
+    reviews: { type: Number, default: 0 },
+    correctReviews: { type: Number, default: 0 },
+    quizAnswers: { type: Number, default: 0 },
+    correctQuizAnswers: { type: Number, default: 0 },
+    quizzesCompleted: { type: Number, default: 0 },
+    sessions: { type: Number, default: 0 },
+    perfectSessions: { type: Number, default: 0 },
+    decksMastered: { type: Number, default: 0 }
+  },
+  masteredDecks: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Deck' }],
+  badges: [{
+    _id: false,
+    key: { type: String, required: true },
+    awardedAt: { type: Date, default: Date.now },
+    context: mongoose.Schema.Types.Mixed
+  }],
+  // The deck study session in progress; it ends when the deck has nothing
+  // left due, or when the student moves on or goes idle
+  session: {
+    deckId: { type: mongoose.Schema.Types.ObjectId, ref: 'Deck' },
+    startedAt: Date,
+    lastActivityAt: Date,
+    reviews: Number,
+    errors: Number
+  },
+  updatedAt: { type: Date, default: Date.now }
+}, { optimisticConcurrency: true });
+
+progressSchema.index({ xp: -1 });
+
+module.exports = mongoose.model('Progress', progressSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const questionSchema = new mongoose.Schema({
+  flashcardId: { type: mongoose.Schema.Types.ObjectId, ref: 'Flashcard', required: true },
+  deckId: { type: mongoose.Schema.Types.ObjectId, ref: 'Deck' },
+  // Copied from the card so missed questions become error cards of the right kind
+  noteId: { type: mongoose.Schema.Types.ObjectId, ref: 'Note' },
+  cardType: { type: String, enum: ['basic', 'reversed', 'cloze', 'multipleChoice'], default: 'basic' },
+  type: { type: String, enum: ['free_text', 'multiple_choice', 'true_false'], required: true },
+  prompt: { type: String, required: true },
+  statement: String,
+  options: [String],
+  correctAnswer: { type: String, required: true },
+  answer: String,
+  isCorrect: Boolean,
+  timedOut: { type: Boolean, default: false },
+  // Left unanswered when the quiz was submitted early or ran out of time
+  unanswered: { type: Boolean, default: false },
+  answeredAt: Date,
+  timeTakenMs: Number
+});
+
+const quizAttemptSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  deckIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Deck' }],
+  status: { type: String, enum: ['in_progress', 'completed'], default: 'in_progress' },
+  timeLimitSeconds: Number,
+  questionTimeLimitSeconds: Number,
+  questions: [questionSchema],
+  correctCount: { type: Number, default: 0 },
+  score: { type: Number, default: 0 },
+  startedAt: { type: Date, default: Date.now },
+  expiresAt: Date,
+  completedAt: Date
+});
+
+quizAttemptSchema.index({ userId: 1, startedAt: -1 });
+
+module.exports = mongoose.model('QuizAttempt', quizAttemptSchema);
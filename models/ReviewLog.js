@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+const reviewLogSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  flashcardId: { type: mongoose.Schema.Types.ObjectId, ref: 'Flashcard', required: true },
+  deckId: { type: mongoose.Schema.Types.ObjectId, ref: 'Deck' },
+  grade: { type: Number, min: 0, max: 5, required: true },
+  interval: Number,
+  easeFactor: Number,
+  reviewedAt: { type: Date, default: Date.now }
+});
+
+reviewLogSchema.index({ userId: 1, reviewedAt: -1 });
+reviewLogSchema.index({ deckId: 1, flashcardId: 1 });
+
+module.exports = mongoose.model('ReviewLog', reviewLogSchema);
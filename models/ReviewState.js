@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+const reviewStateSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  flashcardId: { type: mongoose.Schema.Types.ObjectId, ref: 'Flashcard', required: true },
+  deckId: { type: mongoose.Schema.Types.ObjectId, ref: 'Deck', required: true },
+  easeFactor: { type: Number, default: 2.5 },
+  interval: { type: Number, default: 0 },
+  repetitions: { type: Number, default: 0 },
+  lapses: { type: Number, default: 0 },
+  dueAt: { type: Date, default: Date.now },
+  lastGrade: Number,
+  lastReviewedAt: Date,
+  introducedAt: { type: Date, default: Date.now }
+});
+
+reviewStateSchema.index({ userId: 1, flashcardId: 1 }, { unique: true });
+reviewStateSchema.index({ userId: 1, deckId: 1, dueAt: 1 });
+
+module.exports = mongoose.model('ReviewState', reviewStateSchema);
@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+// Runtime settings that admins can change without a redeploy
+const settingSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  value: mongoose.Schema.Types.Mixed,
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Setting', settingSchema);
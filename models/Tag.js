@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+
+// Registry of the tag slugs used on decks, cards and notes (which store the
+// slug itself). Kept in sync by utils/tags; renames and merges go through it.
+const tagSchema = new mongoose.Schema({
+  slug: { type: String, required: true, unique: true },
+  name: { type: String, trim: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Tag', tagSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// A node in the curriculum taxonomy: subject -> topic -> subtopic.
+// `ancestors` lists every node above this one (root first), so a whole
+// subtree can be found with a single { ancestors: nodeId } query.
+const topicSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  slug: { type: String, required: true },
+  level: { type: String, enum: ['subject', 'topic', 'subtopic'], required: true },
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Topic', default: null },
+  ancestors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Topic' }],
+  description: { type: String, trim: true },
+  position: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+topicSchema.index({ parent: 1, slug: 1 }, { unique: true });
+topicSchema.index({ ancestors: 1 });
+
+module.exports = mongoose.model('Topic', topicSchema);
@@ -1,12 +1,96 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { serializeUser } = require('../utils/users');
+
+const sessionSchema = new mongoose.Schema({
+  device: String,
+  ip: String,
+  userAgent: String,
+  refreshTokenHash: String,
+  createdAt: { type: Date, default: Date.now },
+  lastSeen: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+}, {
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.refreshTokenHash;
+      return ret;
+    }
+  }
+});
+
+const identitySchema = new mongoose.Schema({
+  provider: { type: String, required: true },
+  subject: { type: String, required: true },
+  email: String,
+  linkedAt: { type: Date, default: Date.now }
+});
 
 const userSchema = new mongoose.Schema({
   name: String,
+  firstName: { type: String, trim: true },
+  lastName: { type: String, trim: true },
   email: { type: String, unique: true },
-  password: String,
+  password: { type: String, select: false },
   role: { type: String, enum: ['student', 'teacher', 'admin', 'guest'], default: 'student' },
+  isEmailVerified: { type: Boolean, default: false },
+  guestExpiresAt: Date,
+  profile: {
+    phone: String,
+    bio: { type: String, maxlength: 500 },
+    avatar: String
+  },
+  preferences: {
+    language: { type: String, default: 'en' },
+    timezone: { type: String, default: 'UTC' },
+    emailNotifications: { type: Boolean, default: true }
+  },
+  // See PRIVACY_SETTINGS in utils/users
+  privacy: {
+    hideNameOnLeaderboards: { type: Boolean, default: false },
+    hideNameFromClassmates: { type: Boolean, default: false }
+  },
   otp: String,
   otpExpiresAt: Date,
+  otpAttempts: { type: Number, default: 0 },
+  otpLastSentAt: Date,
+  passwordResetTokenHash: String,
+  passwordResetExpiresAt: Date,
+  twoFactorEnabled: { type: Boolean, default: false },
+  twoFactorSecret: String,
+  twoFactorTempSecret: String,
+  twoFactorBackupCodes: [String],
+  // The outstanding login challenge (utils/twoFactor) and the guesses used on it
+  twoFactorChallengeId: String,
+  twoFactorChallengeAttempts: { type: Number, default: 0 },
+  identities: [identitySchema],
+  sessions: [sessionSchema],
+  // Set while a requested deletion waits out its grace period (jobs/accountErasure)
+  deletionRequestedAt: Date,
+  deletionScheduledFor: Date,
+}, {
+  toJSON: {
+    // Only the owner's view of the account ever leaves the server
+    transform: (doc, ret) => serializeUser(ret)
+  }
 });
 
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+
+// Hash the password whenever it is set in plaintext
+userSchema.pre('save', async function () {
+  if (!this.isModified('password') || !this.password) return;
+  this.password = await bcrypt.hash(this.password, 10);
+});
+
+userSchema.methods.comparePassword = async function (candidate) {
+  if (!this.password || !candidate) return false;
+  return bcrypt.compare(candidate, this.password);
+};
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// One XP award; leaderboards sum these over a time window
+const xpEventSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  amount: { type: Number, required: true },
+  reason: { type: String, enum: ['review', 'quiz_answer', 'badge'], required: true },
+  deckId: { type: mongoose.Schema.Types.ObjectId, ref: 'Deck' },
+  flashcardId: { type: mongoose.Schema.Types.ObjectId, ref: 'Flashcard' },
+  badge: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+xpEventSchema.index({ createdAt: -1, userId: 1 });
+xpEventSchema.index({ userId: 1, createdAt: -1 });
+xpEventSchema.index({ deckId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('XpEvent', xpEventSchema);
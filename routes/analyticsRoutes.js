@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const analyticsController = require('../controllers/analyticsController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { loadClassroom, requireClassTeacher } = require('../middleware/classroomMiddleware');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/analytics');
+
+const classTeacher = [authorize('teacher', 'admin'), loadClassroom, requireClassTeacher];
+
+router.use(protect);
+
+// Students can read their own; teachers read students in their classes
+router.get('/students/:userId/activity', validate(schemas.studentActivity), analyticsController.getStudentActivity);
+router.get('/students/:userId/streak', validate(schemas.studentStreak), analyticsController.getStudentStreak);
+
+// Teacher/Admin routes
+router.get('/decks/:deckId/hardest-cards', authorize('teacher', 'admin'), validate(schemas.hardestCards), analyticsController.getHardestCards);
+router.get('/classes/:classId/mastery', validate(schemas.classMastery), classTeacher, analyticsController.getClassMastery);
+router.get('/classes/:classId/streaks', validate(schemas.classStreaks), classTeacher, analyticsController.getClassStreaks);
+
+module.exports = router;
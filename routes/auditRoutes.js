@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/audit');
+
+router.use(protect, authorize('admin'));
+
+router.get('/', validate(schemas.listAuditLogs), auditController.listAuditLogs);
+router.get('/retention', auditController.getRetention);
+router.put('/retention', validate(schemas.updateRetention), auditController.updateRetention);
+
+module.exports = router;
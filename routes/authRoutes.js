@@ -7,15 +7,66 @@ const {
   verifyOtp,
   resetPassword,
   guestLogin,
+  convertGuest,
   googleSignIn,
+  googleCallback,
+  verifyTwoFactor,
+  verifyEmail,
+  resendVerification,
+  refreshToken,
+  logout,
 } = require('../controllers/authController');
+const { protect } = require('../middleware/authMiddleware');
+const { rateLimit, byEmail, byChallenge } = require('../middleware/rateLimit');
+const { issueOAuthState, checkOAuthState } = require('../middleware/oauthState');
+const { passport, isGoogleOAuthEnabled } = require('../config/passport');
+const { validate } = require('../middleware/validate');
+const { NotFoundError } = require('../utils/errors');
+const schemas = require('../validators/auth');
 
-router.post('/register', register);
-router.post('/login', login);
-router.post('/send-otp', sendOtp);
-router.post('/verify-otp', verifyOtp);
-router.post('/reset-password', resetPassword);
-router.post('/guest-login', guestLogin);
-router.post('/google-signin', googleSignIn);
+const MINUTE = 60 * 1000;
+
+// Every auth route: per-IP ceiling
+router.use(rateLimit({ windowMs: 15 * MINUTE, max: 100 }));
+
+// Per-IP limits on credential guessing and account creation
+const ipLogin = rateLimit({ windowMs: 15 * MINUTE, max: 20, message: 'Too many attempts, please try again later' });
+const ipSignup = rateLimit({ windowMs: 60 * MINUTE, max: 10, message: 'Too many accounts created, please try again later' });
+
+// Per-account limits, applied whether or not the account exists
+const accountLogin = rateLimit({ windowMs: 15 * MINUTE, max: 5, key: byEmail, message: 'Too many attempts, please try again later' });
+const accountOtp = rateLimit({ windowMs: 60 * MINUTE, max: 5, key: byEmail, message: 'Too many code requests, please try again later' });
+const accountOtpCheck = rateLimit({ windowMs: 15 * MINUTE, max: 10, key: byEmail, message: 'Too many attempts, please try again later' });
+const accountTwoFactor = rateLimit({ windowMs: 15 * MINUTE, max: 10, key: byChallenge, message: 'Too many attempts, please try again later' });
+
+// Limits run before validation so malformed attempts still count
+router.post('/register', ipSignup, validate(schemas.register), register);
+router.post('/login', ipLogin, accountLogin, validate(schemas.login), login);
+router.post('/send-otp', ipLogin, accountOtp, validate(schemas.sendOtp), sendOtp);
+router.post('/verify-otp', ipLogin, accountOtpCheck, validate(schemas.verifyOtp), verifyOtp);
+router.post('/reset-password', ipLogin, accountOtpCheck, validate(schemas.resetPassword), resetPassword);
+router.post('/guest-login', ipSignup, guestLogin);
+router.post('/guest/convert', ipLogin, protect, validate(schemas.convertGuest), convertGuest);
+router.post('/google-signin', ipLogin, validate(schemas.googleSignIn), googleSignIn);
+
+// Server-side Google OAuth redirect flow
+const requireGoogleOAuth = (req, res, next) => {
+  if (isGoogleOAuthEnabled()) return next();
+  throw new NotFoundError('Google OAuth is not configured', { code: 'FEATURE_DISABLED' });
+};
+router.get('/google', requireGoogleOAuth, issueOAuthState, (req, res, next) =>
+  passport.authenticate('google', { scope: ['profile', 'email'], session: false, state: req.oauthState })(req, res, next));
+router.get('/google/callback', requireGoogleOAuth, ipLogin, checkOAuthState, (req, res, next) =>
+  passport.authenticate('google', { session: false }, (err, user, info) => {
+    if (err) return next(err);
+    req.user = user || null;
+    req.authInfo = info;
+    googleCallback(req, res);
+  })(req, res, next));
+router.post('/2fa/verify', ipLogin, accountTwoFactor, validate(schemas.verifyTwoFactor), verifyTwoFactor);
+router.get('/verify-email', validate(schemas.verifyEmail), verifyEmail);
+router.post('/resend-verification', protect, resendVerification);
+router.post('/refresh', validate(schemas.refreshToken), refreshToken);
+router.post('/logout', protect, logout);
 
 module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const classroomController = require('../controllers/classroomController');
+const { protect, authorize, requireVerifiedEmail } = require('../middleware/authMiddleware');
+const { loadClassroom, requireClassTeacher, requireActiveClass } = require('../middleware/classroomMiddleware');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/classrooms');
+
+const canTeach = [authorize('teacher', 'admin'), requireVerifiedEmail];
+const classTeacher = [loadClassroom, requireClassTeacher];
+
+router.use(protect);
+
+// Student routes
+router.get('/', validate(schemas.listClassrooms), classroomController.listClassrooms);
+router.get('/assignments/mine', classroomController.getMyAssignments);
+router.post('/join', authorize('student'), validate(schemas.joinClassroom), classroomController.joinClassroom);
+router.get('/:classId', validate(schemas.classParam), loadClassroom, classroomController.getClassroom);
+router.post('/:classId/leave', validate(schemas.classParam), loadClassroom, classroomController.leaveClassroom);
+
+// Teacher/Admin routes
+router.post('/', canTeach, validate(schemas.createClassroom), classroomController.createClassroom);
+router.put('/:classId', validate(schemas.updateClassroom), classTeacher, classroomController.updateClassroom);
+router.post('/:classId/join-code', validate(schemas.classParam), classTeacher, requireActiveClass, classroomController.regenerateJoinCode);
+router.delete('/:classId/students/:studentId', validate(schemas.removeStudent), classTeacher, classroomController.removeStudent);
+router.post('/:classId/transfer', validate(schemas.transferOwnership), classTeacher, classroomController.transferOwnership);
+router.post('/:classId/archive', validate(schemas.setArchived), classTeacher, classroomController.setArchived);
+router.post('/:classId/assignments', validate(schemas.assignDeck), classTeacher, requireActiveClass, classroomController.assignDeck);
+router.put('/:classId/assignments/:assignmentId', validate(schemas.updateAssignment), classTeacher, requireActiveClass, classroomController.updateAssignment);
+router.delete('/:classId/assignments/:assignmentId', validate(schemas.assignmentParams), classTeacher, classroomController.removeAssignment);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const deviceController = require('../controllers/deviceController');
+const { protect, denyGuests } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/devices');
+
+router.use(protect, denyGuests);
+
+router.get('/', deviceController.listDevices);
+router.post('/pairing', validate(schemas.startPairing), deviceController.startPairing);
+router.put('/:deviceId', validate(schemas.updateDevice), deviceController.updateDevice);
+router.delete('/:deviceId', validate(schemas.deviceParam), deviceController.revokeDevice);
+router.post('/:deviceId/push', validate(schemas.pushCard), deviceController.pushCard);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const swaggerUi = require('swagger-ui-express');
+const { getSpec } = require('../docs');
+
+router.get('/openapi.json', (req, res) => {
+  res.json(getSpec());
+});
+
+// Interactive explorer; loads the document above
+router.use('/', swaggerUi.serve, swaggerUi.setup(null, {
+  swaggerOptions: { url: '/api/docs/openapi.json', persistAuthorization: true }
+}));
+
+module.exports = router;
@@ -1,15 +1,67 @@
 const express = require('express');
 const router = express.Router();
 const flashcardController = require('../controllers/flashcardController');
+const importExportController = require('../controllers/importExportController');
+const mediaController = require('../controllers/mediaController');
+const noteController = require('../controllers/noteController');
+const { singleUpload } = require('../middleware/upload');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/flashcards');
+const {
+  protect,
+  authorize,
+  authorizeSelf,
+  authorizeDeck,
+  authorizeDeckRead,
+  authorizeFlashcard,
+  authorizeNote,
+  requireVerifiedEmail,
+} = require('../middleware/authMiddleware');
 
-// Admin routes
-router.post('/deck', flashcardController.createDeck);
-router.post('/flashcard', flashcardController.addFlashcard);
+const canAuthor = [authorize('teacher', 'admin'), requireVerifiedEmail];
+// CSV/Anki text or a JSON bundle; app.js leaves these bodies to this parser
+const IMPORT_LIMIT = '5mb';
+const importBody = [express.json({ limit: IMPORT_LIMIT }), express.text({ type: ['text/*', 'application/csv'], limit: IMPORT_LIMIT })];
+
+router.use(protect);
+
+// Deck resources
+router.get('/decks', validate(schemas.listDecks), flashcardController.listDecks);
+router.get('/decks/:deckId', validate(schemas.deckParam), authorizeDeckRead, flashcardController.getDeck);
+router.put('/decks/:deckId', canAuthor, validate(schemas.updateDeck), authorizeDeck, flashcardController.updateDeck);
+router.delete('/decks/:deckId', canAuthor, validate(schemas.deckParam), authorizeDeck, flashcardController.deleteDeck);
+router.put('/decks/:deckId/order', canAuthor, validate(schemas.reorderFlashcards), authorizeDeck, flashcardController.reorderFlashcards);
+
+// Import/export (CSV, JSON bundle, Anki text)
+router.post('/decks/import', canAuthor, importBody, validate(schemas.importDeck), importExportController.importDeck);
+router.post('/decks/:deckId/import', canAuthor, importBody, validate(schemas.importIntoDeck), authorizeDeck, importExportController.importIntoDeck);
+router.get('/decks/:deckId/export', validate(schemas.exportDeck), authorizeDeckRead, importExportController.exportDeck);
+
+// Card media (images, audio)
+router.post('/media', canAuthor, singleUpload('file'), mediaController.uploadMedia);
+router.get('/media', canAuthor, validate(schemas.listMedia), mediaController.listMedia);
+router.delete('/media/:mediaId', canAuthor, validate(schemas.mediaParam), mediaController.deleteMedia);
+
+// Teacher/Admin routes
+router.post('/deck', canAuthor, validate(schemas.createDeck), flashcardController.createDeck);
+router.post('/flashcard', canAuthor, validate(schemas.addFlashcard), authorizeDeck, flashcardController.addFlashcard);
+router.put('/flashcard/:cardId', canAuthor, validate(schemas.updateFlashcard), authorizeFlashcard, flashcardController.updateFlashcard);
+router.delete('/flashcard/:cardId', canAuthor, validate(schemas.cardParam), authorizeFlashcard, flashcardController.deleteFlashcard);
+router.post('/flashcard/:cardId/move', canAuthor, validate(schemas.moveFlashcard), authorizeFlashcard, flashcardController.moveFlashcard);
+
+// Notes (basic, reversed, cloze, multiple choice) and their generated cards
+router.post('/notes', canAuthor, validate(schemas.createNote), authorizeDeck, noteController.createNote);
+router.get('/notes/:noteId', canAuthor, validate(schemas.noteParam), authorizeNote, noteController.getNote);
+router.put('/notes/:noteId', canAuthor, validate(schemas.updateNote), authorizeNote, noteController.updateNote);
+router.delete('/notes/:noteId', canAuthor, validate(schemas.noteParam), authorizeNote, noteController.deleteNote);
+router.post('/notes/:noteId/move', canAuthor, validate(schemas.moveNote), authorizeNote, noteController.moveNote);
 
 // Student routes
-router.get('/deck/:deckId', flashcardController.getDeckFlashcards);
-router.get('/deck/:deckId/microbit', flashcardController.getMicrobitFlashcards);
-router.post('/error', flashcardController.markErrorCard);
-router.get('/error/:userId', flashcardController.getUserErrorCards);
+router.get('/deck/:deckId', validate(schemas.getDeckFlashcards), authorizeDeckRead, flashcardController.getDeckFlashcards);
+router.get('/deck/:deckId/microbit', validate(schemas.deckParam), authorizeDeckRead, flashcardController.getMicrobitFlashcards);
+router.get('/deck/:deckId/due', validate(schemas.getDueFlashcards), authorizeDeckRead, flashcardController.getDueFlashcards);
+router.post('/review', validate(schemas.reviewFlashcard), flashcardController.reviewFlashcard);
+router.post('/error', validate(schemas.markErrorCard), flashcardController.markErrorCard);
+router.get('/error/:userId', validate(schemas.getUserErrorCards), authorizeSelf('userId'), flashcardController.getUserErrorCards);
 
 module.exports = router;
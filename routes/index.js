@@ -0,0 +1,18 @@
+// Every API router and the path it is mounted at. app.js mounts them in this
+// order and utils/openapi documents them from the same list.
+module.exports = [
+  { path: '/api/auth', router: require('./authRoutes') },
+  { path: '/api/user', router: require('./userRoutes') },
+  { path: '/api/users', router: require('./user') },
+  { path: '/api/flashcards', router: require('./flashcardRoutes') },
+  { path: '/api/classes', router: require('./classroomRoutes') },
+  { path: '/api/analytics', router: require('./analyticsRoutes') },
+  { path: '/api/quizzes', router: require('./quizRoutes') },
+  { path: '/api/devices', router: require('./deviceRoutes') },
+  { path: '/api/live', router: require('./liveSessionRoutes') },
+  { path: '/api/search', router: require('./searchRoutes') },
+  { path: '/api/taxonomy', router: require('./taxonomyRoutes') },
+  { path: '/api/tags', router: require('./tagRoutes') },
+  { path: '/api/audit', router: require('./auditRoutes') },
+  { path: '/api/progress', router: require('./progressRoutes') }
+];
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const liveSessionController = require('../controllers/liveSessionController');
+const { protect, authorize, requireVerifiedEmail } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/liveSessions');
+
+router.use(protect);
+
+// Student routes
+router.get('/history', validate(schemas.listSessions), liveSessionController.getMyLiveHistory);
+router.get('/:sessionId', validate(schemas.sessionParam), liveSessionController.getLiveSession);
+
+// Teacher/Admin routes
+router.post('/', authorize('teacher', 'admin'), requireVerifiedEmail, validate(schemas.createLiveSession), liveSessionController.createLiveSession);
+router.get('/', authorize('teacher', 'admin'), validate(schemas.listSessions), liveSessionController.getHostedSessions);
+
+module.exports = router;
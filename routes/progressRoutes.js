@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const progressController = require('../controllers/progressController');
+const { protect, authorizeDeckRead } = require('../middleware/authMiddleware');
+const { loadClassroom } = require('../middleware/classroomMiddleware');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/progress');
+
+router.use(protect);
+
+router.get('/me', progressController.getMyProgress);
+router.get('/badges', progressController.listBadges);
+
+// Leaderboards take ?window=weekly|all&limit=
+router.get('/leaderboards/global', validate(schemas.leaderboard), progressController.getGlobalLeaderboard);
+router.get('/leaderboards/classes/:classId', validate(schemas.classLeaderboard), loadClassroom, progressController.getClassLeaderboard);
+router.get('/leaderboards/decks/:deckId', validate(schemas.deckLeaderboard), authorizeDeckRead, progressController.getDeckLeaderboard);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const quizController = require('../controllers/quizController');
+const { protect } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/quizzes');
+
+router.use(protect);
+
+router.post('/', validate(schemas.startQuiz), quizController.startQuiz);
+router.get('/', validate(schemas.listAttempts), quizController.listAttempts);
+router.get('/:attemptId', validate(schemas.attemptParam), quizController.getAttempt);
+router.post('/:attemptId/answers', validate(schemas.answerQuestion), quizController.answerQuestion);
+router.post('/:attemptId/submit', validate(schemas.attemptParam), quizController.submitQuiz);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const searchController = require('../controllers/searchController');
+const { protect } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/search');
+
+router.use(protect);
+
+// GET /api/search?q=&scope=all|decks|cards&deckId=&owner=&type=&isMicrobit=&tags=&page=&limit=
+router.get('/', validate(schemas.search), searchController.search);
+
+module.exports = router;
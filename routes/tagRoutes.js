@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const tagController = require('../controllers/tagController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/tags');
+
+router.use(protect);
+
+// Browse
+router.get('/', validate(schemas.listTags), tagController.listTags);
+router.get('/:slug/decks', validate(schemas.listTagDecks), tagController.listTagDecks);
+
+// Admin routes
+router.put('/:slug', authorize('admin'), validate(schemas.updateTag), tagController.updateTag);
+router.post('/:slug/merge', authorize('admin'), validate(schemas.mergeTag), tagController.mergeTag);
+router.delete('/:slug', authorize('admin'), validate(schemas.tagParam), tagController.deleteTag);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const taxonomyController = require('../controllers/taxonomyController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/taxonomy');
+
+router.use(protect);
+
+// Browse
+router.get('/', validate(schemas.getTree), taxonomyController.getTree);
+router.get('/:nodeId', validate(schemas.getNode), taxonomyController.getNode);
+router.get('/:nodeId/decks', validate(schemas.listNodeDecks), taxonomyController.listNodeDecks);
+
+// Admin routes
+router.post('/', authorize('admin'), validate(schemas.createNode), taxonomyController.createNode);
+router.put('/:nodeId', authorize('admin'), validate(schemas.updateNode), taxonomyController.updateNode);
+router.delete('/:nodeId', authorize('admin'), validate(schemas.deleteNode), taxonomyController.deleteNode);
+
+module.exports = router;
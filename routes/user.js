@@ -1,462 +1,575 @@
 // routes/users.js
 const express = require('express');
-const { body, param } = require('express-validator');
-const { validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
 const speakeasy = require('speakeasy');
 const QRCode = require('qrcode');
 const User = require('../models/User');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, denyGuests } = require('../middleware/authMiddleware');
+const { verifyTotp, generateBackupCodes } = require('../utils/twoFactor');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const { sendTemplate } = require('../utils/sendEmail');
+const { DELETION_GRACE_MS, exportUserData } = require('../utils/userData');
+const { OTP_TTL_MS, issueOtp, canResendOtp, consumeOtp } = require('../utils/otp');
+const { rateLimit } = require('../middleware/rateLimit');
+const { verifyIdToken, findUserByIdentity, addIdentity, loginMethodCount } = require('../utils/identities');
+const audit = require('../utils/audit');
+const { serializeUser } = require('../utils/users');
+const { validate } = require('../middleware/validate');
+const { NotFoundError, ConflictError, ValidationError, TooManyRequestsError } = require('../utils/errors');
+const schemas = require('../validators/user');
+
+const PROFILE_FIELDS = ['firstName', 'lastName', 'email', 'isEmailVerified', 'profile', 'preferences', 'privacy'];
 
 const router = express.Router();
 
 // All routes are protected
 router.use(protect);
 
+// Exports read every collection; a few per hour is plenty
+const exportLimit = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  key: (req) => req.user.id,
+  message: 'Too many exports, please try again later'
+});
+
+const confirmationCodeLimit = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  key: (req) => req.user.id,
+  message: 'Too many code requests, please try again later'
+});
+
+// Deleting the account or turning off 2FA needs fresh proof of who is asking.
+// Accounts with a password confirm it; accounts that only sign in with a
+// linked identity sign in to it again (tokenId) or use a code from
+// POST /account/confirmation-code.
+const confirmAccountOwner = async (user, { password, tokenId, code }) => {
+  if (user.password) {
+    if (!await user.comparePassword(password || '')) {
+      throw new ValidationError('Incorrect password', { code: 'INCORRECT_PASSWORD' });
+    }
+    return;
+  }
+
+  if (tokenId) {
+    const profile = await verifyIdToken('google', tokenId);
+    const linked = profile && user.identities.some((identity) =>
+      identity.provider === profile.provider && identity.subject === profile.subject);
+    if (!linked) {
+      throw new ValidationError('Sign in with a Google account linked to this account', { code: 'INVALID_ID_TOKEN' });
+    }
+    return;
+  }
+
+  if (code) {
+    const valid = await consumeOtp(user, code);
+    await user.save();
+    if (!valid) throw new ValidationError('Invalid or expired code', { code: 'INVALID_OTP' });
+    return;
+  }
+
+  throw new ValidationError('Confirm with your linked Google account or an emailed code', { code: 'REAUTHENTICATION_REQUIRED' });
+};
+
 // @desc    Get user profile
 // @route   GET /api/users/profile
 // @access  Private
 router.get('/profile', async (req, res) => {
-  try {
-    const user = await User.findById(req.user.id).select('-password');
-    
-    res.status(200).json({
-      success: true,
-      data: user
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
-  }
+  const user = await User.findById(req.user.id);
+  
+  res.status(200).json({
+    success: true,
+    data: serializeUser(user)
+  });
 });
 
 // @desc    Update user profile
 // @route   PUT /api/users/profile
 // @access  Private
-router.put('/profile', [
-  body('firstName').optional().trim().isLength({ min: 2 }).withMessage('First name must be at least 2 characters'),
-  body('lastName').optional().trim().isLength({ min: 2 }).withMessage('Last name must be at least 2 characters'),
-  body('email').optional().isEmail().normalizeEmail().withMessage('Please enter a valid email'),
-  body('profile.phone').optional().isMobilePhone().withMessage('Please enter a valid phone number'),
-  body('profile.bio').optional().isLength({ max: 500 }).withMessage('Bio cannot exceed 500 characters')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        errors: errors.array()
-      });
-    }
-
-    const {
-      firstName,
-      lastName,
-      email,
-      profile,
-      preferences
-    } = req.body;
-
-    // Check if email is already taken by another user
-    if (email && email !== req.user.email) {
-      const existingUser = await User.findOne({ 
-        email, 
-        _id: { $ne: req.user.id } 
-      });
-      
-      if (existingUser) {
-        return res.status(400).json({
-          success: false,
-          message: 'Email is already taken'
-        });
-      }
+router.put('/profile', validate(schemas.updateProfile), async (req, res) => {
+  const {
+    firstName,
+    lastName,
+    email,
+    profile,
+    preferences,
+    privacy
+  } = req.body;
+
+  // Check if email is already taken by another user
+  if (email && email !== req.user.email) {
+    const existingUser = await User.findOne({ 
+      email, 
+      _id: { $ne: req.user.id } 
+    });
+    
+    if (existingUser) {
+      throw new ConflictError('Email is already taken', { code: 'EMAIL_TAKEN' });
     }
+  }
 
-    const updateData = {};
-    if (firstName) updateData.firstName = firstName;
-    if (lastName) updateData.lastName = lastName;
-    if (email) {
-      updateData.email = email;
-      updateData.isEmailVerified = false; // Require re-verification
-    }
-    if (profile) updateData.profile = { ...req.user.profile, ...profile };
-    if (preferences) updateData.preferences = { ...req.user.preferences, ...preferences };
-
-    const user = await User.findByIdAndUpdate(
-      req.user.id,
-      updateData,
-      { new: true, runValidators: true }
-    ).select('-password');
-
-    res.status(200).json({
-      success: true,
-      data: user
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+  const updateData = {};
+  if (firstName) updateData.firstName = firstName;
+  if (lastName) updateData.lastName = lastName;
+  if (email) {
+    updateData.email = email;
+    updateData.isEmailVerified = false; // Require re-verification
   }
+  if (profile) updateData.profile = { ...req.user.profile, ...profile };
+  if (preferences) updateData.preferences = { ...req.user.preferences, ...preferences };
+  if (privacy) updateData.privacy = { ...req.user.privacy, ...privacy };
+
+  const user = await User.findByIdAndUpdate(
+    req.user.id,
+    updateData,
+    { new: true, runValidators: true }
+  );
+  await audit.record(req, 'user.profile_update', {
+    target: user,
+    targetType: 'User',
+    before: audit.snapshot(req.user, PROFILE_FIELDS),
+    after: audit.snapshot(user, PROFILE_FIELDS)
+  });
+
+  if (email && email !== req.user.email) {
+    sendVerificationEmail(user).catch((mailError) => console.error(mailError));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: serializeUser(user)
+  });
 });
 
 // @desc    Change password
 // @route   PUT /api/users/change-password
 // @access  Private
-router.put('/change-password', [
-  body('currentPassword').exists().withMessage('Current password is required'),
-  body('newPassword').isLength({ min: 8 }).withMessage('New password must be at least 8 characters')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
-    .withMessage('New password must contain at least one uppercase letter, one lowercase letter, one number and one special character')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        errors: errors.array()
-      });
-    }
-
-    const { currentPassword, newPassword } = req.body;
+router.put('/change-password', denyGuests, validate(schemas.changePassword), async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
 
-    // Get user with password
-    const user = await User.findById(req.user.id).select('+password');
+  // Get user with password
+  const user = await User.findById(req.user.id).select('+password');
 
-    // Check current password
-    const isMatch = await user.comparePassword(currentPassword);
-    if (!isMatch) {
-      return res.status(400).json({
-        success: false,
-        message: 'Current password is incorrect'
-      });
-    }
+  // Check current password
+  const isMatch = await user.comparePassword(currentPassword);
+  if (!isMatch) {
+    throw new ValidationError('Current password is incorrect', { code: 'INCORRECT_PASSWORD' });
+  }
 
-    // Update password
-    user.password = newPassword;
-    await user.save();
+  // Update password and sign out every other session
+  user.password = newPassword;
+  await user.save();
+  await User.findByIdAndUpdate(req.user.id, {
+    $pull: { sessions: { _id: { $ne: req.user.sessionId } } }
+  });
+  await audit.record(req, 'user.password_change', { target: user, targetType: 'User', metadata: { otherSessionsRevoked: true } });
+
+  res.status(200).json({
+    success: true,
+    message: 'Password updated successfully'
+  });
+});
 
-    res.status(200).json({
-      success: true,
-      message: 'Password updated successfully'
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+// @desc    Set a password on an account that only signs in with a linked identity
+// @route   POST /api/users/password/set
+// @access  Private
+router.post('/password/set', denyGuests, validate(schemas.setPassword), async (req, res) => {
+  const user = await User.findById(req.user.id).select('+password');
+  if (user.password) {
+    throw new ConflictError('A password is already set; use change-password instead', { code: 'PASSWORD_ALREADY_SET' });
   }
+
+  user.password = req.body.newPassword;
+  await user.save();
+  await audit.record(req, 'user.password_set', { target: user, targetType: 'User' });
+
+  res.status(200).json({
+    success: true,
+    message: 'Password set successfully'
+  });
 });
 
-// @desc    Setup 2FA
-// @route   POST /api/users/2fa/setup
+// @desc    List linked sign-in identities
+// @route   GET /api/users/identities
 // @access  Private
-router.post('/2fa/setup', async (req, res) => {
-  try {
-    const user = await User.findById(req.user.id);
-
-    if (user.twoFactorEnabled) {
-      return res.status(400).json({
-        success: false,
-        message: '2FA is already enabled'
-      });
+router.get('/identities', async (req, res) => {
+  const user = await User.findById(req.user.id).select('+password');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      hasPassword: !!user.password,
+      identities: user.identities
     }
+  });
+});
 
-    // Generate secret
-    const secret = speakeasy.generateSecret({
-      name: `YourApp (${user.email})`,
-      issuer: 'YourApp'
-    });
+const identityTaken = () =>
+  new ConflictError('This Google account is already linked to another user', { code: 'IDENTITY_TAKEN' });
 
-    // Save temp secret (not enabled yet)
-    user.twoFactorTempSecret = secret.base32;
-    await user.save();
+// @desc    Link a Google identity to the signed-in account
+// @route   POST /api/users/identities/google
+// @access  Private
+router.post('/identities/google', denyGuests, validate(schemas.linkGoogle), async (req, res) => {
+  const profile = await verifyIdToken('google', req.body.tokenId);
+  if (!profile) {
+    throw new ValidationError('Google sign-in failed', { code: 'INVALID_ID_TOKEN' });
+  }
 
-    // Generate QR code
-    const qrCodeUrl = await QRCode.toDataURL(secret.otpauth_url);
+  const owner = await findUserByIdentity(profile.provider, profile.subject);
+  if (owner) {
+    throw owner._id.equals(req.user._id)
+      ? new ConflictError('This Google account is already linked', { code: 'IDENTITY_ALREADY_LINKED' })
+      : identityTaken();
+  }
 
-    res.status(200).json({
-      success: true,
-      data: {
-        secret: secret.base32,
-        qrCode: qrCodeUrl
-      }
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+  const user = await User.findById(req.user.id);
+  if (user.identities.some((identity) => identity.provider === profile.provider)) {
+    throw new ConflictError('Unlink your current Google account first', { code: 'PROVIDER_ALREADY_LINKED' });
   }
+
+  addIdentity(user, profile);
+  await user.save().catch((error) => {
+    // Lost a race against another link of the same identity
+    throw error.code === 11000 ? identityTaken() : error;
+  });
+  await audit.record(req, 'user.identity_link', {
+    target: user,
+    targetType: 'User',
+    metadata: { provider: profile.provider, email: profile.email }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Google account linked',
+    data: user.identities
+  });
 });
 
-// @desc    Verify and enable 2FA
-// @route   POST /api/users/2fa/verify
+// @desc    Unlink a sign-in identity
+// @route   DELETE /api/users/identities/:provider
 // @access  Private
-router.post('/2fa/verify', [
-  body('token').isLength({ min: 6, max: 6 }).withMessage('Token must be 6 digits')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        errors: errors.array()
-      });
-    }
+router.delete('/identities/:provider', validate(schemas.unlinkIdentity), async (req, res) => {
+  const user = await User.findById(req.user.id).select('+password');
+  const remaining = user.identities.filter((identity) => identity.provider !== req.params.provider);
+  if (remaining.length === user.identities.length) {
+    throw new NotFoundError('No linked identity for this provider');
+  }
+  if (loginMethodCount(user) - (user.identities.length - remaining.length) < 1) {
+    throw new ConflictError('Set a password before unlinking your only sign-in method', { code: 'LAST_LOGIN_METHOD' });
+  }
 
-    const { token } = req.body;
-    const user = await User.findById(req.user.id);
+  user.identities = remaining;
+  await user.save();
+  await audit.record(req, 'user.identity_unlink', { target: user, targetType: 'User', metadata: { provider: req.params.provider } });
 
-    if (!user.twoFactorTempSecret) {
-      return res.status(400).json({
-        success: false,
-        message: 'No 2FA setup in progress'
-      });
-    }
+  res.status(200).json({
+    success: true,
+    message: 'Identity unlinked',
+    data: user.identities
+  });
+});
 
-    // Verify token
-    const verified = speakeasy.totp.verify({
-      secret: user.twoFactorTempSecret,
-      encoding: 'base32',
-      token,
-      window: 2
-    });
+// @desc    Setup 2FA
+// @route   POST /api/users/2fa/setup
+// @access  Private
+router.post('/2fa/setup', denyGuests, async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.twoFactorEnabled) {
+    throw new ConflictError('2FA is already enabled', { code: 'TWO_FACTOR_ENABLED' });
+  }
 
-    if (!verified) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid token'
-      });
+  // Generate secret
+  const appName = process.env.APP_NAME || 'Edubin';
+  const secret = speakeasy.generateSecret({
+    name: `${appName} (${user.email})`,
+    issuer: appName
+  });
+
+  // Save temp secret (not enabled yet)
+  user.twoFactorTempSecret = secret.base32;
+  await user.save();
+
+  // Generate QR code
+  const qrCodeUrl = await QRCode.toDataURL(secret.otpauth_url);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      secret: secret.base32,
+      qrCode: qrCodeUrl
     }
+  });
+});
 
-    // Enable 2FA
-    user.twoFactorSecret = user.twoFactorTempSecret;
-    user.twoFactorEnabled = true;
-    user.twoFactorTempSecret = undefined;
-    await user.save();
+// @desc    Verify and enable 2FA
+// @route   POST /api/users/2fa/verify
+// @access  Private
+router.post('/2fa/verify', denyGuests, validate(schemas.verifyTwoFactorSetup), async (req, res) => {
+  const { token } = req.body;
+  const user = await User.findById(req.user.id);
 
-    res.status(200).json({
-      success: true,
-      message: '2FA enabled successfully'
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+  if (!user.twoFactorTempSecret) {
+    throw new ConflictError('No 2FA setup in progress', { code: 'TWO_FACTOR_SETUP_MISSING' });
+  }
+
+  // Verify token
+  const verified = speakeasy.totp.verify({
+    secret: user.twoFactorTempSecret,
+    encoding: 'base32',
+    token,
+    window: 2
+  });
+
+  if (!verified) {
+    throw new ValidationError('Invalid token', { code: 'INVALID_2FA_CODE' });
   }
+
+  // Enable 2FA and issue recovery codes (shown only this once)
+  const { codes, hashes } = generateBackupCodes();
+  user.twoFactorSecret = user.twoFactorTempSecret;
+  user.twoFactorEnabled = true;
+  user.twoFactorTempSecret = undefined;
+  user.twoFactorBackupCodes = hashes;
+  await user.save();
+  await audit.record(req, 'user.2fa_enable', {
+    target: user,
+    targetType: 'User',
+    before: { twoFactorEnabled: false },
+    after: { twoFactorEnabled: true }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: '2FA enabled successfully',
+    data: {
+      backupCodes: codes
+    }
+  });
 });
 
 // @desc    Disable 2FA
 // @route   POST /api/users/2fa/disable
 // @access  Private
-router.post('/2fa/disable', [
-  body('password').exists().withMessage('Password is required'),
-  body('token').isLength({ min: 6, max: 6 }).withMessage('Token must be 6 digits')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        errors: errors.array()
-      });
-    }
+router.post('/2fa/disable', validate(schemas.disableTwoFactor), async (req, res) => {
+  const { token } = req.body;
+  const user = await User.findById(req.user.id).select('+password');
 
-    const { password, token } = req.body;
-    const user = await User.findById(req.user.id).select('+password');
+  if (!user.twoFactorEnabled) {
+    throw new ConflictError('2FA is not enabled', { code: 'TWO_FACTOR_DISABLED' });
+  }
 
-    if (!user.twoFactorEnabled) {
-      return res.status(400).json({
-        success: false,
-        message: '2FA is not enabled'
-      });
-    }
+  await confirmAccountOwner(user, req.body);
 
-    // Verify password
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
-      return res.status(400).json({
-        success: false,
-        message: 'Incorrect password'
-      });
-    }
+  // Verify 2FA token
+  const verified = speakeasy.totp.verify({
+    secret: user.twoFactorSecret,
+    encoding: 'base32',
+    token,
+    window: 2
+  });
 
-    // Verify 2FA token
-    const verified = speakeasy.totp.verify({
-      secret: user.twoFactorSecret,
-      encoding: 'base32',
-      token,
-      window: 2
-    });
+  if (!verified) {
+    throw new ValidationError('Invalid token', { code: 'INVALID_2FA_CODE' });
+  }
 
-    if (!verified) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid token'
-      });
-    }
+  // Disable 2FA
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorBackupCodes = [];
+  await user.save();
+  await audit.record(req, 'user.2fa_disable', {
+    target: user,
+    targetType: 'User',
+    before: { twoFactorEnabled: true },
+    after: { twoFactorEnabled: false }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: '2FA disabled successfully'
+  });
+});
 
-    // Disable 2FA
-    user.twoFactorEnabled = false;
-    user.twoFactorSecret = undefined;
-    await user.save();
+// @desc    Regenerate 2FA backup codes
+// @route   POST /api/users/2fa/backup-codes
+// @access  Private
+router.post('/2fa/backup-codes', denyGuests, validate(schemas.regenerateBackupCodes), async (req, res) => {
+  const user = await User.findById(req.user.id);
 
-    res.status(200).json({
-      success: true,
-      message: '2FA disabled successfully'
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+  if (!user.twoFactorEnabled) {
+    throw new ConflictError('2FA is not enabled', { code: 'TWO_FACTOR_DISABLED' });
   }
+
+  if (!verifyTotp(user.twoFactorSecret, req.body.token)) {
+    throw new ValidationError('Invalid token', { code: 'INVALID_2FA_CODE' });
+  }
+
+  // Replace all existing codes
+  const { codes, hashes } = generateBackupCodes();
+  user.twoFactorBackupCodes = hashes;
+  await user.save();
+  await audit.record(req, 'user.2fa_backup_codes_regenerate', { target: user, targetType: 'User' });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      backupCodes: codes
+    }
+  });
 });
 
-// @desc    Delete user account
+// @desc    Download everything stored about me
+// @route   GET /api/users/account/export
+// @access  Private
+router.get('/account/export', exportLimit, async (req, res) => {
+  const data = await exportUserData(req.user._id);
+  await audit.record(req, 'user.data_export', { target: req.user, targetType: 'User' });
+
+  res.attachment(`account-export-${data.exportedAt.toISOString().slice(0, 10)}.json`);
+  res.status(200).json(data);
+});
+
+// @desc    Request deletion of my account; it is erased after a grace period
 // @route   DELETE /api/users/account
 // @access  Private
-router.delete('/account', [
-  body('password').exists().withMessage('Password is required'),
-  body('confirmDelete').equals('DELETE').withMessage('Please type DELETE to confirm')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        errors: errors.array()
-      });
+router.delete('/account', validate(schemas.deleteAccount), async (req, res) => {
+  const user = await User.findById(req.user.id).select('+password');
+
+  await confirmAccountOwner(user, req.body);
+  if (user.deletionScheduledFor) {
+    throw new ConflictError('Account deletion is already scheduled', {
+      code: 'DELETION_SCHEDULED',
+      details: { deletionScheduledFor: user.deletionScheduledFor }
+    });
+  }
+
+  // Erased by jobs/accountErasure once the grace period ends
+  const now = new Date();
+  user.deletionRequestedAt = now;
+  user.deletionScheduledFor = new Date(now.getTime() + DELETION_GRACE_MS);
+  await user.save();
+  await audit.record(req, 'user.account_deletion_request', {
+    target: user,
+    targetType: 'User',
+    metadata: { deletionScheduledFor: user.deletionScheduledFor }
+  });
+
+  sendTemplate(user.email, 'accountDeletionScheduled', {
+    name: user.firstName || user.name,
+    scheduledFor: user.deletionScheduledFor.toUTCString()
+  }).catch((mailError) => console.error('❌ Failed to send deletion notice:', mailError));
+
+  res.status(200).json({
+    success: true,
+    message: 'Account scheduled for deletion',
+    data: {
+      deletionScheduledFor: user.deletionScheduledFor
     }
+  });
+});
 
-    const { password } = req.body;
-    const user = await User.findById(req.user.id).select('+password');
+// @desc    Email a code that confirms account deletion or turning off 2FA on an account without a password
+// @route   POST /api/users/account/confirmation-code
+// @access  Private
+router.post('/account/confirmation-code', denyGuests, confirmationCodeLimit, async (req, res) => {
+  const user = await User.findById(req.user.id).select('+password');
+  if (user.password) {
+    throw new ConflictError('Confirm with your password instead', { code: 'PASSWORD_SET' });
+  }
+  if (!canResendOtp(user)) {
+    throw new TooManyRequestsError('Please wait a minute before requesting another code');
+  }
 
-    // Verify password
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
-      return res.status(400).json({
-        success: false,
-        message: 'Incorrect password'
-      });
-    }
+  const otp = await issueOtp(user);
+  await user.save();
+  await sendTemplate(user.email, 'otp', { name: user.firstName || user.name, otp, expiresInMinutes: OTP_TTL_MS / 60000 });
 
-    // Delete user account
-    await User.findByIdAndDelete(req.user.id);
+  res.status(200).json({
+    success: true,
+    message: 'Code sent to your email address'
+  });
+});
 
-    res.status(200).json({
-      success: true,
-      message: 'Account deleted successfully'
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
+// @desc    Cancel a pending account deletion
+// @route   POST /api/users/account/cancel-deletion
+// @access  Private
+router.post('/account/cancel-deletion', async (req, res) => {
+  const user = await User.findById(req.user.id);
+  if (!user.deletionScheduledFor) {
+    throw new ConflictError('No account deletion is scheduled', { code: 'NO_DELETION_SCHEDULED' });
   }
+
+  const scheduledFor = user.deletionScheduledFor;
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+  await user.save();
+  await audit.record(req, 'user.account_deletion_cancel', {
+    target: user,
+    targetType: 'User',
+    metadata: { deletionScheduledFor: scheduledFor }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Account deletion cancelled'
+  });
 });
 
 // @desc    Get user sessions/devices
 // @route   GET /api/users/sessions
 // @access  Private
 router.get('/sessions', async (req, res) => {
-  try {
-    const user = await User.findById(req.user.id).select('sessions');
-    
-    // Filter out expired sessions
-    const activeSessions = user.sessions?.filter(session => 
-      session.expiresAt > new Date()
-    ) || [];
-
-    res.status(200).json({
-      success: true,
-      data: activeSessions
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
-  }
+  const user = await User.findById(req.user.id).select('sessions');
+  
+  // Filter out expired sessions
+  const activeSessions = user.sessions?.filter(session => 
+    session.expiresAt > new Date()
+  ) || [];
+
+  res.status(200).json({
+    success: true,
+    data: activeSessions
+  });
 });
 
 // @desc    Revoke specific session
 // @route   DELETE /api/users/sessions/:sessionId
 // @access  Private
-router.delete('/sessions/:sessionId', [
-  param('sessionId').isMongoId().withMessage('Invalid session ID')
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        errors: errors.array()
-      });
-    }
-
-    const { sessionId } = req.params;
-    
-    await User.findByIdAndUpdate(req.user.id, {
-      $pull: { sessions: { _id: sessionId } }
-    });
-
-    res.status(200).json({
-      success: true,
-      message: 'Session revoked successfully'
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
-  }
+router.delete('/sessions/:sessionId', validate(schemas.revokeSession), async (req, res) => {
+  const { sessionId } = req.params;
+  
+  await User.findByIdAndUpdate(req.user.id, {
+    $pull: { sessions: { _id: sessionId } }
+  });
+  await audit.record(req, 'user.session_revoke', { target: req.user, targetType: 'User', metadata: { sessionId } });
+
+  res.status(200).json({
+    success: true,
+    message: 'Session revoked successfully'
+  });
 });
 
 // @desc    Revoke all sessions (except current)
 // @route   DELETE /api/users/sessions
 // @access  Private
 router.delete('/sessions', async (req, res) => {
-  try {
-    // Keep only the current session
-    await User.findByIdAndUpdate(req.user.id, {
-      $pull: { 
-        sessions: { 
-          _id: { $ne: req.user.sessionId } 
-        } 
-      }
-    });
+  // Keep only the current session
+  await User.findByIdAndUpdate(req.user.id, {
+    $pull: { 
+      sessions: { 
+        _id: { $ne: req.user.sessionId } 
+      } 
+    }
+  });
+  await audit.record(req, 'user.sessions_revoke_others', { target: req.user, targetType: 'User' });
 
-    res.status(200).json({
-      success: true,
-      message: 'All other sessions revoked successfully'
-    });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
-  }
+  res.status(200).json({
+    success: true,
+    message: 'All other sessions revoked successfully'
+  });
 });
 
 module.exports = router;
\ No newline at end of file
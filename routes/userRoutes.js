@@ -1,9 +1,10 @@
 const express = require('express');
 const { protect } = require('../middleware/authMiddleware');
+const { serializeUser } = require('../utils/users');
 const router = express.Router();
 
 router.get('/profile', protect, (req, res) => {
-  res.json({ user: req.user });
+  res.json({ user: serializeUser(req.user) });
 });
 
 module.exports = router;
@@ -0,0 +1,16 @@
+// Fails when a registered route has no descriptor in docs/paths, or a
+// descriptor points at a route that no longer exists.
+//   npm run docs:check
+const { mounts, paths } = require('../docs');
+const { checkDescriptors } = require('../utils/openapi');
+
+const { routes, missing, stale } = checkDescriptors({ mounts, paths });
+
+missing.forEach(({ base, key }) => console.error(`❌ Undocumented route: ${key.replace(' ', ` ${base}`)} (add '${key}' to the ${base} descriptors in docs/paths)`));
+stale.forEach(({ base, key }) => console.error(`❌ Descriptor without a route: '${key}' under ${base}`));
+
+if (missing.length || stale.length) {
+  process.exitCode = 1;
+} else {
+  console.log(`✅ All ${routes.length} routes are documented`);
+}
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+// One-off migration for deploying email verification (requireVerifiedEmail).
+// Accounts created before it never had a way to verify, so every existing
+// teacher would be locked out of authoring and classes. This marks teachers
+// created before the cutoff as verified; newer accounts verify as usual.
+//
+//   npm run migrate:grandfather-teachers -- [--before <ISO date>] [--dry-run]
+//
+// --before defaults to now, i.e. run it once right after deploying.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return fallback;
+  const value = args[index + 1];
+  return value && !value.startsWith('--') ? value : true;
+};
+
+const before = new Date(option('before', new Date().toISOString()));
+const dryRun = !!option('dry-run', false);
+
+if (Number.isNaN(before.getTime())) {
+  console.error('Usage: [--before <ISO date>] [--dry-run]');
+  process.exit(1);
+}
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  // Accounts have no createdAt; their _id carries the creation time
+  const filter = {
+    role: 'teacher',
+    isEmailVerified: { $ne: true },
+    _id: { $lt: mongoose.Types.ObjectId.createFromTime(Math.floor(before.getTime() / 1000)) }
+  };
+
+  if (dryRun) {
+    console.log(`🔎 ${await User.countDocuments(filter)} teacher account(s) would be marked verified`);
+  } else {
+    const result = await User.updateMany(filter, { isEmailVerified: true });
+    console.log(`✅ Marked ${result.modifiedCount} teacher account(s) created before ${before.toISOString()} as verified`);
+  }
+};
+
+run()
+  .catch((err) => {
+    console.error('❌ Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
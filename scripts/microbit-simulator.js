@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+// Simulated micro:bit serial bridge for exercising the device gateway without hardware.
+//
+//   node scripts/microbit-simulator.js --pair <code> [--hardware <id>]
+//   node scripts/microbit-simulator.js --device <deviceId> --token <token> [--auto [n]]
+//
+// Interactive mode forwards typed lines (e.g. "NEXT", "ANS 1 A") to the gateway.
+// --auto answers n cards (default 10) with random buttons, then exits.
+const readline = require('readline');
+const WebSocket = require('ws');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return fallback;
+  const value = args[index + 1];
+  return value && !value.startsWith('--') ? value : true;
+};
+
+const url = option('url', process.env.MICROBIT_GATEWAY_URL || 'ws://localhost:8000/ws/microbit');
+const pairCode = option('pair');
+const deviceId = option('device');
+const token = option('token');
+const hardwareId = option('hardware', `SIM${Math.floor(Math.random() * 1e8)}`);
+const auto = option('auto');
+const autoCount = auto === true ? 10 : Number(auto) || 0;
+
+if (!pairCode && !(deviceId && token)) {
+  console.error('Usage: --pair <code> | --device <deviceId> --token <token> [--auto [n]]');
+  process.exit(1);
+}
+
+const socket = new WebSocket(url);
+let answered = 0;
+
+const sendLine = (line) => {
+  console.log(`> ${line}`);
+  socket.send(`${line}\n`);
+};
+
+const onLine = (line) => {
+  console.log(`< ${line}`);
+  const [command, seq] = line.split(' ');
+  if (!auto) return;
+
+  if (command === 'OK' || command === 'PAIRED') sendLine('NEXT');
+  if (command === 'Q') sendLine(`ANS ${seq} ${['A', 'B', 'AB', 'LOGO'][Math.floor(Math.random() * 4)]}`);
+  if (command === 'R') {
+    answered += 1;
+    if (answered >= autoCount) return socket.close();
+    sendLine('NEXT');
+  }
+  if (command === 'DONE' || command === 'ERR') socket.close();
+};
+
+socket.on('open', () => {
+  sendLine(pairCode ? `PAIR ${pairCode} ${hardwareId}` : `HELLO ${deviceId} ${token}`);
+
+  if (!auto) {
+    const input = readline.createInterface({ input: process.stdin });
+    input.on('line', (line) => line.trim() && sendLine(line.trim()));
+    input.on('close', () => socket.close());
+  }
+});
+
+socket.on('message', (data) => data.toString().split(/\r?\n/).filter(Boolean).forEach(onLine));
+socket.on('close', () => process.exit(0));
+socket.on('error', (err) => {
+  console.error(`Connection failed: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,22 @@
+// Routes HTTP upgrade requests to the WebSocket gateway registered for the path.
+const microbitGateway = require('./microbitGateway');
+const liveSessionGateway = require('./liveSessionGateway');
+
+const attachSockets = (server) => {
+  const gateways = {
+    '/ws/microbit': microbitGateway.createServer(),
+    '/ws/live': liveSessionGateway.createServer()
+  };
+
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const wss = gateways[pathname];
+    if (!wss) return socket.destroy();
+
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+  });
+
+  return gateways;
+};
+
+module.exports = attachSockets;
@@ -0,0 +1,371 @@
+// Live classroom games. A teacher hosts a LiveSession, students join with its
+// PIN, and the server drives the questions, timing and scoring. Messages are
+// JSON objects with a `type`; every client must first authenticate with the
+// same access token the REST API uses, either as ?token= on the URL or as
+// { type: 'auth', token }.
+//
+// Players who hide their name from classmates (User.privacy) are anonymous
+// to the other players but not to the host.
+//
+// Game state lives in this process while a session runs, and the scores are
+// written to the LiveSession document after every question and at the end.
+// A game left without its host for HOST_IDLE_MS is ended as it stands.
+const { WebSocketServer } = require('ws');
+const mongoose = require('mongoose');
+const LiveSession = require('../models/LiveSession');
+const { authenticate } = require('../middleware/authMiddleware');
+const { checkAnswer } = require('../utils/answerMatching');
+const { publicName, hidesName, ANONYMOUS_NAME } = require('../utils/users');
+
+const MAX_POINTS = 1000;
+const LEADERBOARD_SIZE = 10;
+const REVEAL_GRACE_MS = 500;
+const HEARTBEAT_MS = 30 * 1000;
+// Game messages are small JSON objects; anything bigger is dropped before it is read
+const MAX_PAYLOAD_BYTES = 64 * 1024;
+const HOST_IDLE_MS = (Number(process.env.LIVE_HOST_IDLE_MINUTES) || 10) * 60 * 1000;
+
+// sessionId -> room
+const rooms = new Map();
+
+const send = (socket, message) => {
+  if (socket && socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+};
+
+const broadcast = (room, message) => {
+  send(room.hostSocket, message);
+  room.players.forEach((player) => send(player.socket, message));
+};
+
+// Like broadcast, but built per recipient: `viewerId` is the player's id, or
+// undefined for the host
+const broadcastEach = (room, build) => {
+  send(room.hostSocket, build());
+  room.players.forEach((player) => send(player.socket, build(player.userId)));
+};
+
+// Players who hide their name from classmates are anonymous to other players;
+// the host sees everyone
+const nameFor = (player, viewerId) =>
+  (player.hideName && viewerId && !player.userId.equals(viewerId) ? ANONYMOUS_NAME : player.name);
+
+const ranked = (room) => [...room.players.values()]
+  .sort((a, b) => b.score - a.score || a.totalTimeMs - b.totalTimeMs)
+  .map((player, index) => ({ ...player, rank: index + 1 }));
+
+const leaderboard = (room, viewerId, size = LEADERBOARD_SIZE) => ranked(room).slice(0, size).map((player) => ({
+  userId: player.userId,
+  name: nameFor(player, viewerId),
+  score: player.score,
+  correctCount: player.correctCount,
+  rank: player.rank
+}));
+
+const lobbyUpdate = (room, viewerId) => ({
+  type: 'lobby',
+  pin: room.session.pin,
+  players: [...room.players.values()].map((player) => ({ userId: player.userId, name: nameFor(player, viewerId) }))
+});
+
+// Faster correct answers earn more points: half for being right, half for speed
+const pointsFor = (isCorrect, timeMs, limitMs) => {
+  if (!isCorrect) return 0;
+  const speed = Math.max(0, 1 - timeMs / limitMs);
+  return Math.round(MAX_POINTS / 2 + (MAX_POINTS / 2) * speed);
+};
+
+const persist = async (room) => {
+  const players = ranked(room).map((player) => ({
+    userId: player.userId,
+    name: player.name,
+    hideName: player.hideName,
+    score: player.score,
+    correctCount: player.correctCount,
+    rank: player.rank,
+    answers: player.answers,
+    joinedAt: player.joinedAt
+  }));
+  await LiveSession.updateOne(
+    { _id: room.session._id },
+    { players, status: room.session.status, startedAt: room.session.startedAt, endedAt: room.session.endedAt }
+  );
+};
+
+const loadRoom = async (sessionId) => {
+  if (rooms.has(sessionId)) return rooms.get(sessionId);
+  const session = await LiveSession.findById(sessionId);
+  if (!session || session.status === 'finished') return null;
+
+  const room = {
+    session,
+    hostSocket: null,
+    players: new Map(),
+    questionIndex: -1,
+    phase: 'lobby',
+    questionStartedAt: null,
+    timer: null,
+    idleTimer: null,
+    // Connections attached to the room, detached when it finishes
+    clients: new Set()
+  };
+  session.players.forEach((player) => {
+    room.players.set(player.userId.toString(), {
+      userId: player.userId,
+      name: player.name,
+      hideName: player.hideName,
+      score: player.score,
+      correctCount: player.correctCount,
+      totalTimeMs: player.answers.reduce((sum, answer) => sum + (answer.timeMs || 0), 0),
+      answers: player.answers.map((answer) => answer.toObject()),
+      joinedAt: player.joinedAt,
+      socket: null
+    });
+  });
+  rooms.set(sessionId, room);
+  waitForHost(room);
+  return room;
+};
+
+// Started whenever the room has no host connected; hosting again cancels it
+const waitForHost = (room) => {
+  clearTimeout(room.idleTimer);
+  room.idleTimer = setTimeout(() => finish(room).catch(logError), HOST_IDLE_MS);
+  room.idleTimer.unref();
+};
+
+const askQuestion = (room) => {
+  const index = room.questionIndex;
+  const question = room.session.questions[index];
+  const limitMs = room.session.questionTimeSeconds * 1000;
+
+  room.phase = 'question';
+  room.questionStartedAt = Date.now();
+  broadcast(room, {
+    type: 'question',
+    index,
+    total: room.session.questions.length,
+    questionType: question.type,
+    prompt: question.prompt,
+    statement: question.statement,
+    options: question.options,
+    timeLimitSeconds: room.session.questionTimeSeconds,
+    endsAt: new Date(room.questionStartedAt + limitMs)
+  });
+  room.timer = setTimeout(() => reveal(room).catch(logError), limitMs + REVEAL_GRACE_MS);
+};
+
+const reveal = async (room) => {
+  if (room.phase !== 'question') return;
+  clearTimeout(room.timer);
+  room.phase = 'reveal';
+
+  const index = room.questionIndex;
+  const question = room.session.questions[index];
+  const standings = ranked(room);
+
+  send(room.hostSocket, { type: 'reveal', index, correctAnswer: question.correctAnswer, leaderboard: leaderboard(room) });
+  standings.forEach((player) => {
+    const answer = player.answers.find((entry) => entry.questionIndex === index);
+    send(room.players.get(player.userId.toString()).socket, {
+      type: 'reveal',
+      index,
+      correctAnswer: question.correctAnswer,
+      leaderboard: leaderboard(room, player.userId),
+      you: {
+        isCorrect: !!answer?.isCorrect,
+        points: answer?.points || 0,
+        score: player.score,
+        rank: player.rank
+      }
+    });
+  });
+  await persist(room);
+};
+
+const finish = async (room) => {
+  if (room.phase === 'finished') return;
+  clearTimeout(room.timer);
+  clearTimeout(room.idleTimer);
+  room.phase = 'finished';
+  room.session.status = 'finished';
+  room.session.endedAt = new Date();
+  await persist(room);
+
+  broadcastEach(room, (viewerId) => ({ type: 'finished', leaderboard: leaderboard(room, viewerId, Infinity) }));
+  rooms.delete(room.session._id.toString());
+  room.clients.forEach((client) => { client.room = null; });
+  room.clients.clear();
+};
+
+const attach = (client, room, role) => {
+  client.room?.clients.delete(client);
+  client.room = room;
+  client.role = role;
+  room.clients.add(client);
+};
+
+// Host: start the game, or move on (close the open question, then ask the next)
+const advance = async (room) => {
+  if (room.phase === 'finished') return;
+  if (room.phase === 'question') return reveal(room);
+  if (room.questionIndex + 1 >= room.session.questions.length) return finish(room);
+
+  if (room.session.status === 'lobby') {
+    room.session.status = 'running';
+    room.session.startedAt = new Date();
+  }
+  room.questionIndex += 1;
+  askQuestion(room);
+};
+
+const handleHost = async (client, { sessionId }) => {
+  if (!mongoose.isValidObjectId(sessionId)) return send(client.socket, { type: 'error', message: 'Session not found' });
+  const room = await loadRoom(String(sessionId));
+  const allowed = room && (client.user.role === 'admin' || room.session.host?.equals(client.user._id));
+  if (!allowed) return send(client.socket, { type: 'error', message: 'Session not found' });
+
+  if (room.hostSocket && room.hostSocket !== client.socket) room.hostSocket.close(4000, 'Replaced by a new connection');
+  room.hostSocket = client.socket;
+  clearTimeout(room.idleTimer);
+  attach(client, room, 'host');
+  send(client.socket, { type: 'hosting', sessionId: room.session._id, ...lobbyUpdate(room), phase: room.phase });
+};
+
+const handleJoin = async (client, { pin }) => {
+  const session = await LiveSession.findOne({ pin: String(pin || ''), status: { $in: ['lobby', 'running'] } });
+  if (!session) return send(client.socket, { type: 'error', message: 'No game with that PIN' });
+  if (session.host?.equals(client.user._id)) return send(client.socket, { type: 'error', message: 'Hosts cannot join their own game' });
+
+  const room = await loadRoom(session._id.toString());
+  const key = client.user._id.toString();
+  let player = room.players.get(key);
+  if (!player) {
+    player = {
+      userId: client.user._id,
+      name: publicName(client.user),
+      hideName: hidesName(client.user, ['hideNameFromClassmates']),
+      score: 0,
+      correctCount: 0,
+      totalTimeMs: 0,
+      answers: [],
+      joinedAt: new Date(),
+      socket: null
+    };
+    room.players.set(key, player);
+  }
+  if (player.socket && player.socket !== client.socket) player.socket.close(4000, 'Replaced by a new connection');
+  player.socket = client.socket;
+  attach(client, room, 'player');
+
+  send(client.socket, { type: 'joined', sessionId: session._id, name: player.name, score: player.score, phase: room.phase });
+  broadcastEach(room, (viewerId) => lobbyUpdate(room, viewerId));
+};
+
+const handleAnswer = async (client, { questionIndex, answer }) => {
+  const room = client.room;
+  const player = room.players.get(client.user._id.toString());
+  if (room.phase === 'finished') return send(client.socket, { type: 'error', message: 'This game has finished' });
+  if (room.phase !== 'question' || questionIndex !== room.questionIndex) {
+    return send(client.socket, { type: 'error', message: 'This question is closed' });
+  }
+  if (player.answers.some((entry) => entry.questionIndex === questionIndex)) {
+    return send(client.socket, { type: 'error', message: 'Already answered' });
+  }
+
+  const question = room.session.questions[questionIndex];
+  const limitMs = room.session.questionTimeSeconds * 1000;
+  const timeMs = Date.now() - room.questionStartedAt;
+  const isCorrect = timeMs <= limitMs + REVEAL_GRACE_MS && checkAnswer(question, answer);
+  const points = pointsFor(isCorrect, Math.min(timeMs, limitMs), limitMs);
+
+  player.answers.push({ questionIndex, answer: String(answer ?? ''), isCorrect, timeMs, points });
+  player.score += points;
+  player.totalTimeMs += timeMs;
+  if (isCorrect) player.correctCount += 1;
+
+  send(client.socket, { type: 'answer_received', questionIndex });
+  const answered = [...room.players.values()].filter((p) => p.answers.some((entry) => entry.questionIndex === questionIndex)).length;
+  send(room.hostSocket, { type: 'answer_count', questionIndex, answered, total: room.players.size });
+
+  if (answered === room.players.size) await reveal(room);
+};
+
+const handleMessage = async (client, message) => {
+  if (message.type === 'auth') {
+    client.user = await authenticate(message.token).catch(() => null);
+    return send(client.socket, client.user ? { type: 'authenticated' } : { type: 'error', message: 'Invalid token' });
+  }
+  if (!client.user) return send(client.socket, { type: 'error', message: 'Authenticate first' });
+
+  if (message.type === 'host') {
+    if (!['teacher', 'admin'].includes(client.user.role)) return send(client.socket, { type: 'error', message: 'Not authorized' });
+    // Same rule as middleware/authMiddleware requireVerifiedEmail
+    if (client.user.role !== 'admin' && !client.user.isEmailVerified) {
+      return send(client.socket, { type: 'error', message: 'Please verify your email address first' });
+    }
+    return handleHost(client, message);
+  }
+  if (message.type === 'join') return handleJoin(client, message);
+  if (!client.room) return send(client.socket, { type: 'error', message: 'Join or host a game first' });
+
+  if (client.role === 'host' && (message.type === 'start' || message.type === 'next')) return advance(client.room);
+  if (client.role === 'host' && message.type === 'end') return finish(client.room);
+  if (client.role === 'player' && message.type === 'answer') return handleAnswer(client, message);
+  send(client.socket, { type: 'error', message: 'Unknown message' });
+};
+
+const logError = (err) => console.error('❌ Live session error:', err);
+
+const createServer = () => {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_PAYLOAD_BYTES });
+
+  wss.on('connection', async (socket, req) => {
+    const client = { socket, user: null, room: null, role: null };
+    let pending = Promise.resolve();
+
+    socket.isAlive = true;
+    socket.on('pong', () => { socket.isAlive = true; });
+    socket.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (err) {
+        return send(socket, { type: 'error', message: 'Messages must be JSON' });
+      }
+      pending = pending.then(() => handleMessage(client, message || {})).catch((err) => {
+        logError(err);
+        send(socket, { type: 'error', message: 'Server error' });
+      });
+    });
+    socket.on('close', () => {
+      const room = client.room;
+      if (!room) return;
+      room.clients.delete(client);
+      if (client.role === 'host' && room.hostSocket === socket) {
+        room.hostSocket = null;
+        if (room.phase !== 'finished') waitForHost(room);
+      }
+      const player = client.user && room.players.get(client.user._id.toString());
+      if (player && player.socket === socket) player.socket = null;
+    });
+
+    const token = new URL(req.url, 'http://localhost').searchParams.get('token');
+    if (token) pending = pending.then(() => handleMessage(client, { type: 'auth', token })).catch(logError);
+  });
+
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!socket.isAlive) return socket.terminate();
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+};
+
+const isLive = (sessionId) => rooms.has(String(sessionId));
+
+module.exports = { createServer, isLive };
@@ -0,0 +1,193 @@
+// WebSocket gateway for micro:bit serial bridges. A bridge relays the
+// device's serial lines verbatim (see utils/microbitProtocol.js), so every
+// WebSocket message may carry one or more newline-terminated lines.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { WebSocketServer } = require('ws');
+const Device = require('../models/Device');
+const Deck = require('../models/Deck');
+const User = require('../models/User');
+const { parseLine, format, ANSWER_GRADES } = require('../utils/microbitProtocol');
+const { recordReview, getDueCards } = require('../utils/reviews');
+const { recordReviewActivity } = require('../utils/progress');
+const { canViewDeck } = require('../utils/deckAccess');
+const { hashCode } = require('../utils/codes');
+
+const HEARTBEAT_MS = 30 * 1000;
+const MAX_AUTH_FAILURES = 5;
+// Protocol lines are short; anything bigger is dropped before it is read
+const MAX_PAYLOAD_BYTES = 64 * 1024;
+
+// deviceId -> connected client
+const connections = new Map();
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const tokensMatch = (token, hash) => {
+  if (!hash) return false;
+  return crypto.timingSafeEqual(Buffer.from(hashToken(token)), Buffer.from(hash));
+};
+
+const send = (client, line) => {
+  if (client.socket.readyState === client.socket.OPEN) client.socket.send(`${line}\n`);
+};
+
+const attach = (client, device, owner) => {
+  const previous = connections.get(device.id);
+  if (previous && previous !== client) previous.socket.close(4000, 'Replaced by a new connection');
+  client.device = device;
+  client.owner = owner;
+  connections.set(device.id, client);
+};
+
+const authFailed = (client, message) => {
+  client.authFailures += 1;
+  send(client, format.error(401, message));
+  if (client.authFailures >= MAX_AUTH_FAILURES) client.socket.close(4001, 'Too many failed attempts');
+};
+
+const handlePair = async (client, { code, hardwareId }) => {
+  const device = await Device.findOneAndUpdate(
+    { pairingCodeHash: hashCode(code), status: 'pending', pairingExpiresAt: { $gt: new Date() } },
+    { $unset: { pairingCodeHash: 1, pairingExpiresAt: 1 } },
+    { new: true }
+  );
+  if (!device) return authFailed(client, 'Invalid or expired pairing code');
+
+  const token = crypto.randomBytes(24).toString('hex');
+  device.hardwareId = hardwareId;
+  device.status = 'paired';
+  device.tokenHash = hashToken(token);
+  device.pairedAt = new Date();
+  device.lastSeenAt = new Date();
+  await device.save();
+
+  attach(client, device, await User.findById(device.owner));
+  send(client, format.paired(device.id, token));
+};
+
+const handleHello = async (client, { deviceId, token }) => {
+  const device = mongoose.isValidObjectId(deviceId)
+    ? await Device.findOne({ _id: deviceId, status: 'paired' })
+    : null;
+  if (!device || !tokensMatch(token, device.tokenHash)) return authFailed(client, 'Unknown device');
+
+  const owner = await User.findById(device.owner);
+  if (!owner) return authFailed(client, 'Unknown device');
+
+  device.lastSeenAt = new Date();
+  await device.save();
+  attach(client, device, owner);
+  send(client, format.ok(device.name));
+};
+
+const pushCard = (client, card) => {
+  client.seq += 1;
+  client.current = { seq: client.seq, card };
+  send(client, format.question(client.seq, card.question));
+};
+
+const handleNext = async (client) => {
+  const { device, owner } = client;
+  if (!device.activeDeckId) return send(client, format.error(404, 'No deck selected'));
+
+  const deck = await Deck.findById(device.activeDeckId);
+  if (!deck || !(await canViewDeck(owner, deck))) return send(client, format.error(404, 'Deck not found'));
+
+  const queue = await getDueCards({ userId: owner._id, deckId: deck._id, microbitOnly: true });
+  if (!queue.cards.length) return send(client, format.done());
+
+  // Skipped cards come back only once everything else due has been shown
+  let card = queue.cards.find((due) => !client.skipped.has(due._id.toString()));
+  if (!card) {
+    client.skipped.clear();
+    card = queue.cards[0];
+  }
+  pushCard(client, card);
+};
+
+const handleAnswer = async (client, { seq, answer }) => {
+  const current = client.current;
+  if (!current || current.seq !== seq) return send(client, format.error(409, 'No such question'));
+  client.current = null;
+
+  if (answer === 'SHAKE') {
+    client.skipped.add(current.card._id.toString());
+    return send(client, format.result(seq, 'SKIP', current.card.answer));
+  }
+
+  const grade = ANSWER_GRADES[answer];
+  const now = new Date();
+  const state = await recordReview({ userId: client.owner._id, card: current.card, grade, now });
+  await recordReviewActivity({ user: client.owner, card: current.card, grade, state, now });
+  send(client, format.result(seq, grade >= 3 ? 'OK' : 'MISS', current.card.answer));
+};
+
+const handleLine = async (client, line) => {
+  const message = parseLine(line);
+  if (message.type === 'ping') return send(client, format.pong());
+  if (message.type === 'pair') return handlePair(client, message);
+  if (message.type === 'hello') return handleHello(client, message);
+  if (message.type === 'invalid') return send(client, format.error(400, 'Unknown message'));
+  if (!client.device) return send(client, format.error(401, 'Send HELLO first'));
+
+  if (message.type === 'next') return handleNext(client);
+  if (message.type === 'answer') return handleAnswer(client, message);
+};
+
+const createServer = () => {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_PAYLOAD_BYTES });
+
+  wss.on('connection', (socket) => {
+    // `skipped` holds ids of cards shaken away on this connection
+    const client = { socket, device: null, owner: null, seq: 0, current: null, skipped: new Set(), authFailures: 0 };
+    let pending = Promise.resolve();
+
+    socket.isAlive = true;
+    socket.on('pong', () => { socket.isAlive = true; });
+    socket.on('message', (data) => {
+      const lines = data.toString().split(/\r?\n/).filter((line) => line.trim());
+      // Handle lines strictly in order, one at a time
+      lines.forEach((line) => {
+        pending = pending
+          .then(() => handleLine(client, line))
+          .catch((err) => {
+            console.error('❌ micro:bit gateway error:', err);
+            send(client, format.error(500, 'Server error'));
+          });
+      });
+    });
+    socket.on('close', () => {
+      if (client.device && connections.get(client.device.id) === client) connections.delete(client.device.id);
+    });
+  });
+
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((socket) => {
+      if (!socket.isAlive) return socket.terminate();
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+};
+
+const isConnected = (deviceId) => connections.has(String(deviceId));
+
+// Push a specific card to a connected device; false if it isn't online
+const pushCardToDevice = (deviceId, card) => {
+  const client = connections.get(String(deviceId));
+  if (!client) return false;
+  pushCard(client, card);
+  return true;
+};
+
+const disconnectDevice = (deviceId) => {
+  const client = connections.get(String(deviceId));
+  if (client) client.socket.close(4003, 'Device revoked');
+};
+
+module.exports = { createServer, isConnected, pushCardToDevice, disconnectDevice };
@@ -0,0 +1,55 @@
+// Lenient comparison of typed answers: case, accents, punctuation, extra
+// whitespace and leading articles are ignored, and longer answers tolerate
+// small typos.
+
+const MIN_SIMILARITY = 0.85;
+const EXACT_MATCH_MAX_LENGTH = 4;
+
+const normalize = (text) => String(text ?? '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .replace(/^(the|an|a) /, '');
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const similarity = (a, b) => {
+  const longest = Math.max(a.length, b.length);
+  return longest ? 1 - levenshtein(a, b) / longest : 1;
+};
+
+const isAnswerMatch = (given, expected) => {
+  const a = normalize(given);
+  const b = normalize(expected);
+  if (!a) return false;
+  if (a === b) return true;
+  if (b.length <= EXACT_MATCH_MAX_LENGTH) return false;
+  return similarity(a, b) >= MIN_SIMILARITY;
+};
+
+// Grade a generated quiz question: typed answers are matched leniently,
+// choices must match one of the offered options exactly (after normalizing)
+const checkAnswer = (question, answer) => {
+  if (question.type === 'free_text') return isAnswerMatch(answer, question.correctAnswer);
+  return normalize(answer) === normalize(question.correctAnswer);
+};
+
+module.exports = { normalize, levenshtein, similarity, isAnswerMatch, checkAnswer };
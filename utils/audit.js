@@ -0,0 +1,88 @@
+// Audit trail helpers. record() never throws: a failed audit write is logged
+// but doesn't fail the request that triggered it.
+const AuditLog = require('../models/AuditLog');
+const Setting = require('../models/Setting');
+
+const RETENTION_KEY = 'audit.retentionDays';
+const MIN_RETENTION_DAYS = 30;
+const DEFAULT_RETENTION_DAYS = Number(process.env.AUDIT_RETENTION_DAYS) || 365;
+
+// Never copied into an entry, at any depth
+const SENSITIVE_KEYS = new Set([
+  'password', 'newPassword', 'currentPassword', 'otp', 'token', 'refreshToken', 'resetToken',
+  'refreshTokenHash', 'passwordResetTokenHash', 'twoFactorSecret', 'twoFactorTempSecret',
+  'twoFactorBackupCodes', 'tokenHash', 'pairingCodeHash', 'sessions'
+]);
+
+const plain = (value) => {
+  if (value === null || value === undefined) return value;
+  if (typeof value.toObject === 'function') return plain(value.toObject({ depopulate: true }));
+  if (value instanceof Date || typeof value !== 'object') return value;
+  if (value._bsontype === 'ObjectId') return value.toString();
+  if (Array.isArray(value)) return value.map(plain);
+  return Object.fromEntries(Object.entries(value)
+    .filter(([key]) => !SENSITIVE_KEYS.has(key) && key !== '__v')
+    .map(([key, child]) => [key, plain(child)]));
+};
+
+// The listed fields of a document (or object), ready to store as before/after
+const snapshot = (doc, fields) => {
+  if (!doc) return undefined;
+  const source = plain(doc);
+  return Object.fromEntries(fields.filter((field) => source[field] !== undefined).map((field) => [field, source[field]]));
+};
+
+// Only the fields whose values differ, as { before, after }
+const diff = (before = {}, after = {}) => {
+  const changes = { before: {}, after: {} };
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach((key) => {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changes.before[key] = before[key];
+      changes.after[key] = after[key];
+    }
+  });
+  return changes;
+};
+
+// Write one entry. `actor` defaults to req.user; `target` may be a document or an id.
+const record = async (req, action, { actor, target, targetType, before, after, metadata } = {}) => {
+  try {
+    const who = actor === undefined ? req && req.user : actor;
+    const changes = before || after ? diff(before, after) : undefined;
+    await AuditLog.create({
+      actor: who ? who._id : null,
+      actorEmail: who ? who.email : undefined,
+      actorRole: who ? who.role : undefined,
+      action,
+      targetType,
+      targetId: target ? target._id || target : null,
+      ip: req ? req.ip : undefined,
+      userAgent: req ? req.get('user-agent') : undefined,
+      changes,
+      metadata: metadata && plain(metadata)
+    });
+  } catch (err) {
+    console.error(`❌ Failed to write audit entry ${action}:`, err);
+  }
+};
+
+const getRetentionDays = async () => {
+  const setting = await Setting.findOne({ key: RETENTION_KEY }).lean();
+  return setting ? setting.value : DEFAULT_RETENTION_DAYS;
+};
+
+const setRetentionDays = (days, user) => Setting.findOneAndUpdate(
+  { key: RETENTION_KEY },
+  { value: days, updatedBy: user._id, updatedAt: Date.now() },
+  { upsert: true, new: true }
+);
+
+module.exports = {
+  MIN_RETENTION_DAYS,
+  DEFAULT_RETENTION_DAYS,
+  snapshot,
+  diff,
+  record,
+  getRetentionDays,
+  setRetentionDays
+};
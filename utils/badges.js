@@ -0,0 +1,109 @@
+// Declarative badge rules. A rule without `on` is checked against the user's
+// progress after every activity; a rule with `on` is checked when that event
+// happens, with the event's details available under `event.*`. `when` maps a
+// dotted path to conditions ({ gte, gt, lte, lt, eq }); a badge is earned once.
+const BADGES = [
+  {
+    key: 'first_review',
+    name: 'First steps',
+    description: 'Review your first card',
+    xp: 10,
+    when: { 'counters.reviews': { gte: 1 } }
+  },
+  {
+    key: 'reviews_100',
+    name: 'Centurion',
+    description: 'Review 100 cards',
+    xp: 50,
+    when: { 'counters.reviews': { gte: 100 } }
+  },
+  {
+    key: 'reviews_1000',
+    name: 'Card shark',
+    description: 'Review 1,000 cards',
+    xp: 200,
+    when: { 'counters.reviews': { gte: 1000 } }
+  },
+  {
+    key: 'streak_7',
+    name: 'Week streak',
+    description: 'Study 7 days in a row',
+    xp: 70,
+    when: { 'streak.current': { gte: 7 } }
+  },
+  {
+    key: 'streak_30',
+    name: 'Unstoppable',
+    description: 'Study 30 days in a row',
+    xp: 300,
+    when: { 'streak.current': { gte: 30 } }
+  },
+  {
+    key: 'perfect_session',
+    name: 'Flawless',
+    description: 'Finish a study session of at least 10 cards with 0 errors',
+    xp: 30,
+    on: 'session_complete',
+    when: { 'event.reviews': { gte: 10 }, 'event.errors': { eq: 0 } }
+  },
+  {
+    key: 'deck_mastered',
+    name: 'Deck master',
+    description: 'Master every card in a deck',
+    xp: 100,
+    on: 'deck_mastered'
+  },
+  {
+    key: 'quiz_perfect',
+    name: 'Perfect score',
+    description: 'Score 100% on a quiz of at least 5 questions',
+    xp: 30,
+    on: 'quiz_completed',
+    when: { 'event.score': { gte: 100 }, 'event.questions': { gte: 5 } }
+  },
+  {
+    key: 'xp_1000',
+    name: 'Rising star',
+    description: 'Earn 1,000 XP',
+    xp: 0,
+    when: { xp: { gte: 1000 } }
+  }
+];
+
+const OPERATORS = {
+  gte: (value, target) => value >= target,
+  gt: (value, target) => value > target,
+  lte: (value, target) => value <= target,
+  lt: (value, target) => value < target,
+  eq: (value, target) => value === target
+};
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+const matches = (rule, context) => Object.entries(rule.when || {}).every(([path, conditions]) => {
+  const value = getPath(context, path);
+  return Object.entries(conditions).every(([op, target]) => OPERATORS[op](value, target));
+});
+
+// Badges newly earned given the current progress and this activity's events
+const evaluateBadges = (progress, events = []) => {
+  const owned = new Set(progress.badges.map((badge) => badge.key));
+  const earned = [];
+  BADGES.forEach((rule) => {
+    if (owned.has(rule.key)) return;
+    if (!rule.on) {
+      if (matches(rule, progress)) earned.push({ rule, context: undefined });
+      return;
+    }
+    const event = events.find((candidate) => candidate.type === rule.on && matches(rule, { ...progress, event: candidate }));
+    if (event) earned.push({ rule, context: event });
+  });
+  return earned;
+};
+
+const badgeInfo = (key) => {
+  const rule = BADGES.find((badge) => badge.key === key);
+  return rule ? { key, name: rule.name, description: rule.description, xp: rule.xp } : { key };
+};
+
+module.exports = { BADGES, evaluateBadges, badgeInfo };
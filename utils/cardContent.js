@@ -0,0 +1,79 @@
+// Applies the text and media fields of a create/update flashcard request.
+// Accepts plain `question`/`answer` (older clients) and/or
+// `content: { question, answer, hint, explanation }` Markdown plus
+// `attachments: [{ mediaId, side, alt }]` and `tags`.
+const Media = require('../models/Media');
+const { MAX_MARKDOWN_LENGTH, buildRichText, toPlainText } = require('./richContent');
+const { normalizeTags } = require('./tags');
+
+const RICH_FIELDS = ['question', 'answer', 'hint', 'explanation'];
+const SIDES = RICH_FIELDS;
+const MAX_ATTACHMENTS = 10;
+
+const resolveAttachments = async (attachments, user) => {
+  if (!Array.isArray(attachments)) return { error: 'attachments must be an array' };
+  if (attachments.length > MAX_ATTACHMENTS) return { error: `A card can have at most ${MAX_ATTACHMENTS} attachments` };
+  if (attachments.some((item) => !item || !item.mediaId)) return { error: 'Each attachment needs a mediaId' };
+  if (attachments.some((item) => item.side !== undefined && !SIDES.includes(item.side))) {
+    return { error: `Attachment side must be one of: ${SIDES.join(', ')}` };
+  }
+
+  const ids = attachments.map((item) => String(item.mediaId));
+  const filter = { _id: { $in: ids } };
+  if (user.role !== 'admin') filter.owner = user._id;
+  const found = await Media.find(filter).catch(() => []);
+  const byId = new Map(found.map((media) => [media._id.toString(), media]));
+  if (ids.some((id) => !byId.has(id))) return { error: 'Unknown attachment or not your upload' };
+
+  return {
+    value: attachments.map((item) => {
+      const media = byId.get(String(item.mediaId));
+      return {
+        media: media._id,
+        side: item.side || 'question',
+        kind: media.kind,
+        url: media.url,
+        alt: typeof item.alt === 'string' ? item.alt.slice(0, 500) : undefined
+      };
+    })
+  };
+};
+
+// Mutates `card`; returns an error message (callers throw it as a 422 ValidationError), or null
+const applyCardContent = async (card, body, user) => {
+  const content = body.content === undefined ? {} : body.content;
+  if (content === null || typeof content !== 'object' || Array.isArray(content)) return 'content must be an object';
+
+  for (const field of RICH_FIELDS) {
+    const value = content[field];
+    if (value === undefined) continue;
+    if (value !== null && typeof value !== 'string') return `content.${field} must be a string`;
+    if (value && value.length > MAX_MARKDOWN_LENGTH) return `content.${field} cannot exceed ${MAX_MARKDOWN_LENGTH} characters`;
+    card.set(`content.${field}`, buildRichText(value) || undefined);
+  }
+
+  for (const field of ['question', 'answer']) {
+    if (body[field] !== undefined) {
+      card[field] = body[field];
+      // An old client edited the plain text, so the rich version is stale
+      if (content[field] === undefined) card.set(`content.${field}`, undefined);
+    } else if (content[field]) {
+      card[field] = toPlainText(content[field]);
+    }
+  }
+
+  if (body.tags !== undefined) {
+    const { tags, error } = normalizeTags(body.tags);
+    if (error) return error;
+    card.tags = tags;
+  }
+
+  if (body.attachments !== undefined) {
+    const { value, error } = await resolveAttachments(body.attachments || [], user);
+    if (error) return error;
+    card.attachments = value;
+  }
+  return null;
+};
+
+module.exports = { applyCardContent };
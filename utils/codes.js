@@ -0,0 +1,13 @@
+// Short human-readable codes (class join codes, device pairing codes).
+// No 0/O or 1/I so codes can be read aloud and copied from a board.
+const crypto = require('crypto');
+
+const READABLE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const randomCode = (length, alphabet = READABLE_ALPHABET) =>
+  Array.from({ length }, () => alphabet[crypto.randomInt(alphabet.length)]).join('');
+
+const hashCode = (code) =>
+  crypto.createHash('sha256').update(String(code).trim().toUpperCase()).digest('hex');
+
+module.exports = { randomCode, hashCode, READABLE_ALPHABET };
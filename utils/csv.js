@@ -0,0 +1,67 @@
+// Minimal RFC 4180 reader/writer. The delimiter is configurable so the same
+// code handles comma-separated files and tab-separated (Anki) exports.
+
+const parse = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+const formatField = (value, delimiter = ',') => {
+  const text = value === undefined || value === null ? '' : String(value);
+  if (text.includes('"') || text.includes(delimiter) || /[\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+const formatRow = (values, delimiter = ',') =>
+  values.map((value) => formatField(value, delimiter)).join(delimiter) + '\n';
+
+// Text that a spreadsheet would run as a formula gets a leading apostrophe.
+// Numbers are left alone so negative values stay numeric.
+const spreadsheetSafe = (value) =>
+  (typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value);
+
+// Serialize objects as CSV with a header row; columns are [key, label] pairs.
+// For reports opened in spreadsheets; deck exports use formatRow directly.
+const toCsv = (columns, rows) =>
+  formatRow(columns.map(([, label]) => spreadsheetSafe(label))) +
+  rows.map((row) => formatRow(columns.map(([key]) => spreadsheetSafe(row[key])))).join('');
+
+module.exports = { parse, formatField, formatRow, toCsv };
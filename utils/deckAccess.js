@@ -0,0 +1,45 @@
+// Ownership rules for decks: admins may edit anything, teachers only the
+// decks they created, everyone else is read-only.
+const Classroom = require('../models/Classroom');
+
+const isOwner = (user, deck) => !!deck.createdBy && deck.createdBy.equals(user._id);
+
+const canEditDeck = (user, deck) => {
+  if (!user || !deck) return false;
+  if (user.role === 'admin') return true;
+  return user.role === 'teacher' && isOwner(user, deck);
+};
+
+// Active classes the user teaches or attends
+const memberClassFilter = (user) => ({
+  archived: false,
+  $or: [{ teacher: user._id }, { students: user._id }]
+});
+
+// Decks without a visibility (created before it existed) are treated as public.
+// Class decks are visible to members of a class they are assigned to.
+const canViewDeck = async (user, deck) => {
+  if (!user || !deck) return false;
+  if (user.role === 'admin' || isOwner(user, deck)) return true;
+  if (!deck.visibility || deck.visibility === 'public') return true;
+  if (deck.visibility === 'class') {
+    return !!(await Classroom.exists({ ...memberClassFilter(user), 'assignments.deckId': deck._id }));
+  }
+  return false;
+};
+
+// Mongo filter matching the decks canViewDeck allows. `prefix` targets a
+// deck embedded under another path, e.g. 'deck.' after a $lookup.
+const visibleDeckFilter = async (user, prefix = '') => {
+  if (user.role === 'admin') return {};
+  const classDeckIds = await Classroom.distinct('assignments.deckId', memberClassFilter(user));
+  return {
+    $or: [
+      { [`${prefix}visibility`]: { $in: ['public', null] } },
+      { [`${prefix}createdBy`]: user._id },
+      { [`${prefix}visibility`]: 'class', [`${prefix}_id`]: { $in: classDeckIds } }
+    ]
+  };
+};
+
+module.exports = { canEditDeck, canViewDeck, visibleDeckFilter };
@@ -0,0 +1,172 @@
+// Deck import/export in CSV, JSON bundle and Anki tab-separated text.
+// Parsers never touch the database: they return the cards that would be
+// created plus row-level errors, so callers can refuse the whole import.
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const csv = require('./csv');
+const { normalizeTags } = require('./tags');
+
+const FORMATS = ['csv', 'json', 'anki'];
+const MAX_FIELD_LENGTH = 10000;
+const JSON_BUNDLE_VERSION = 1;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  anki: 'text/tab-separated-values; charset=utf-8'
+};
+
+const EXTENSIONS = { csv: 'csv', json: 'json', anki: 'txt' };
+
+const parseBoolean = (value) => {
+  if (value === undefined || value === null || value === '') return false;
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes', 'y'].includes(text)) return true;
+  if (['false', '0', 'no', 'n'].includes(text)) return false;
+  return undefined;
+};
+
+const validateCard = (raw, row, errors) => {
+  const question = typeof raw.question === 'string' ? raw.question.trim() : '';
+  const answer = typeof raw.answer === 'string' ? raw.answer.trim() : '';
+  const isMicrobit = parseBoolean(raw.isMicrobit);
+  // Text formats use Anki's space-separated tag list
+  const { tags, error: tagError } = normalizeTags(typeof raw.tags === 'string' ? raw.tags.split(/\s+/) : raw.tags);
+  const before = errors.length;
+
+  if (!question) errors.push({ row, field: 'question', message: 'Question is required' });
+  if (!answer) errors.push({ row, field: 'answer', message: 'Answer is required' });
+  if (question.length > MAX_FIELD_LENGTH || answer.length > MAX_FIELD_LENGTH) {
+    errors.push({ row, message: `Fields cannot exceed ${MAX_FIELD_LENGTH} characters` });
+  }
+  if (isMicrobit === undefined) {
+    errors.push({ row, field: 'isMicrobit', message: 'isMicrobit must be true or false' });
+  }
+  if (tagError) errors.push({ row, field: 'tags', message: tagError });
+
+  return errors.length === before ? { question, answer, isMicrobit, tags } : null;
+};
+
+const collect = (rawCards, firstRow) => {
+  const errors = [];
+  const cards = [];
+  rawCards.forEach((raw, index) => {
+    const card = validateCard(raw, firstRow + index, errors);
+    if (card) cards.push(card);
+  });
+  return { cards, errors };
+};
+
+const parseCsv = (text) => {
+  const rows = csv.parse(text).filter((row) => row.some((field) => field.trim() !== ''));
+  if (!rows.length) return { cards: [], errors: [{ row: 1, message: 'File is empty' }] };
+
+  const header = rows[0].map((name) => name.trim());
+  const columns = {};
+  header.forEach((name, index) => { columns[name] = index; });
+  if (columns.question === undefined || columns.answer === undefined) {
+    return { cards: [], errors: [{ row: 1, message: 'Header must include question and answer columns' }] };
+  }
+
+  const rawCards = rows.slice(1).map((row) => ({
+    question: row[columns.question],
+    answer: row[columns.answer],
+    isMicrobit: columns.isMicrobit === undefined ? '' : row[columns.isMicrobit],
+    tags: columns.tags === undefined ? '' : row[columns.tags]
+  }));
+  return collect(rawCards, 2);
+};
+
+// Anki "Notes in Plain Text": front<TAB>back[<TAB>tags], with optional #key:value headers.
+const parseAnki = (text) => {
+  const lines = csv.parse(text, '\t');
+  const rawCards = [];
+  const rowNumbers = [];
+  lines.forEach((fields, index) => {
+    if (fields.length === 1 && fields[0].trim() === '') return;
+    if (fields[0].startsWith('#')) return;
+    rawCards.push({ question: fields[0], answer: fields[1], tags: fields[2] || '' });
+    rowNumbers.push(index + 1);
+  });
+
+  const errors = [];
+  const cards = [];
+  rawCards.forEach((raw, index) => {
+    const card = validateCard(raw, rowNumbers[index], errors);
+    if (card) cards.push(card);
+  });
+  return { cards, errors };
+};
+
+const parseJson = (input) => {
+  let bundle = input;
+  if (typeof input === 'string') {
+    try {
+      bundle = JSON.parse(input);
+    } catch (err) {
+      return { cards: [], errors: [{ row: 0, message: 'Invalid JSON' }] };
+    }
+  }
+  if (!bundle || !Array.isArray(bundle.cards)) {
+    return { cards: [], errors: [{ row: 0, message: 'JSON bundle must contain a cards array' }] };
+  }
+
+  const result = collect(bundle.cards.map((card) => card || {}), 1);
+  const deck = bundle.deck || {};
+  result.deck = { title: deck.title, description: deck.description, visibility: deck.visibility, tags: deck.tags };
+  return result;
+};
+
+const parseDeck = (format, input) => {
+  if (format === 'json') return parseJson(input);
+  const text = typeof input === 'string' ? input : '';
+  if (format === 'csv') return parseCsv(text.replace(/^\uFEFF/, ''));
+  if (format === 'anki') return parseAnki(text.replace(/^\uFEFF/, ''));
+  throw new Error(`Unsupported format: ${format}`);
+};
+
+// The export of a deck and a cursor of its cards, in chunks
+async function* deckChunks(format, deck, cards) {
+  if (format === 'csv') {
+    yield csv.formatRow(['question', 'answer', 'isMicrobit', 'tags']);
+    for await (const card of cards) {
+      yield csv.formatRow([card.question, card.answer, card.isMicrobit ? 'true' : 'false', (card.tags || []).join(' ')]);
+    }
+  } else if (format === 'anki') {
+    yield '#separator:tab\n#html:false\n#tags column:3\n';
+    for await (const card of cards) {
+      yield csv.formatRow([card.question, card.answer, (card.tags || []).join(' ')], '\t');
+    }
+  } else {
+    const header = {
+      version: JSON_BUNDLE_VERSION,
+      deck: { title: deck.title, description: deck.description, visibility: deck.visibility, tags: deck.tags }
+    };
+    yield JSON.stringify(header).slice(0, -1) + ',"cards":[';
+    let first = true;
+    for await (const card of cards) {
+      yield (first ? '' : ',') + JSON.stringify({
+        question: card.question,
+        answer: card.answer,
+        isMicrobit: card.isMicrobit,
+        tags: card.tags
+      });
+      first = false;
+    }
+    yield ']}';
+  }
+}
+
+// Write a deck and a cursor of its cards to a writable stream in the given
+// format. Reads from the cursor only as fast as `out` drains, and stops (closing
+// the cursor) if `out` goes away, e.g. the client disconnects.
+const writeDeck = async (format, deck, cards, out) => {
+  try {
+    await pipeline(Readable.from(deckChunks(format, deck, cards)), out);
+  } catch (err) {
+    if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') throw err;
+  }
+};
+
+module.exports = { FORMATS, CONTENT_TYPES, EXTENSIONS, parseDeck, writeDeck };
@@ -0,0 +1,31 @@
+// Paginated deck listings with card counts, shared by the deck, taxonomy and tag browse endpoints
+const Deck = require('../models/Deck');
+const Flashcard = require('../models/Flashcard');
+
+const readPage = (query) => ({
+  page: Math.max(1, parseInt(query.page, 10) || 1),
+  limit: Math.min(100, Math.max(1, parseInt(query.limit, 10) || 20))
+});
+
+const listDeckPage = async (filter, { page, limit }) => {
+  const [decks, total] = await Promise.all([
+    Deck.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+    Deck.countDocuments(filter)
+  ]);
+
+  const counts = await Flashcard.aggregate([
+    { $match: { deckId: { $in: decks.map((deck) => deck._id) } } },
+    { $group: { _id: '$deckId', count: { $sum: 1 } } }
+  ]);
+  const countByDeck = new Map(counts.map((c) => [c._id.toString(), c.count]));
+
+  return {
+    decks: decks.map((deck) => ({ ...deck, cardCount: countByDeck.get(deck._id.toString()) || 0 })),
+    page,
+    limit,
+    total,
+    pages: Math.ceil(total / limit)
+  };
+};
+
+module.exports = { readPage, listDeckPage };
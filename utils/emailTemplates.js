@@ -0,0 +1,85 @@
+// HTML + plain-text bodies for transactional mail. Each template takes a data
+// object and returns { subject, text, html }.
+const appName = () => process.env.APP_NAME || 'Edubin';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const layout = (title, body) => `<!doctype html>
+<html>
+  <body style="margin:0;padding:24px;background:#f4f5f7;font-family:Arial,Helvetica,sans-serif;color:#1f2933;">
+    <table role="presentation" width="100%" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px;">
+      <tr><td>
+        <h1 style="font-size:20px;margin:0 0 16px;">${escapeHtml(title)}</h1>
+        ${body}
+        <p style="font-size:12px;color:#7b8794;margin-top:32px;">${escapeHtml(appName())}</p>
+      </td></tr>
+    </table>
+  </body>
+</html>`;
+
+const button = (url, label) =>
+  `<p><a href="${escapeHtml(url)}" style="display:inline-block;padding:12px 20px;background:#2563eb;color:#ffffff;text-decoration:none;border-radius:6px;">${escapeHtml(label)}</a></p>`;
+
+const greeting = (name) => (name ? `Hi ${name},` : 'Hi,');
+
+const templates = {
+  otp: ({ name, otp, expiresInMinutes = 10 }) => ({
+    subject: `Your ${appName()} verification code`,
+    text: `${greeting(name)}\n\nYour code is ${otp}. It expires in ${expiresInMinutes} minutes.\n\nIf you didn't request it, you can ignore this email.`,
+    html: layout('Your verification code', `
+        <p>${escapeHtml(greeting(name))}</p>
+        <p>Your code is:</p>
+        <p style="font-size:28px;letter-spacing:6px;font-weight:bold;">${escapeHtml(otp)}</p>
+        <p>It expires in ${escapeHtml(expiresInMinutes)} minutes. If you didn't request it, you can ignore this email.</p>`)
+  }),
+
+  verifyEmail: ({ name, url }) => ({
+    subject: `Confirm your email for ${appName()}`,
+    text: `${greeting(name)}\n\nPlease confirm your email address by opening this link:\n${url}\n\nThe link expires in 24 hours.`,
+    html: layout('Confirm your email', `
+        <p>${escapeHtml(greeting(name))}</p>
+        <p>Please confirm your email address.</p>
+        ${button(url, 'Confirm email')}
+        <p style="font-size:12px;">Or paste this link into your browser: ${escapeHtml(url)}</p>
+        <p>The link expires in 24 hours.</p>`)
+  }),
+
+  passwordReset: ({ name }) => ({
+    subject: `Your ${appName()} password was changed`,
+    text: `${greeting(name)}\n\nYour password was just reset and all signed-in devices were logged out.\n\nIf this wasn't you, reset your password again immediately and contact support.`,
+    html: layout('Your password was changed', `
+        <p>${escapeHtml(greeting(name))}</p>
+        <p>Your password was just reset and all signed-in devices were logged out.</p>
+        <p>If this wasn't you, reset your password again immediately and contact support.</p>`)
+  }),
+
+  accountDeletionScheduled: ({ name, scheduledFor }) => ({
+    subject: `Your ${appName()} account will be deleted`,
+    text: `${greeting(name)}\n\nWe received a request to delete your account. It and everything stored about you will be permanently erased on ${scheduledFor}.\n\nChanged your mind? Sign in and cancel the deletion before then. If you didn't request this, sign in, cancel it and change your password.`,
+    html: layout('Your account will be deleted', `
+        <p>${escapeHtml(greeting(name))}</p>
+        <p>We received a request to delete your account. It and everything stored about you will be permanently erased on <strong>${escapeHtml(scheduledFor)}</strong>.</p>
+        <p>Changed your mind? Sign in and cancel the deletion before then. If you didn't request this, sign in, cancel it and change your password.</p>`)
+  }),
+
+  welcome: ({ name }) => ({
+    subject: `Welcome to ${appName()}`,
+    text: `${greeting(name)}\n\nWelcome to ${appName()}! Your account is ready. Check your inbox for a link to confirm your email address.`,
+    html: layout(`Welcome to ${appName()}`, `
+        <p>${escapeHtml(greeting(name))}</p>
+        <p>Your account is ready. Check your inbox for a link to confirm your email address.</p>`)
+  })
+};
+
+const render = (name, data = {}) => {
+  const template = templates[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+  return template(data);
+};
+
+module.exports = { render, escapeHtml };
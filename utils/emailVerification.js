@@ -0,0 +1,34 @@
+// Signed email-verification links. The token carries the address it was
+// issued for, so a link stops working once the user changes their email.
+const jwt = require('jsonwebtoken');
+const { sendTemplate } = require('./sendEmail');
+
+const VERIFICATION_TTL = '24h';
+
+const createVerificationToken = (user) =>
+  jwt.sign({ id: user._id, email: user.email, purpose: 'verify-email' }, process.env.JWT_SECRET, {
+    expiresIn: VERIFICATION_TTL
+  });
+
+// Returns { id, email } from a valid token, otherwise null
+const readVerificationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'verify-email' ? { id: decoded.id, email: decoded.email } : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const verificationUrl = (token) => {
+  const base = process.env.APP_URL || 'http://localhost:8000';
+  return `${base}/api/auth/verify-email?token=${encodeURIComponent(token)}`;
+};
+
+const sendVerificationEmail = (user) =>
+  sendTemplate(user.email, 'verifyEmail', {
+    name: user.firstName || user.name,
+    url: verificationUrl(createVerificationToken(user))
+  });
+
+module.exports = { createVerificationToken, readVerificationToken, sendVerificationEmail };
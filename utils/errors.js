@@ -0,0 +1,78 @@
+// Typed application errors. Route handlers throw these (Express 5 forwards
+// rejected promises) and middleware/errorHandler turns them into the single
+// error envelope every endpoint responds with:
+//
+//   { "error": "Deck not found", "code": "NOT_FOUND" }
+//   { "error": "Request validation failed", "code": "VALIDATION_FAILED",
+//     "details": [{ "location": "body", "field": "grade", "message": "..." }] }
+//
+// `error` is a human-readable message, `code` is stable and safe to branch on,
+// and `details` (optional) carries field problems or extra context.
+//
+// Status codes:
+//   400 the request could not be read (malformed JSON, unreadable upload)
+//   401 missing or invalid credentials
+//   403 authenticated but not allowed
+//   404 the resource does not exist or is not visible to the caller
+//   409 the request conflicts with the resource's current state
+//   413 the payload is too large
+//   415 the file type is not accepted
+//   422 well-formed but invalid input (schema or business rules)
+//   429 rate limited
+//   500 unexpected failure; the message is never the raw exception
+
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const define = (name, status, defaultCode) => {
+  const ErrorClass = class extends AppError {
+    constructor(message, { code = defaultCode, details } = {}) {
+      super(message, { status, code, details });
+    }
+  };
+  Object.defineProperty(ErrorClass, 'name', { value: name });
+  return ErrorClass;
+};
+
+const BadRequestError = define('BadRequestError', 400, 'BAD_REQUEST');
+const UnauthorizedError = define('UnauthorizedError', 401, 'UNAUTHORIZED');
+const ForbiddenError = define('ForbiddenError', 403, 'FORBIDDEN');
+const NotFoundError = define('NotFoundError', 404, 'NOT_FOUND');
+const ConflictError = define('ConflictError', 409, 'CONFLICT');
+const PayloadTooLargeError = define('PayloadTooLargeError', 413, 'PAYLOAD_TOO_LARGE');
+const UnsupportedMediaTypeError = define('UnsupportedMediaTypeError', 415, 'UNSUPPORTED_MEDIA_TYPE');
+const ValidationError = define('ValidationError', 422, 'VALIDATION_FAILED');
+const TooManyRequestsError = define('TooManyRequestsError', 429, 'RATE_LIMITED');
+
+// A 422 naming one request field, shaped like the validation middleware's errors
+const invalidField = (field, message, location = 'body') =>
+  new ValidationError(message, { details: [{ location, field, message }] });
+
+// The response body for an error
+const errorBody = (err) => {
+  const body = { error: err.message, code: err.code };
+  if (err.details !== undefined) body.details = err.details;
+  return body;
+};
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
+  ValidationError,
+  TooManyRequestsError,
+  invalidField,
+  errorBody
+};
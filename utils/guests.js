@@ -0,0 +1,14 @@
+const crypto = require('crypto');
+
+const GUEST_TTL_MS = (Number(process.env.GUEST_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+const newGuestIdentity = (now = Date.now()) => {
+  const name = `Guest${now}${crypto.randomInt(1000).toString().padStart(3, '0')}`;
+  return {
+    name,
+    email: `${name.toLowerCase()}@guest.com`,
+    guestExpiresAt: new Date(now + GUEST_TTL_MS)
+  };
+};
+
+module.exports = { GUEST_TTL_MS, newGuestIdentity };
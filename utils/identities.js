@@ -0,0 +1,84 @@
+// External sign-in identities linked to a User. Each provider turns a
+// credential (an OIDC ID token) into a normalized profile; users are then
+// matched on (provider, subject), never on email alone.
+const { OAuth2Client } = require('google-auth-library');
+const User = require('../models/User');
+
+const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
+
+// To add an OIDC provider, register a verifier returning the same profile shape
+const providers = {
+  google: {
+    verifyIdToken: async (idToken) => {
+      const ticket = await googleClient.verifyIdToken({ idToken, audience: process.env.GOOGLE_CLIENT_ID });
+      const payload = ticket.getPayload();
+      return {
+        provider: 'google',
+        subject: payload.sub,
+        email: payload.email,
+        emailVerified: !!payload.email_verified,
+        name: payload.name
+      };
+    }
+  }
+};
+
+const isSupportedProvider = (provider) => Object.prototype.hasOwnProperty.call(providers, provider);
+
+// Returns the verified profile, or null when the token is rejected
+const verifyIdToken = async (provider, idToken) => {
+  if (!isSupportedProvider(provider) || !idToken) return null;
+  try {
+    return await providers[provider].verifyIdToken(idToken);
+  } catch (err) {
+    return null;
+  }
+};
+
+const findUserByIdentity = (provider, subject) =>
+  User.findOne({ identities: { $elemMatch: { provider, subject } } });
+
+const addIdentity = (user, profile) => {
+  user.identities.push({ provider: profile.provider, subject: profile.subject, email: profile.email });
+  if (profile.emailVerified && profile.email === user.email) user.isEmailVerified = true;
+};
+
+// Find or create the user for a social sign-in. An existing account with the
+// same email is only linked automatically when it was itself created by an
+// email-matched Google sign-in before identities existed (no password, no
+// identities); anything else has to be linked explicitly while signed in.
+const resolveSocialUser = async (profile) => {
+  const linked = await findUserByIdentity(profile.provider, profile.subject);
+  if (linked) return { user: linked };
+
+  const existing = await User.findOne({ email: profile.email }).select('+password');
+  if (existing) {
+    const isLegacySocial = !existing.password && !existing.identities.length && existing.role !== 'guest';
+    if (!isLegacySocial || !profile.emailVerified) return { conflict: true };
+    addIdentity(existing, profile);
+    await existing.save();
+    return { user: existing };
+  }
+
+  const user = new User({
+    name: profile.name,
+    email: profile.email,
+    role: 'student',
+    isEmailVerified: profile.emailVerified
+  });
+  addIdentity(user, profile);
+  await user.save();
+  return { user, created: true };
+};
+
+// Password plus linked identities; unlinking must leave at least one
+const loginMethodCount = (user) => (user.password ? 1 : 0) + user.identities.length;
+
+module.exports = {
+  isSupportedProvider,
+  verifyIdToken,
+  findUserByIdentity,
+  addIdentity,
+  resolveSocialUser,
+  loginMethodCount
+};
@@ -0,0 +1,85 @@
+// XP rankings summed from XpEvent over a time window
+const XpEvent = require('../models/XpEvent');
+const User = require('../models/User');
+const { publicName, nameForOthers } = require('./users');
+
+const WINDOWS = ['weekly', 'all'];
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+// Weeks start on Monday 00:00 UTC
+const startOfWeek = (now = new Date()) => {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start;
+};
+
+// Ties share a rank and the next rank skips ahead (1, 2, 2, 4)
+const rankRows = (rows) => rows.map((row, index) => {
+  const first = rows.findIndex((other) => other.xp === row.xp);
+  return { ...row, rank: (first === -1 ? index : first) + 1 };
+});
+
+// `match` narrows the events, e.g. { deckId } or { userId: { $in: students } }.
+// Returns the top `limit` entries plus the viewer's own standing. Users with
+// any of the `privacy` settings on appear anonymously to everyone but themselves.
+const buildLeaderboard = async ({
+  match = {},
+  window = 'weekly',
+  limit = DEFAULT_LIMIT,
+  viewer,
+  privacy = ['hideNameOnLeaderboards'],
+  now = new Date()
+}) => {
+  const since = window === 'weekly' ? startOfWeek(now) : null;
+  const filter = { ...match, ...(since && { createdAt: { $gte: since } }) };
+  const totals = [
+    { $match: filter },
+    { $group: { _id: '$userId', xp: { $sum: '$amount' } } }
+  ];
+
+  const [result] = await XpEvent.aggregate([
+    ...totals,
+    { $sort: { xp: -1, _id: 1 } },
+    {
+      $facet: {
+        top: [{ $limit: limit }],
+        me: [{ $match: { _id: viewer._id } }],
+        count: [{ $count: 'total' }]
+      }
+    }
+  ]);
+
+  const users = await User.find({ _id: { $in: result.top.map((row) => row._id) } })
+    .select('firstName lastName name privacy');
+  const byId = new Map(users.map((user) => [user._id.toString(), user]));
+  const entries = rankRows(result.top.map((row) => {
+    const user = byId.get(row._id.toString());
+    const name = !user ? 'Deleted user'
+      : row._id.equals(viewer._id) ? publicName(user) : nameForOthers(user, privacy);
+    return { userId: row._id, name, xp: row.xp };
+  }));
+
+  let me = entries.find((entry) => entry.userId.equals(viewer._id)) || null;
+  if (!me && result.me.length) {
+    const { xp } = result.me[0];
+    const [ahead] = await XpEvent.aggregate([...totals, { $match: { xp: { $gt: xp } } }, { $count: 'total' }]);
+    me = { userId: viewer._id, name: publicName(viewer), xp, rank: (ahead ? ahead.total : 0) + 1 };
+  }
+
+  return {
+    window,
+    since,
+    participants: result.count.length ? result.count[0].total : 0,
+    entries,
+    me
+  };
+};
+
+// ?window=&limit= (validated by validators/progress) with their defaults
+const readLeaderboardQuery = (query) => ({
+  window: query.window === undefined ? 'weekly' : query.window,
+  limit: query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit)
+});
+
+module.exports = { WINDOWS, MAX_LIMIT, startOfWeek, buildLeaderboard, readLeaderboardQuery };
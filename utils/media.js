@@ -0,0 +1,54 @@
+// Upload validation for card media. The type is sniffed from the file's
+// magic bytes; the client-supplied Content-Type and filename are not trusted.
+// SVG is deliberately not accepted since it can carry script.
+const MB = 1024 * 1024;
+
+const MEDIA_TYPES = {
+  'image/png': { kind: 'image', ext: 'png' },
+  'image/jpeg': { kind: 'image', ext: 'jpg' },
+  'image/gif': { kind: 'image', ext: 'gif' },
+  'image/webp': { kind: 'image', ext: 'webp' },
+  'audio/mpeg': { kind: 'audio', ext: 'mp3' },
+  'audio/ogg': { kind: 'audio', ext: 'ogg' },
+  'audio/wav': { kind: 'audio', ext: 'wav' },
+  'audio/mp4': { kind: 'audio', ext: 'm4a' }
+};
+
+const MAX_SIZE = {
+  image: Number(process.env.MAX_IMAGE_UPLOAD_BYTES) || 5 * MB,
+  audio: Number(process.env.MAX_AUDIO_UPLOAD_BYTES) || 20 * MB
+};
+const MAX_UPLOAD_BYTES = Math.max(...Object.values(MAX_SIZE));
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+
+const detectMimeType = (buffer) => {
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (['GIF87a', 'GIF89a'].includes(ascii(buffer, 0, 6))) return 'image/gif';
+  if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') return 'image/webp';
+  if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WAVE') return 'audio/wav';
+  if (ascii(buffer, 0, 4) === 'OggS') return 'audio/ogg';
+  if (ascii(buffer, 0, 3) === 'ID3') return 'audio/mpeg';
+  // Bare MPEG audio frame sync (MP3 without an ID3 tag)
+  if (buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) return 'audio/mpeg';
+  if (ascii(buffer, 4, 8) === 'ftyp' && ['M4A ', 'M4B ', 'mp42', 'isom'].includes(ascii(buffer, 8, 12))) return 'audio/mp4';
+  return null;
+};
+
+// Returns { mimeType, kind, ext } or { error, status }
+const validateUpload = (buffer) => {
+  const mimeType = detectMimeType(buffer);
+  if (!mimeType) {
+    return { status: 415, error: `Unsupported file type. Allowed: ${Object.keys(MEDIA_TYPES).join(', ')}` };
+  }
+  const { kind, ext } = MEDIA_TYPES[mimeType];
+  if (buffer.length > MAX_SIZE[kind]) {
+    return { status: 413, error: `${kind === 'image' ? 'Images' : 'Audio files'} cannot exceed ${MAX_SIZE[kind] / MB} MB` };
+  }
+  return { mimeType, kind, ext };
+};
+
+module.exports = { MEDIA_TYPES, MAX_SIZE, MAX_UPLOAD_BYTES, detectMimeType, validateUpload };
@@ -0,0 +1,62 @@
+// Line-based protocol between the micro:bit serial bridge and the gateway.
+// One message per line, space-separated, command first; the last field of a
+// message may contain spaces. Text sent to the device is ASCII-only and
+// short enough to scroll on the 5x5 display.
+//
+// Device -> server                     Server -> device
+//   PAIR <code> <hardwareId>             PAIRED <deviceId> <token>
+//   HELLO <deviceId> <token>             OK <deviceName>
+//   NEXT                                 Q <seq> <prompt>
+//   ANS <seq> <A|B|AB|LOGO|SHAKE>        R <seq> <OK|MISS|SKIP> <answer>
+//   PING                                 DONE
+//                                        PONG
+//                                        ERR <code> <message>
+
+const MAX_TEXT_LENGTH = 60;
+
+// Button/gesture -> SM-2 grade; SHAKE skips the card without grading it
+const ANSWER_GRADES = { LOGO: 5, A: 4, AB: 3, B: 1 };
+const ANSWERS = [...Object.keys(ANSWER_GRADES), 'SHAKE'];
+
+const toDeviceText = (text) => String(text ?? '')
+  .normalize('NFKD')
+  .replace(/[^\x20-\x7e]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .slice(0, MAX_TEXT_LENGTH);
+
+const parseLine = (line) => {
+  const text = String(line).trim();
+  const [command = '', ...args] = text.split(/\s+/);
+
+  switch (command.toUpperCase()) {
+    case 'PAIR':
+      return args.length === 2 ? { type: 'pair', code: args[0], hardwareId: args[1] } : { type: 'invalid', line: text };
+    case 'HELLO':
+      return args.length === 2 ? { type: 'hello', deviceId: args[0], token: args[1] } : { type: 'invalid', line: text };
+    case 'NEXT':
+      return { type: 'next' };
+    case 'ANS': {
+      const seq = Number(args[0]);
+      const answer = (args[1] || '').toUpperCase();
+      if (!Number.isInteger(seq) || !ANSWERS.includes(answer)) return { type: 'invalid', line: text };
+      return { type: 'answer', seq, answer };
+    }
+    case 'PING':
+      return { type: 'ping' };
+    default:
+      return { type: 'invalid', line: text };
+  }
+};
+
+const format = {
+  paired: (deviceId, token) => `PAIRED ${deviceId} ${token}`,
+  ok: (name) => `OK ${toDeviceText(name) || 'microbit'}`,
+  question: (seq, prompt) => `Q ${seq} ${toDeviceText(prompt)}`,
+  result: (seq, outcome, answer) => `R ${seq} ${outcome} ${toDeviceText(answer)}`,
+  done: () => 'DONE',
+  pong: () => 'PONG',
+  error: (code, message) => `ERR ${code} ${toDeviceText(message)}`
+};
+
+module.exports = { ANSWER_GRADES, ANSWERS, parseLine, format, toDeviceText };
@@ -0,0 +1,176 @@
+// Notes are the authored source for generated flashcards: one basic card,
+// a forward + reverse pair, one card per cloze number, or a multiple-choice
+// card. Cards are matched to a note by ordinal, so editing a note updates the
+// existing cards in place and keeps their review history.
+const Flashcard = require('../models/Flashcard');
+const ErrorCard = require('../models/ErrorCard');
+const ReviewState = require('../models/ReviewState');
+const ReviewLog = require('../models/ReviewLog');
+const { MAX_MARKDOWN_LENGTH, buildRichText, toPlainText } = require('./richContent');
+
+const NOTE_TYPES = ['basic', 'reversed', 'cloze', 'multipleChoice'];
+const MAX_CLOZE_CARDS = 50;
+const MAX_OPTIONS = 8;
+const CLOZE_PATTERN = /\{\{c(\d+)::([\s\S]*?)(?:::([\s\S]*?))?\}\}/g;
+
+const parseCloze = (text) => [...text.matchAll(CLOZE_PATTERN)].map((match) => ({
+  raw: match[0],
+  number: Number(match[1]),
+  answer: match[2].trim(),
+  hint: match[3] && match[3].trim()
+}));
+
+const clozeNumbers = (text) => [...new Set(parseCloze(text).map((item) => item.number))].sort((a, b) => a - b);
+
+const isBlank = (value) => typeof value !== 'string' || !value.trim();
+
+// Pick the note's fields from a request body; returns { fields } or { error }
+const readNoteFields = (type, body = {}) => {
+  const longField = ['front', 'back', 'text', 'extra'].find(
+    (name) => body[name] !== undefined && (typeof body[name] !== 'string' || body[name].length > MAX_MARKDOWN_LENGTH)
+  );
+  if (longField) return { error: `${longField} must be a string of at most ${MAX_MARKDOWN_LENGTH} characters` };
+  const extra = isBlank(body.extra) ? undefined : body.extra;
+
+  if (type === 'basic' || type === 'reversed') {
+    if (isBlank(body.front) || isBlank(body.back)) return { error: 'front and back are required' };
+    return { fields: { front: body.front, back: body.back, extra } };
+  }
+
+  if (type === 'cloze') {
+    if (isBlank(body.text)) return { error: 'text is required' };
+    const numbers = clozeNumbers(body.text);
+    if (!numbers.length) return { error: 'text must contain at least one {{c1::...}} deletion' };
+    if (numbers.length > MAX_CLOZE_CARDS) return { error: `A cloze note can have at most ${MAX_CLOZE_CARDS} deletions` };
+    if (parseCloze(body.text).some((item) => !item.answer)) return { error: 'Cloze deletions cannot be empty' };
+    return { fields: { text: body.text, extra } };
+  }
+
+  if (type === 'multipleChoice') {
+    const { options, correctOption } = body;
+    if (isBlank(body.front)) return { error: 'front is required' };
+    if (!Array.isArray(options) || options.length < 2 || options.length > MAX_OPTIONS) {
+      return { error: `options must be an array of 2 to ${MAX_OPTIONS} answers` };
+    }
+    if (options.some(isBlank)) return { error: 'Options cannot be empty' };
+    const trimmed = options.map((option) => option.trim());
+    if (new Set(trimmed.map((option) => option.toLowerCase())).size !== trimmed.length) {
+      return { error: 'Options must be distinct' };
+    }
+    if (!Number.isInteger(correctOption) || correctOption < 0 || correctOption >= trimmed.length) {
+      return { error: 'correctOption must be the index of the correct option' };
+    }
+    return { fields: { front: body.front, options: trimmed, correctOption, extra } };
+  }
+
+  return { error: `type must be one of: ${NOTE_TYPES.join(', ')}` };
+};
+
+const cardFrom = (ordinal, cardType, questionMd, answerMd, answerText) => ({
+  ordinal,
+  cardType,
+  question: toPlainText(questionMd),
+  answer: answerText !== undefined ? answerText : toPlainText(answerMd),
+  content: { question: buildRichText(questionMd), answer: buildRichText(answerMd) }
+});
+
+// Card N hides deletion N (showing its hint if any) and reveals every other one
+const clozeCard = (text, number) => {
+  const deletions = parseCloze(text);
+  let question = text;
+  let answer = text;
+  deletions.forEach((item) => {
+    const hidden = item.number === number;
+    question = question.replace(item.raw, () => (hidden ? `[${item.hint || '...'}]` : item.answer));
+    answer = answer.replace(item.raw, () => (hidden ? `**${item.answer}**` : item.answer));
+  });
+  const answerText = deletions.filter((item) => item.number === number).map((item) => item.answer).join(', ');
+  return cardFrom(number, 'cloze', question, answer, answerText);
+};
+
+// The cards a note should currently have, keyed by ordinal
+const generateCards = (note) => {
+  const { front, back, text, options, correctOption, extra } = note.fields;
+  let cards;
+  if (note.type === 'basic') cards = [cardFrom(1, 'basic', front, back)];
+  else if (note.type === 'reversed') cards = [cardFrom(1, 'reversed', front, back), cardFrom(2, 'reversed', back, front)];
+  else if (note.type === 'cloze') cards = clozeNumbers(text).map((number) => clozeCard(text, number));
+  else {
+    const card = cardFrom(1, 'multipleChoice', front, options[correctOption], options[correctOption]);
+    cards = [{ ...card, options: [...options] }];
+  }
+
+  const explanation = buildRichText(extra);
+  return cards.map((card) => ({
+    ...card,
+    content: { ...card.content, explanation: explanation || undefined },
+    tags: note.tags ? [...note.tags] : [],
+    isMicrobit: note.isMicrobit
+  }));
+};
+
+// Cards and everything recorded against them
+const removeCards = async (cardIds) => {
+  if (!cardIds.length) return;
+  const match = { $in: cardIds };
+  await Promise.all([
+    ErrorCard.deleteMany({ flashcardId: match }),
+    ReviewState.deleteMany({ flashcardId: match }),
+    ReviewLog.deleteMany({ flashcardId: match })
+  ]);
+  await Flashcard.deleteMany({ _id: match });
+};
+
+// Bring the note's flashcards in line with its fields; returns them in ordinal order
+const syncNoteCards = async (note) => {
+  const existing = await Flashcard.find({ noteId: note._id });
+  const byOrdinal = new Map(existing.map((card) => [card.ordinal, card]));
+  const wanted = generateCards(note);
+  const wantedOrdinals = new Set(wanted.map((card) => card.ordinal));
+
+  await removeCards(existing.filter((card) => !wantedOrdinals.has(card.ordinal)).map((card) => card._id));
+
+  const last = await Flashcard.findOne({ deckId: note.deckId }).sort({ position: -1 }).select('position');
+  let position = last ? last.position + 1 : 0;
+
+  const cards = [];
+  for (const generated of wanted) {
+    const card = byOrdinal.get(generated.ordinal) ||
+      new Flashcard({ deckId: note.deckId, noteId: note._id, position: position++ });
+    card.set({ ...generated, options: generated.options });
+    await card.save();
+    cards.push(card);
+  }
+  return cards;
+};
+
+// Sibling cards always live in their note's deck; call after changing note.deckId
+const moveNoteCards = async (note, deckId) => {
+  const cards = await Flashcard.find({ noteId: note._id }).sort({ ordinal: 1 });
+  const last = await Flashcard.findOne({ deckId }).sort({ position: -1 }).select('position');
+  let position = last ? last.position + 1 : 0;
+
+  for (const card of cards) {
+    card.deckId = deckId;
+    card.position = position++;
+    await card.save();
+  }
+
+  const ids = { flashcardId: { $in: cards.map((card) => card._id) } };
+  await Promise.all([
+    ErrorCard.updateMany(ids, { deckId }),
+    ReviewState.updateMany(ids, { deckId }),
+    ReviewLog.updateMany(ids, { deckId })
+  ]);
+  return cards;
+};
+
+module.exports = {
+  NOTE_TYPES,
+  parseCloze,
+  readNoteFields,
+  generateCards,
+  removeCards,
+  syncNoteCards,
+  moveNoteCards
+};
@@ -0,0 +1,359 @@
+// Builds the OpenAPI 3 description of the API from what the code already
+// declares: the mounted routers (paths, methods, auth and role middleware),
+// the express-validator schemas attached by middleware/validate (parameters
+// and request bodies) and the Mongoose models (resource schemas). Summaries
+// and response shapes come from the route descriptors in docs/paths.
+const mongoose = require('mongoose');
+const {
+  protect,
+  denyGuests,
+  requireVerifiedEmail,
+  authorizeDeck,
+  authorizeDeckRead,
+  authorizeFlashcard,
+  authorizeNote
+} = require('../middleware/authMiddleware');
+const { loadClassroom } = require('../middleware/classroomMiddleware');
+
+const OBJECT_ID = { type: 'string', pattern: '^[0-9a-fA-F]{24}$', example: '665f1c2e8b3a4d0012345678' };
+const LOADERS = new Set([authorizeDeck, authorizeDeckRead, authorizeFlashcard, authorizeNote, loadClassroom]);
+
+const ERROR_DESCRIPTIONS = {
+  400: 'The request could not be read',
+  401: 'Missing or invalid credentials',
+  403: 'Authenticated but not allowed',
+  404: 'Not found',
+  409: 'Conflicts with the current state',
+  413: 'Payload too large',
+  415: 'Unsupported file type',
+  422: 'Invalid input',
+  429: 'Rate limited'
+};
+
+// Schema helpers for route descriptors
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = (items) => ({ type: 'array', items: typeof items === 'string' ? ref(items) : items });
+const object = (properties, required) => ({
+  type: 'object',
+  properties: Object.fromEntries(Object.entries(properties)
+    .map(([key, schema]) => [key, typeof schema === 'string' ? ref(schema) : schema])),
+  ...(required && { required })
+});
+const types = {
+  string: { type: 'string' },
+  integer: { type: 'integer' },
+  number: { type: 'number' },
+  boolean: { type: 'boolean' },
+  date: { type: 'string', format: 'date-time' },
+  id: OBJECT_ID,
+  any: {}
+};
+
+// ---- Mongoose models ----
+
+// Top-level fields a schema's toJSON transform removes from responses
+const hiddenFields = (schema) => {
+  const transform = schema.options.toJSON?.transform;
+  if (typeof transform !== 'function') return new Set();
+  const fields = Object.keys(schema.paths).map((path) => path.split('.')[0]);
+  const ret = Object.fromEntries(fields.map((field) => [field, true]));
+  const out = transform(null, ret, {}) || ret;
+  return new Set(fields.filter((field) => !(field in out)));
+};
+
+const pathSchema = (schemaType) => {
+  const { options } = schemaType;
+  let schema;
+  if (schemaType.$isMongooseDocumentArray) {
+    schema = arrayOf(modelSchema(schemaType.schema));
+  } else if (schemaType.$isSingleNested) {
+    schema = modelSchema(schemaType.schema);
+  } else {
+    switch (schemaType.instance) {
+      case 'String':
+        schema = { type: 'string' };
+        if (schemaType.enumValues?.length) schema.enum = schemaType.enumValues;
+        if (options.maxlength) schema.maxLength = Array.isArray(options.maxlength) ? options.maxlength[0] : options.maxlength;
+        break;
+      case 'Number':
+        schema = { type: 'number' };
+        if (options.min !== undefined) schema.minimum = Array.isArray(options.min) ? options.min[0] : options.min;
+        if (options.max !== undefined) schema.maximum = Array.isArray(options.max) ? options.max[0] : options.max;
+        break;
+      case 'Boolean':
+        schema = { type: 'boolean' };
+        break;
+      case 'Date':
+        schema = { type: 'string', format: 'date-time' };
+        break;
+      case 'ObjectId':
+        schema = { ...OBJECT_ID };
+        break;
+      case 'Array':
+        schema = arrayOf(schemaType.caster ? pathSchema(schemaType.caster) : {});
+        break;
+      case 'Map':
+        schema = { type: 'object', additionalProperties: schemaType.$__schemaType ? pathSchema(schemaType.$__schemaType) : {} };
+        break;
+      default:
+        schema = {};
+    }
+  }
+  if (options.default !== undefined && typeof options.default !== 'function') schema.default = options.default;
+  return schema;
+};
+
+// JSON schema for a Mongoose schema as it is serialized in responses
+const modelSchema = (schema) => {
+  const root = { type: 'object', properties: {} };
+  const hidden = hiddenFields(schema);
+  schema.eachPath((path, schemaType) => {
+    const parts = path.split('.');
+    if (path === '__v' || hidden.has(parts[0]) || schemaType.options.select === false) return;
+
+    let node = root;
+    parts.slice(0, -1).forEach((part) => {
+      node.properties[part] = node.properties[part] || { type: 'object', properties: {} };
+      node = node.properties[part];
+    });
+    const name = parts[parts.length - 1];
+    node.properties[name] = pathSchema(schemaType);
+    if (schemaType.isRequired && typeof schemaType.originalRequiredValue !== 'function') {
+      node.required = [...(node.required || []), name];
+    }
+  });
+  return root;
+};
+
+// ---- express-validator schemas ----
+
+const fieldSchema = (field) => {
+  const schema = {};
+  if (field.isString || field.notEmpty || field.isLength || field.trim) schema.type = 'string';
+  if (field.isLength) {
+    const { min, max } = field.isLength.options || {};
+    if (min) schema.minLength = min;
+    if (max !== undefined) schema.maxLength = max;
+  }
+  if (field.matches) schema.pattern = [].concat(field.matches.options)[0].source;
+  if (field.isMongoId) Object.assign(schema, OBJECT_ID);
+  if (field.isInt) {
+    schema.type = 'integer';
+    const { min, max } = field.isInt.options || {};
+    if (min !== undefined) schema.minimum = min;
+    if (max !== undefined) schema.maximum = max;
+  }
+  if (field.isBoolean) schema.type = 'boolean';
+  if (field.isIn) {
+    schema.type = 'string';
+    schema.enum = field.isIn.options[0];
+  }
+  if (field.isISO8601) Object.assign(schema, { type: 'string', format: 'date-time' });
+  if (field.isEmail) Object.assign(schema, { type: 'string', format: 'email' });
+  if (field.isURL) Object.assign(schema, { type: 'string', format: 'uri' });
+  if (field.isArray) {
+    schema.type = 'array';
+    schema.items = schema.items || {};
+    const { min, max } = field.isArray.options || {};
+    if (min) schema.minItems = min;
+    if (max !== undefined) schema.maxItems = max;
+  }
+  if (field.isObject) schema.type = 'object';
+  if (field.custom || field.isMobilePhone) {
+    const rule = field.custom || field.isMobilePhone;
+    if (rule.errorMessage) schema.description = rule.errorMessage;
+  }
+  return schema;
+};
+
+// Fields checked only by a custom rule may be satisfied another way (see
+// eitherOf in validators/auth), so they are never listed as required
+const isRequired = (field) => !field.optional && !(field.custom && !field.isString && !field.isMongoId);
+
+// Place "a.b", "a.*" and "a.*.b" style fields into a nested body schema
+const addBodyField = (root, name, schema, required) => {
+  const parts = name.split('.');
+  let node = root;
+  parts.forEach((part, index) => {
+    const last = index === parts.length - 1;
+    if (part === '*') {
+      node.type = 'array';
+      if (last) node.items = { ...node.items, ...schema };
+      else if (!node.items?.properties) node.items = { type: 'object', properties: {} };
+      node = node.items;
+      return;
+    }
+    node.properties = node.properties || {};
+    if (last) {
+      // Keep item rules from an "a.*" field declared before "a"
+      const existing = node.properties[part] || {};
+      node.properties[part] = { ...existing, ...schema, ...(existing.items && { items: existing.items }) };
+      if (required) node.required = [...(node.required || []), part];
+    } else {
+      node.properties[part] = node.properties[part] || { type: 'object', properties: {} };
+    }
+    node = node.properties[part];
+  });
+};
+
+// Parameters and request body described by one route's validation schemas
+const requestFromSchemas = (schemas) => {
+  const parameters = [];
+  const body = { type: 'object', properties: {} };
+  schemas.flat().forEach((schema) => {
+    Object.entries(schema).forEach(([name, field]) => {
+      const location = (field.in || ['body'])[0];
+      const required = isRequired(field);
+      const schemaFor = fieldSchema(field);
+      if (location === 'body') return addBodyField(body, name, schemaFor, required);
+
+      const { description, ...rest } = schemaFor;
+      parameters.push({
+        name,
+        in: location === 'params' ? 'path' : location,
+        required: location === 'params' || required,
+        ...(description && { description }),
+        schema: rest
+      });
+    });
+  });
+  return { parameters, body: Object.keys(body.properties).length ? body : null };
+};
+
+// ---- Routes ----
+
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// Every route on the mounted routers, with the handlers that run for it
+// (router-level middleware registered before it included)
+const listRoutes = (mounts) => mounts.flatMap(({ path: base, router }) => {
+  const shared = [];
+  const routes = [];
+  router.stack.forEach((layer) => {
+    if (!layer.route) {
+      shared.push(layer.handle);
+      return;
+    }
+    const handlers = [...shared, ...layer.route.stack.map((entry) => entry.handle)];
+    Object.keys(layer.route.methods).forEach((method) => {
+      routes.push({
+        base,
+        method,
+        routePath: layer.route.path,
+        path: base + (layer.route.path === '/' ? '' : layer.route.path),
+        key: `${method.toUpperCase()} ${layer.route.path}`,
+        handlers
+      });
+    });
+  });
+  return routes;
+});
+
+const errorResponse = (status) => ({
+  description: ERROR_DESCRIPTIONS[status] || 'Error',
+  content: { 'application/json': { schema: ref('Error') } }
+});
+
+const operationFor = (route, descriptor = {}, tag) => {
+  const { handlers } = route;
+  const authenticated = handlers.includes(protect);
+  const roles = [...new Set(handlers.flatMap((handler) => handler.roles || []))];
+  const schemas = handlers.filter((handler) => handler.schema).map((handler) => handler.schema);
+  const { parameters, body } = requestFromSchemas(schemas);
+
+  // Path parameters the validators did not describe
+  (route.routePath.match(/:(\w+)/g) || []).forEach((param) => {
+    const name = param.slice(1);
+    if (!parameters.some((p) => p.in === 'path' && p.name === name)) {
+      parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+    }
+  });
+
+  const notes = [];
+  if (roles.length) notes.push(`Roles: ${roles.join(', ')}.`);
+  if (handlers.includes(denyGuests)) notes.push('Not available to guest accounts.');
+  if (handlers.includes(requireVerifiedEmail)) notes.push('Requires a verified email address (admins exempt).');
+  const description = [descriptor.description, ...notes].filter(Boolean).join('\n\n');
+
+  const errors = new Set(descriptor.errors || []);
+  if (schemas.length) errors.add(422);
+  if (authenticated) errors.add(401);
+  if (roles.length || handlers.includes(denyGuests) || handlers.includes(requireVerifiedEmail)) errors.add(403);
+  if (handlers.some((handler) => LOADERS.has(handler))) errors.add(404);
+  if (handlers.some((handler) => handler.limit)) errors.add(429);
+
+  const status = descriptor.status || 200;
+  const contentType = descriptor.contentType || 'application/json';
+  const success = { description: descriptor.responseDescription || (status === 201 ? 'Created' : 'OK') };
+  if (descriptor.response) success.content = { [contentType]: { schema: descriptor.response } };
+
+  const operation = {
+    tags: [tag],
+    summary: descriptor.summary,
+    ...(description && { description }),
+    ...(authenticated ? { security: [{ bearerAuth: [] }] } : { security: [] }),
+    ...(parameters.length && { parameters }),
+    responses: {
+      [status]: success,
+      ...Object.fromEntries([...errors].sort().map((code) => [code, errorResponse(code)]))
+    }
+  };
+  if (descriptor.requestBody) {
+    operation.requestBody = descriptor.requestBody;
+  } else if (body) {
+    operation.requestBody = { required: !!body.required, content: { 'application/json': { schema: body } } };
+  }
+  Object.keys(operation).forEach((key) => operation[key] === undefined && delete operation[key]);
+  return operation;
+};
+
+// The full OpenAPI document. `paths` maps each mount path to
+// { tag, routes: { 'GET /decks/:deckId': descriptor } }.
+const buildSpec = ({ info, mounts, paths, schemas = {}, models = [] }) => {
+  const spec = {
+    openapi: '3.0.3',
+    info,
+    tags: [],
+    paths: {},
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      schemas: {
+        ...Object.fromEntries(models.map((name) => [name, modelSchema(mongoose.model(name).schema)])),
+        ...schemas
+      }
+    }
+  };
+
+  listRoutes(mounts).forEach((route) => {
+    const { tag = route.base, routes = {} } = paths[route.base] || {};
+    if (!spec.tags.some((entry) => entry.name === tag)) spec.tags.push({ name: tag });
+    const path = toOpenApiPath(route.path);
+    spec.paths[path] = spec.paths[path] || {};
+    spec.paths[path][route.method] = operationFor(route, routes[route.key], tag);
+  });
+  return spec;
+};
+
+// Registered routes without a descriptor, and descriptors for routes that no longer exist
+const checkDescriptors = ({ mounts, paths }) => {
+  const routes = listRoutes(mounts);
+  const missing = routes.filter((route) => !paths[route.base]?.routes?.[route.key]);
+  const stale = Object.entries(paths).flatMap(([base, { routes: described = {} }]) => Object.keys(described)
+    .filter((key) => !routes.some((route) => route.base === base && route.key === key))
+    .map((key) => ({ base, key })));
+  return { routes, missing, stale };
+};
+
+module.exports = {
+  ref,
+  arrayOf,
+  object,
+  types,
+  modelSchema,
+  requestFromSchemas,
+  listRoutes,
+  buildSpec,
+  checkDescriptors
+};
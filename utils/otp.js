@@ -0,0 +1,78 @@
+// One-time codes for password reset. Codes come from a CSPRNG and only a
+// bcrypt hash is stored; each code allows a limited number of guesses and
+// is cleared as soon as it is used or exhausted.
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const OTP_TTL_MS = 10 * 60 * 1000;
+const OTP_RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_OTP_ATTEMPTS = 5;
+const RESET_TOKEN_TTL_MS = 15 * 60 * 1000;
+
+const generateOtp = () => crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Store a fresh code on the user (caller saves) and return the plaintext
+const issueOtp = async (user, now = Date.now()) => {
+  const otp = generateOtp();
+  user.otp = await bcrypt.hash(otp, 10);
+  user.otpExpiresAt = new Date(now + OTP_TTL_MS);
+  user.otpAttempts = 0;
+  user.otpLastSentAt = new Date(now);
+  return otp;
+};
+
+const canResendOtp = (user, now = Date.now()) =>
+  !user.otpLastSentAt || now - user.otpLastSentAt.getTime() >= OTP_RESEND_COOLDOWN_MS;
+
+const clearOtp = (user) => {
+  user.otp = undefined;
+  user.otpExpiresAt = undefined;
+  user.otpAttempts = 0;
+};
+
+// Check a guess against the stored code, counting the attempt (caller saves).
+// The code is consumed on success and discarded after MAX_OTP_ATTEMPTS misses.
+const consumeOtp = async (user, guess, now = Date.now()) => {
+  if (!user.otp || !user.otpExpiresAt || now > user.otpExpiresAt.getTime()) {
+    clearOtp(user);
+    return false;
+  }
+
+  const isMatch = await bcrypt.compare(String(guess || ''), user.otp);
+  if (isMatch) {
+    clearOtp(user);
+    return true;
+  }
+
+  user.otpAttempts = (user.otpAttempts || 0) + 1;
+  if (user.otpAttempts >= MAX_OTP_ATTEMPTS) clearOtp(user);
+  return false;
+};
+
+// Single-use token handed out after a successful OTP check (caller saves)
+const issueResetToken = (user, now = Date.now()) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  user.passwordResetTokenHash = hashToken(token);
+  user.passwordResetExpiresAt = new Date(now + RESET_TOKEN_TTL_MS);
+  return token;
+};
+
+const consumeResetToken = (user, token, now = Date.now()) => {
+  const valid = !!token && !!user.passwordResetTokenHash &&
+    user.passwordResetExpiresAt && now <= user.passwordResetExpiresAt.getTime() &&
+    crypto.timingSafeEqual(Buffer.from(hashToken(token)), Buffer.from(user.passwordResetTokenHash));
+  user.passwordResetTokenHash = undefined;
+  user.passwordResetExpiresAt = undefined;
+  return valid;
+};
+
+module.exports = {
+  OTP_TTL_MS,
+  issueOtp,
+  canResendOtp,
+  consumeOtp,
+  issueResetToken,
+  consumeResetToken
+};
@@ -0,0 +1,241 @@
+// XP, streaks, study sessions and badges. Progress is a side effect of studying:
+// the record* functions log failures and resolve to null rather than failing
+// the review or quiz that triggered them.
+const mongoose = require('mongoose');
+const Progress = require('../models/Progress');
+const XpEvent = require('../models/XpEvent');
+const Flashcard = require('../models/Flashcard');
+const ReviewLog = require('../models/ReviewLog');
+const ReviewState = require('../models/ReviewState');
+const { getDueCards, MASTERY_INTERVAL_DAYS } = require('./reviews');
+const { dayKey, advanceStreak, currentStreak } = require('./streaks');
+const { evaluateBadges, badgeInfo } = require('./badges');
+
+const XP = { correct: 10, incorrect: 2 };
+// Re-reviewing the same card within this window earns no XP
+const REPEAT_REVIEW_WINDOW_MS = 12 * 60 * 60 * 1000;
+// A study session ends after this long without a review
+const SESSION_IDLE_MS = 30 * 60 * 1000;
+const MAX_SAVE_ATTEMPTS = 5;
+
+// Level n needs 100 * (n - 1)^2 XP: 0, 100, 400, 900...
+const levelFor = (xp) => Math.floor(Math.sqrt(Math.max(0, xp) / 100)) + 1;
+const xpForLevel = (level) => 100 * (level - 1) ** 2;
+
+const today = (user, now) => {
+  try {
+    return dayKey(now, user.preferences?.timezone || 'UTC');
+  } catch (err) {
+    return dayKey(now);
+  }
+};
+
+// Load (or start) a user's progress, apply `mutate` and save, starting over
+// when a concurrent request saved it first
+const withProgress = async (userId, mutate) => {
+  for (let attempt = 1; ; attempt += 1) {
+    const progress = (await Progress.findOne({ userId })) || new Progress({ userId });
+    const result = mutate(progress);
+    progress.updatedAt = new Date();
+    try {
+      await progress.save();
+      return result;
+    } catch (err) {
+      const conflict = err instanceof mongoose.Error.VersionError || err.code === 11000;
+      if (!conflict || attempt >= MAX_SAVE_ATTEMPTS) throw err;
+    }
+  }
+};
+
+const summarize = (progress, user, now) => ({
+  xp: progress.xp,
+  level: levelFor(progress.xp),
+  streak: {
+    current: currentStreak(progress.streak, today(user, now)),
+    longest: progress.streak.longest,
+    freezes: progress.streak.freezes
+  }
+});
+
+// Shared bookkeeping for one activity: XP, the streak, and any badges it unlocks.
+// `update` applies activity-specific changes and returns the events it raised.
+const applyActivity = async ({ user, now, xp = 0, reason, deckId, flashcardId, countsForStreak = true, update }) => {
+  let awards;
+  let newBadges;
+  const progress = await withProgress(user._id, (doc) => {
+    awards = xp > 0 ? [{ userId: user._id, amount: xp, reason, deckId, flashcardId, createdAt: now }] : [];
+    newBadges = [];
+    const events = update ? update(doc) : [];
+
+    doc.xp += xp;
+    if (countsForStreak) {
+      const streak = advanceStreak(doc.toObject().streak, today(user, now));
+      if (streak) doc.streak = streak;
+    }
+
+    // Badge XP can unlock further badges, so keep going until nothing new is earned
+    for (let earned = evaluateBadges(doc.toObject(), events); earned.length; earned = evaluateBadges(doc.toObject(), events)) {
+      earned.forEach(({ rule, context }) => {
+        doc.badges.push({ key: rule.key, awardedAt: now, context });
+        newBadges.push(rule.key);
+        if (!rule.xp) return;
+        doc.xp += rule.xp;
+        awards.push({ userId: user._id, amount: rule.xp, reason: 'badge', badge: rule.key, createdAt: now });
+      });
+    }
+    return doc;
+  });
+
+  if (awards.length) await XpEvent.insertMany(awards);
+  return {
+    xpAwarded: awards.reduce((total, award) => total + award.amount, 0),
+    ...summarize(progress, user, now),
+    newBadges: newBadges.map(badgeInfo)
+  };
+};
+
+const logFailure = (err) => {
+  console.error('❌ Progress update failed:', err);
+  return null;
+};
+
+// Every card in the deck has reached the mastery interval
+const hasMasteredDeck = async (userId, deckId) => {
+  const [total, mastered] = await Promise.all([
+    Flashcard.countDocuments({ deckId }),
+    ReviewState.countDocuments({ userId, deckId, interval: { $gte: MASTERY_INTERVAL_DAYS } })
+  ]);
+  return total > 0 && mastered >= total;
+};
+
+// After recordReview: award XP, extend the session and check for a finished
+// session or a mastered deck. `state` is the card's updated ReviewState.
+const recordReviewActivity = async ({ user, card, grade, state, now = new Date() }) => {
+  try {
+    const deckId = card.deckId;
+    const correct = grade >= 3;
+    const [repeated, queue, mastered] = await Promise.all([
+      ReviewLog.exists({
+        userId: user._id,
+        flashcardId: card._id,
+        reviewedAt: { $gte: new Date(now - REPEAT_REVIEW_WINDOW_MS), $lt: now }
+      }),
+      getDueCards({ userId: user._id, deckId, now }),
+      state.interval >= MASTERY_INTERVAL_DAYS ? hasMasteredDeck(user._id, deckId) : false
+    ]);
+
+    return await applyActivity({
+      user,
+      now,
+      xp: repeated ? 0 : XP[correct ? 'correct' : 'incorrect'],
+      reason: 'review',
+      deckId,
+      flashcardId: card._id,
+      update: (progress) => {
+        const events = [];
+        progress.counters.reviews += 1;
+        if (correct) progress.counters.correctReviews += 1;
+
+        const session = progress.session;
+        const stale = !session?.deckId || !session.deckId.equals(deckId) || now - session.lastActivityAt > SESSION_IDLE_MS;
+        if (stale) progress.session = { deckId, startedAt: now, reviews: 0, errors: 0 };
+        progress.session.lastActivityAt = now;
+        progress.session.reviews += 1;
+        if (!correct) progress.session.errors += 1;
+
+        if (!queue.cards.length) {
+          const { reviews, errors, startedAt } = progress.session;
+          events.push({ type: 'session_complete', deckId, reviews, errors, startedAt });
+          progress.counters.sessions += 1;
+          if (!errors) progress.counters.perfectSessions += 1;
+          progress.session = undefined;
+        }
+
+        if (mastered && !progress.masteredDecks.some((id) => id.equals(deckId))) {
+          progress.masteredDecks.push(deckId);
+          progress.counters.decksMastered += 1;
+          events.push({ type: 'deck_mastered', deckId });
+        }
+        return events;
+      }
+    });
+  } catch (err) {
+    return logFailure(err);
+  }
+};
+
+// A card marked wrong counts against the session in progress on its deck
+const registerError = async (user, card, now = new Date()) => {
+  try {
+    await Progress.updateOne(
+      { userId: user._id, 'session.deckId': card.deckId, 'session.lastActivityAt': { $gte: new Date(now - SESSION_IDLE_MS) } },
+      { $inc: { 'session.errors': 1, __v: 1 }, $set: { 'session.lastActivityAt': now } }
+    );
+  } catch (err) {
+    logFailure(err);
+  }
+};
+
+// One answered quiz question; timed-out answers earn nothing
+const recordQuizAnswer = async ({ user, question, now = new Date() }) => {
+  try {
+    const xp = question.timedOut ? 0 : XP[question.isCorrect ? 'correct' : 'incorrect'];
+    return await applyActivity({
+      user,
+      now,
+      xp,
+      reason: 'quiz_answer',
+      deckId: question.deckId,
+      flashcardId: question.flashcardId,
+      update: (progress) => {
+        progress.counters.quizAnswers += 1;
+        if (question.isCorrect) progress.counters.correctQuizAnswers += 1;
+        return [];
+      }
+    });
+  } catch (err) {
+    return logFailure(err);
+  }
+};
+
+// A finished quiz attempt; answers were already counted one by one
+const recordQuizCompleted = async (attempt, now = new Date()) => {
+  try {
+    return await applyActivity({
+      user: { _id: attempt.userId },
+      now,
+      countsForStreak: false,
+      update: (progress) => {
+        progress.counters.quizzesCompleted += 1;
+        return [{ type: 'quiz_completed', attemptId: attempt._id, score: attempt.score, questions: attempt.questions.length }];
+      }
+    });
+  } catch (err) {
+    return logFailure(err);
+  }
+};
+
+// A user's progress for display, with the streak as it stands today
+const getProgressSummary = async (user, now = new Date()) => {
+  const progress = (await Progress.findOne({ userId: user._id })) || new Progress({ userId: user._id });
+  const level = levelFor(progress.xp);
+  return {
+    ...summarize(progress, user, now),
+    levelXp: xpForLevel(level),
+    nextLevelXp: xpForLevel(level + 1),
+    counters: progress.counters,
+    masteredDecks: progress.masteredDecks,
+    badges: progress.badges.map((badge) => ({ ...badgeInfo(badge.key), awardedAt: badge.awardedAt }))
+  };
+};
+
+module.exports = {
+  XP,
+  levelFor,
+  xpForLevel,
+  recordReviewActivity,
+  registerError,
+  recordQuizAnswer,
+  recordQuizCompleted,
+  getProgressSummary
+};
@@ -0,0 +1,77 @@
+// Turns flashcards into quiz questions. Multiple-choice distractors and
+// false true/false statements come from a multiple-choice card's own wrong
+// options first, then from other cards' answers.
+const crypto = require('crypto');
+const { normalize } = require('./answerMatching');
+
+const QUESTION_TYPES = ['free_text', 'multiple_choice', 'true_false'];
+const CHOICE_COUNT = 4;
+
+const shuffle = (items) => {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+const pick = (items) => items[crypto.randomInt(items.length)];
+
+// Answers that don't read the same as the correct one
+const distractorsFor = (card, answerPool, count) => {
+  const correct = normalize(card.answer);
+  const seen = new Set([correct]);
+  const candidates = [];
+  [...shuffle(card.options || []), ...shuffle(answerPool)].forEach((answer) => {
+    const key = normalize(answer);
+    if (!seen.has(key)) {
+      seen.add(key);
+      candidates.push(answer);
+    }
+  });
+  return candidates.slice(0, count);
+};
+
+const buildQuestion = (card, type, answerPool) => {
+  const base = {
+    flashcardId: card._id,
+    deckId: card.deckId,
+    noteId: card.noteId,
+    cardType: card.cardType || 'basic',
+    type,
+    prompt: card.question
+  };
+
+  if (type === 'multiple_choice') {
+    const options = shuffle([card.answer, ...distractorsFor(card, answerPool, CHOICE_COUNT - 1)]);
+    return { ...base, options, correctAnswer: card.answer };
+  }
+
+  if (type === 'true_false') {
+    const [distractor] = distractorsFor(card, answerPool, 1);
+    const truthful = !distractor || crypto.randomInt(2) === 0;
+    return {
+      ...base,
+      statement: truthful ? card.answer : distractor,
+      options: ['true', 'false'],
+      correctAnswer: truthful ? 'true' : 'false'
+    };
+  }
+
+  return { ...base, type: 'free_text', correctAnswer: card.answer };
+};
+
+// Pick up to `count` random cards and give each a random allowed question type.
+// Choice-based types need at least one distinct wrong answer in the pool.
+const buildQuestions = (cards, { count, types = QUESTION_TYPES }) => {
+  const answerPool = cards.map((card) => card.answer);
+  const distinctAnswers = new Set(answerPool.map(normalize)).size;
+
+  return shuffle(cards).slice(0, count).map((card) => {
+    const allowed = types.filter((type) => type === 'free_text' || distinctAnswers > 1 || card.options?.length > 1);
+    return buildQuestion(card, allowed.length ? pick(allowed) : 'free_text', answerPool);
+  });
+};
+
+module.exports = { QUESTION_TYPES, buildQuestions, shuffle };
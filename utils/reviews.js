@@ -0,0 +1,102 @@
+const Flashcard = require('../models/Flashcard');
+const ErrorCard = require('../models/ErrorCard');
+const ReviewState = require('../models/ReviewState');
+const ReviewLog = require('../models/ReviewLog');
+const { schedule } = require('./sm2');
+
+const DEFAULT_NEW_CARD_LIMIT = Number(process.env.DAILY_NEW_CARD_LIMIT) || 20;
+// A card counts as mastered once its review interval reaches three weeks
+const MASTERY_INTERVAL_DAYS = 21;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Apply a 0-5 grade to a user's card, log it and record lapses as error cards.
+const recordReview = async ({ userId, card, grade, now = new Date() }) => {
+  let state = await ReviewState.findOne({ userId, flashcardId: card._id });
+  if (!state) {
+    state = new ReviewState({ userId, flashcardId: card._id, deckId: card.deckId, introducedAt: now });
+  }
+
+  const next = schedule(state, grade, now);
+  if (grade < 3 && state.repetitions > 0) state.lapses += 1;
+  Object.assign(state, next, { deckId: card.deckId, lastGrade: grade, lastReviewedAt: now });
+  await state.save();
+
+  await ReviewLog.create({
+    userId,
+    flashcardId: card._id,
+    deckId: card.deckId,
+    grade,
+    interval: state.interval,
+    easeFactor: state.easeFactor,
+    reviewedAt: now
+  });
+
+  if (grade < 3) {
+    await ErrorCard.create({
+      userId,
+      flashcardId: card._id,
+      deckId: card.deckId,
+      noteId: card.noteId,
+      cardType: card.cardType || 'basic',
+      timestamp: now
+    });
+  }
+
+  return state;
+};
+
+// Cards due for review now, with unseen cards mixed in up to the daily new-card limit.
+// microbitOnly restricts the queue to cards flagged for the micro:bit.
+const getDueCards = async ({ userId, deckId, newLimit = DEFAULT_NEW_CARD_LIMIT, microbitOnly = false, now = new Date() }) => {
+  const cardFilter = microbitOnly ? { isMicrobit: true } : {};
+  const dueStates = await ReviewState.find({ userId, deckId, dueAt: { $lte: now } })
+    .sort({ dueAt: 1 })
+    .populate({ path: 'flashcardId', match: cardFilter });
+  const due = dueStates
+    .filter((state) => state.flashcardId)
+    .map((state) => ({
+      ...state.flashcardId.toObject(),
+      isNew: false,
+      review: {
+        easeFactor: state.easeFactor,
+        interval: state.interval,
+        repetitions: state.repetitions,
+        dueAt: state.dueAt
+      }
+    }));
+
+  const introducedToday = await ReviewState.countDocuments({
+    userId,
+    deckId,
+    introducedAt: { $gte: startOfDay(now) }
+  });
+  const remaining = Math.max(0, newLimit - introducedToday);
+
+  let fresh = [];
+  if (remaining > 0) {
+    const seen = await ReviewState.distinct('flashcardId', { userId, deckId });
+    const cards = await Flashcard.find({ deckId, _id: { $nin: seen }, ...cardFilter })
+      .sort({ createdAt: 1 })
+      .limit(remaining);
+    fresh = cards.map((card) => ({ ...card.toObject(), isNew: true, review: null }));
+  }
+
+  // Spread new cards evenly through the due reviews rather than front-loading them.
+  const cards = [];
+  const step = fresh.length ? Math.max(1, Math.floor(due.length / fresh.length)) : 0;
+  let newIndex = 0;
+  due.forEach((card, index) => {
+    if (step && index % step === 0 && newIndex < fresh.length) cards.push(fresh[newIndex++]);
+    cards.push(card);
+  });
+  cards.push(...fresh.slice(newIndex));
+
+  return { dueCount: due.length, newCount: fresh.length, cards };
+};
+
+module.exports = { recordReview, getDueCards, startOfDay, DEFAULT_NEW_CARD_LIMIT, MASTERY_INTERVAL_DAYS };
@@ -0,0 +1,91 @@
+// Rich card text: Markdown with $inline$ / $$display$$ LaTeX and fenced code.
+// Markdown is rendered and sanitized here, so clients only ever display our
+// HTML. Math is left as escaped TeX in .math-inline / .math-display elements
+// for the client to typeset (e.g. KaTeX); code blocks keep their language-*
+// class for highlighting.
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+const MAX_MARKDOWN_LENGTH = 10000;
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const mathExtension = {
+  extensions: [
+    {
+      name: 'displayMath',
+      level: 'block',
+      start: (src) => src.indexOf('$$'),
+      tokenizer(src) {
+        const match = /^\$\$([\s\S]+?)\$\$[^\S\n]*(?:\n|$)/.exec(src);
+        if (match) return { type: 'displayMath', raw: match[0], text: match[1].trim() };
+      },
+      renderer: (token) => `<div class="math-display">${escapeHtml(token.text)}</div>\n`
+    },
+    {
+      name: 'inlineMath',
+      level: 'inline',
+      start: (src) => src.indexOf('$'),
+      tokenizer(src) {
+        const match = /^\$\$([^$]+?)\$\$/.exec(src) || /^\$((?:\\\$|[^$\n])+?)\$/.exec(src);
+        if (match) return { type: 'inlineMath', raw: match[0], text: match[1].trim() };
+      },
+      renderer: (token) => `<span class="math-inline">${escapeHtml(token.text)}</span>`
+    }
+  ]
+};
+
+const markdown = new Marked({ gfm: true, breaks: true }, mathExtension);
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote',
+    'ul', 'ol', 'li', 'strong', 'em', 'del', 'code', 'pre', 'a', 'img',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td', 'span', 'div', 'sub', 'sup'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    img: ['src', 'alt', 'title'],
+    th: ['align'],
+    td: ['align'],
+    ol: ['start']
+  },
+  allowedClasses: {
+    code: ['language-*'],
+    span: ['math-inline'],
+    div: ['math-display']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowProtocolRelative: false,
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer nofollow' })
+  }
+};
+
+const renderMarkdown = (text) => sanitizeHtml(markdown.parse(String(text || '')), SANITIZE_OPTIONS);
+
+// Readable plain-text fallback for clients (and the micro:bit) that only
+// understand question/answer strings. Math stays in its $...$ source form.
+const toPlainText = (text) => String(text || '')
+  .replace(/```[^\n]*\n?/g, '')
+  .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/<[^>]+>/g, '')
+  .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+  .replace(/(\*\*|__|~~|`)/g, '')
+  .replace(/[ \t]+/g, ' ')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// { markdown, html } for storage, or null for blank input
+const buildRichText = (text) => {
+  if (typeof text !== 'string' || !text.trim()) return null;
+  return { markdown: text, html: renderMarkdown(text) };
+};
+
+module.exports = { MAX_MARKDOWN_LENGTH, renderMarkdown, toPlainText, buildRichText };
@@ -0,0 +1,72 @@
+// Helpers for MongoDB $text search results: the terms a query will match on,
+// and short HTML snippets with those terms wrapped in <mark>.
+const SNIPPET_LENGTH = 160;
+
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Crude English stemming, close enough to Mongo's to find what it matched
+const stem = (word) => word.replace(/(ing|ed|es|s)$/, '') || word;
+
+// Mirrors $text syntax: "quoted phrases", plain words, and -negated words (ignored)
+const queryTerms = (query) => {
+  const terms = [];
+  const text = String(query || '').replace(/"([^"]+)"/g, (match, phrase) => {
+    terms.push({ phrase: true, text: phrase.trim() });
+    return ' ';
+  });
+  text.split(/\s+/).filter((word) => word && !word.startsWith('-')).forEach((word) => {
+    const cleaned = word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+    if (cleaned) terms.push({ phrase: false, text: cleaned });
+  });
+  return terms.filter((term) => term.text);
+};
+
+const termPattern = (terms) => {
+  if (!terms.length) return null;
+  const parts = terms.map((term) => (term.phrase
+    ? escapeRegex(term.text).replace(/\s+/g, '\\s+')
+    : `${escapeRegex(stem(term.text.toLowerCase()))}[\\p{L}\\p{N}]*`));
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${parts.join('|')})`, 'giu');
+};
+
+// HTML-escaped excerpt around the first match, or null when nothing matches
+const highlight = (text, terms, length = SNIPPET_LENGTH) => {
+  const pattern = termPattern(terms);
+  const source = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!pattern || !source) return null;
+
+  const first = source.search(pattern);
+  if (first === -1) return null;
+
+  const start = first > length / 3 ? source.lastIndexOf(' ', first - Math.floor(length / 3)) + 1 : 0;
+  const end = Math.min(source.length, start + length);
+  const excerpt = source.slice(start, end);
+
+  let html = '';
+  let last = 0;
+  for (const match of excerpt.matchAll(pattern)) {
+    html += `${escapeHtml(excerpt.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  html += escapeHtml(excerpt.slice(last));
+  return `${start > 0 ? '…' : ''}${html}${end < source.length ? '…' : ''}`;
+};
+
+// { field: snippet } for each field with a match
+const highlightFields = (doc, fields, terms) => {
+  const highlights = {};
+  fields.forEach((field) => {
+    const value = Array.isArray(doc[field]) ? doc[field].join(' ') : doc[field];
+    const snippet = highlight(value, terms);
+    if (snippet) highlights[field] = snippet;
+  });
+  return highlights;
+};
+
+module.exports = { queryTerms, highlight, highlightFields };
@@ -1,22 +1,59 @@
+// Single mail service for the app. MAIL_TRANSPORT picks the transport:
+//   smtp (default) - SMTP_HOST/SMTP_PORT/SMTP_SECURE, or MAIL_SERVICE (e.g. Gmail);
+//                    credentials from EMAIL_USER/EMAIL_PASS
+//   json           - nothing is sent; messages are logged (tests, local dev)
+//   file           - messages are written as JSON files to MAIL_OUTBOX_DIR
+const fs = require('fs/promises');
+const path = require('path');
 const nodemailer = require('nodemailer');
+const { render } = require('./emailTemplates');
 
-const sendEmail = async (to, subject, text) => {
-  const transporter = nodemailer.createTransport({
-    service: 'Gmail', // use your email provider (like Gmail, Outlook, etc.)
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS,
-    },
-  });
-
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to,
-    subject,
-    text,
-  };
-
-  await transporter.sendMail(mailOptions);
+let transporter;
+
+const createTransport = () => {
+  const kind = process.env.MAIL_TRANSPORT || 'smtp';
+  if (kind === 'json' || kind === 'file') return nodemailer.createTransport({ jsonTransport: true });
+  if (kind !== 'smtp') throw new Error(`Unknown MAIL_TRANSPORT: ${kind}`);
+
+  const auth = { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS };
+  if (process.env.SMTP_HOST) {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth
+    });
+  }
+  return nodemailer.createTransport({ service: process.env.MAIL_SERVICE || 'Gmail', auth });
+};
+
+const getTransport = () => {
+  if (!transporter) transporter = createTransport();
+  return transporter;
+};
+
+const sender = () => {
+  const address = process.env.MAIL_FROM || process.env.EMAIL_USER || 'no-reply@localhost';
+  return `"${process.env.APP_NAME || 'Edubin'}" <${address}>`;
 };
 
+const deliver = async (message) => {
+  const info = await getTransport().sendMail({ from: sender(), ...message });
+
+  if (process.env.MAIL_TRANSPORT === 'file') {
+    const dir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'tmp', 'mail');
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.json`), info.message);
+  } else if (process.env.MAIL_TRANSPORT === 'json') {
+    console.log('📧 Mail (json transport):', info.message);
+  }
+  return info;
+};
+
+const sendEmail = async (to, subject, text, html) => deliver({ to, subject, text, html });
+
+// Render a named template from utils/emailTemplates and send it
+const sendTemplate = async (to, template, data) => deliver({ to, ...render(template, data) });
+
 module.exports = sendEmail;
+module.exports.sendTemplate = sendTemplate;
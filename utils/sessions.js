@@ -0,0 +1,125 @@
+// Server-side sessions backing short-lived access tokens and rotating refresh tokens.
+// A refresh token is "<sessionId>.<secret>"; only a hash of the current secret is
+// stored, so presenting an older secret for a live session means it was replayed
+// and the whole session is revoked.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_MS = (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const MAX_SESSIONS = 10;
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const describeDevice = (userAgent = '') => {
+  if (/micro:?bit/i.test(userAgent)) return 'micro:bit bridge';
+  if (/android/i.test(userAgent)) return 'Android';
+  if (/iphone|ipad|ios/i.test(userAgent)) return 'iOS';
+  if (/windows/i.test(userAgent)) return 'Windows';
+  if (/mac os/i.test(userAgent)) return 'macOS';
+  if (/linux/i.test(userAgent)) return 'Linux';
+  return 'Unknown device';
+};
+
+const generateAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+const newRefreshSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Create a session for the user and return its access and refresh tokens.
+const createSession = async (user, req) => {
+  const now = new Date();
+  const secret = newRefreshSecret();
+  const sessionId = new mongoose.Types.ObjectId();
+  const userAgent = req.get('user-agent') || '';
+
+  await User.updateOne({ _id: user._id }, { $pull: { sessions: { expiresAt: { $lte: now } } } });
+  await User.updateOne({ _id: user._id }, {
+    $push: {
+      sessions: {
+        $each: [{
+          _id: sessionId,
+          device: req.body?.device || describeDevice(userAgent),
+          ip: req.ip,
+          userAgent,
+          refreshTokenHash: hashToken(secret),
+          createdAt: now,
+          lastSeen: now,
+          expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+        }],
+        $slice: -MAX_SESSIONS
+      }
+    }
+  });
+
+  return {
+    token: generateAccessToken(user._id, sessionId),
+    refreshToken: `${sessionId}.${secret}`,
+    sessionId
+  };
+};
+
+// Exchange a refresh token for a new token pair, or return null if it is not valid.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+
+  const now = new Date();
+  const nextSecret = newRefreshSecret();
+  const user = await User.findOneAndUpdate(
+    {
+      sessions: {
+        $elemMatch: { _id: sessionId, refreshTokenHash: hashToken(secret), expiresAt: { $gt: now } }
+      }
+    },
+    {
+      $set: {
+        'sessions.$.refreshTokenHash': hashToken(nextSecret),
+        'sessions.$.lastSeen': now,
+        'sessions.$.ip': req.ip
+      }
+    }
+  );
+
+  if (!user) {
+    // Unknown secret for a live session: treat as token theft and kill the session.
+    await revokeSessionById(sessionId);
+    return null;
+  }
+
+  return {
+    user,
+    token: generateAccessToken(user._id, sessionId),
+    refreshToken: `${sessionId}.${nextSecret}`
+  };
+};
+
+const revokeSessionById = (sessionId) =>
+  User.updateOne({ 'sessions._id': sessionId }, { $pull: { sessions: { _id: sessionId } } });
+
+const revokeSession = (userId, sessionId) =>
+  User.updateOne({ _id: userId }, { $pull: { sessions: { _id: sessionId } } });
+
+const revokeAllSessions = (userId) =>
+  User.updateOne({ _id: userId }, { $set: { sessions: [] } });
+
+// Record activity on a session at most once per LAST_SEEN_RESOLUTION_MS.
+const touchSession = async (user, session) => {
+  if (Date.now() - session.lastSeen.getTime() < LAST_SEEN_RESOLUTION_MS) return;
+  await User.updateOne(
+    { _id: user._id, 'sessions._id': session._id },
+    { $set: { 'sessions.$.lastSeen': new Date() } }
+  );
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  touchSession,
+  generateAccessToken
+};
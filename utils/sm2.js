@@ -0,0 +1,37 @@
+// SM-2 spaced repetition scheduling.
+// Grades run from 0 (complete blackout) to 5 (perfect recall); anything
+// below 3 counts as a lapse and restarts the card's repetition sequence.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_EASE_FACTOR = 2.5;
+const MIN_EASE_FACTOR = 1.3;
+
+const isValidGrade = (grade) => Number.isInteger(grade) && grade >= 0 && grade <= 5;
+
+const schedule = (state, grade, now = new Date()) => {
+  let easeFactor = state?.easeFactor ?? DEFAULT_EASE_FACTOR;
+  let interval = state?.interval ?? 0;
+  let repetitions = state?.repetitions ?? 0;
+
+  if (grade >= 3) {
+    if (repetitions === 0) interval = 1;
+    else if (repetitions === 1) interval = 6;
+    else interval = Math.round(interval * easeFactor);
+    repetitions += 1;
+  } else {
+    repetitions = 0;
+    interval = 1;
+  }
+
+  easeFactor += 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02);
+  easeFactor = Math.max(MIN_EASE_FACTOR, Number(easeFactor.toFixed(2)));
+
+  return {
+    easeFactor,
+    interval,
+    repetitions,
+    dueAt: new Date(now.getTime() + interval * DAY_MS),
+  };
+};
+
+module.exports = { schedule, isValidGrade, DAY_MS, DEFAULT_EASE_FACTOR };
@@ -0,0 +1,50 @@
+// Pluggable blob storage for uploaded card media. STORAGE_DRIVER picks the driver:
+//   local (default) - files under UPLOAD_DIR (./uploads), served by the app at /uploads
+// Other backends (S3, GCS, ...) register a driver with the same shape:
+//   put(key, buffer, contentType) -> { url }   and   remove(key)
+const fs = require('fs/promises');
+const path = require('path');
+
+const localDriver = () => {
+  const root = path.resolve(process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads'));
+  const baseUrl = (process.env.MEDIA_BASE_URL || '/uploads').replace(/\/$/, '');
+
+  // Keys are generated server-side, but never let one escape the upload root
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key: ${key}`);
+    return file;
+  };
+
+  return {
+    publicDir: root,
+    put: async (key, buffer) => {
+      const file = resolve(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return { url: `${baseUrl}/${key}` };
+    },
+    remove: async (key) => {
+      await fs.rm(resolve(key), { force: true });
+    }
+  };
+};
+
+const drivers = { local: localDriver };
+let instance;
+
+const registerStorageDriver = (name, factory) => {
+  drivers[name] = factory;
+  instance = undefined;
+};
+
+const getStorage = () => {
+  if (!instance) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[name]) throw new Error(`Unknown STORAGE_DRIVER: ${name}`);
+    instance = drivers[name]();
+  }
+  return instance;
+};
+
+module.exports = { getStorage, registerStorageDriver };
@@ -0,0 +1,85 @@
+// Streaks over a set of activity days ("YYYY-MM-DD" strings in the user's timezone).
+
+const dayKey = (date, timeZone = 'UTC') =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+
+const previousDay = (key) => {
+  const date = new Date(`${key}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return date.toISOString().slice(0, 10);
+};
+
+// current counts back from today (or yesterday, if today has no activity yet)
+const computeStreaks = (days, today) => {
+  const active = new Set(days);
+  const sorted = [...active].sort();
+
+  let longest = 0;
+  let run = 0;
+  let last;
+  sorted.forEach((day) => {
+    run = last && previousDay(day) === last ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    last = day;
+  });
+
+  let cursor = active.has(today) ? today : previousDay(today);
+  let current = 0;
+  while (active.has(cursor)) {
+    current += 1;
+    cursor = previousDay(cursor);
+  }
+
+  return { current, longest, lastActiveDay: last || null, activeDays: active.size };
+};
+
+const daysBetween = (fromKey, toKey) =>
+  Math.round((new Date(`${toKey}T00:00:00Z`) - new Date(`${fromKey}T00:00:00Z`)) / 86400000);
+
+const MAX_STREAK_FREEZES = Number(process.env.MAX_STREAK_FREEZES) || 2;
+const FREEZE_EVERY_DAYS = 7;
+
+// Count `today` towards a stored streak { current, longest, lastActiveDay, freezes, freezesUsed }.
+// Missed days are covered by freezes when there are enough of them; a freeze is
+// earned every FREEZE_EVERY_DAYS days of streak, up to MAX_STREAK_FREEZES.
+// Returns the updated streak, or null when today was already counted.
+const advanceStreak = (streak, today) => {
+  const next = { current: 0, longest: 0, freezes: 0, freezesUsed: 0, ...streak };
+  const gap = next.lastActiveDay ? daysBetween(next.lastActiveDay, today) : null;
+  if (gap !== null && gap <= 0) return null;
+
+  const missed = gap === null ? 0 : gap - 1;
+  if (gap === null || next.current === 0) {
+    next.current = 1;
+  } else if (missed === 0) {
+    next.current += 1;
+  } else if (missed <= next.freezes) {
+    next.freezes -= missed;
+    next.freezesUsed += missed;
+    next.current += 1;
+  } else {
+    next.current = 1;
+  }
+
+  next.longest = Math.max(next.longest, next.current);
+  next.lastActiveDay = today;
+  if (next.current % FREEZE_EVERY_DAYS === 0 && next.freezes < MAX_STREAK_FREEZES) next.freezes += 1;
+  return next;
+};
+
+// The streak as it stands today without new activity: 0 once it can no longer be saved
+const currentStreak = (streak, today) => {
+  if (!streak || !streak.lastActiveDay || !streak.current) return 0;
+  const missed = daysBetween(streak.lastActiveDay, today) - 1;
+  return missed <= (streak.freezes || 0) ? streak.current : 0;
+};
+
+module.exports = {
+  MAX_STREAK_FREEZES,
+  dayKey,
+  previousDay,
+  daysBetween,
+  computeStreaks,
+  advanceStreak,
+  currentStreak
+};
@@ -0,0 +1,56 @@
+// Tags are stored as slugs ("Organic Chemistry" -> "organic-chemistry") on
+// decks and cards. Input may be an array or a comma-separated string.
+const Tag = require('../models/Tag');
+
+const MAX_TAGS = 30;
+const MAX_TAG_LENGTH = 50;
+
+const slugify = (text) => String(text)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .trim()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const splitTags = (input) => (Array.isArray(input) ? input : String(input).split(','));
+
+// Returns { tags } with unique slugs in input order, or { error }
+const normalizeTags = (input) => {
+  if (input === undefined || input === null || input === '') return { tags: [] };
+  if (!Array.isArray(input) && typeof input !== 'string') return { error: 'tags must be an array or a comma-separated string' };
+
+  const tags = [...new Set(splitTags(input).map(slugify).filter(Boolean))];
+  if (tags.length > MAX_TAGS) return { error: `At most ${MAX_TAGS} tags are allowed` };
+  if (tags.some((tag) => tag.length > MAX_TAG_LENGTH)) return { error: `Tags cannot exceed ${MAX_TAG_LENGTH} characters` };
+  return { tags };
+};
+
+// Make sure every slug has a Tag entry. Used from the tagged models' save hooks.
+const registerTags = async (slugs) => {
+  const unique = [...new Set(slugs || [])];
+  if (!unique.length) return;
+  try {
+    await Tag.bulkWrite(unique.map((slug) => ({
+      updateOne: { filter: { slug }, update: { $setOnInsert: { slug } }, upsert: true }
+    })), { ordered: false });
+  } catch (err) {
+    // Concurrent upserts of the same new slug; the other write created it
+    if (err.code !== 11000) console.error('❌ Failed to register tags:', err);
+  }
+};
+
+// Save hooks for schemas with a `tags` array
+const trackTags = (schema) => {
+  schema.pre('save', function () {
+    this.$locals.tagsChanged = this.isModified('tags');
+  });
+  schema.post('save', async (doc) => {
+    if (doc.$locals.tagsChanged) await registerTags(doc.tags);
+  });
+  schema.post('insertMany', async (docs) => {
+    await registerTags(docs.flatMap((doc) => doc.tags || []));
+  });
+};
+
+module.exports = { MAX_TAGS, slugify, normalizeTags, registerTags, trackTags };
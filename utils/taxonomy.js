@@ -0,0 +1,100 @@
+// Curriculum taxonomy helpers: validating deck topic assignments, finding
+// subtrees, and counting visible decks per node (a deck filed under a
+// subtopic also counts towards its topic and subject, but only once).
+const mongoose = require('mongoose');
+const Topic = require('../models/Topic');
+const Deck = require('../models/Deck');
+
+const LEVELS = ['subject', 'topic', 'subtopic'];
+const MAX_TOPICS_PER_DECK = 20;
+const MAX_GRADE_LEVELS = 15;
+
+const childLevel = (level) => LEVELS[LEVELS.indexOf(level) + 1];
+
+// Returns { ids } of existing nodes, or { error }
+const resolveTopicIds = async (input) => {
+  if (input === undefined || input === null) return { ids: [] };
+  if (!Array.isArray(input)) return { error: 'topics must be an array of taxonomy node ids' };
+  if (input.length > MAX_TOPICS_PER_DECK) return { error: `A deck can be filed under at most ${MAX_TOPICS_PER_DECK} topics` };
+  const ids = [...new Set(input.map(String))];
+  if (ids.some((id) => !mongoose.isValidObjectId(id))) return { error: 'Invalid topic id' };
+  const found = await Topic.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) return { error: 'Unknown topic' };
+  return { ids };
+};
+
+// Returns { gradeLevels } or { error }
+const normalizeGradeLevels = (input) => {
+  if (input === undefined || input === null || input === '') return { gradeLevels: [] };
+  const list = Array.isArray(input) ? input : String(input).split(',');
+  const gradeLevels = [...new Set(list.map((grade) => String(grade).trim()).filter(Boolean))];
+  if (gradeLevels.length > MAX_GRADE_LEVELS) return { error: `At most ${MAX_GRADE_LEVELS} grade levels are allowed` };
+  if (gradeLevels.some((grade) => grade.length > 20)) return { error: 'Grade levels cannot exceed 20 characters' };
+  return { gradeLevels };
+};
+
+// The node and all of its descendants
+const subtreeIds = async (nodeId) => {
+  const nodes = await Topic.find({ $or: [{ _id: nodeId }, { ancestors: nodeId }] }).select('_id');
+  return nodes.map((node) => node._id);
+};
+
+// Map of node id -> number of decks matching `deckFilter` filed under it or below it
+const deckCountsByNode = async (deckFilter) => {
+  const rows = await Deck.aggregate([
+    { $match: { $and: [deckFilter, { 'topics.0': { $exists: true } }] } },
+    {
+      $lookup: {
+        from: Topic.collection.name,
+        localField: 'topics',
+        foreignField: '_id',
+        pipeline: [{ $project: { ancestors: 1 } }],
+        as: 'topicDocs'
+      }
+    },
+    {
+      $project: {
+        nodes: {
+          $setUnion: [
+            '$topics',
+            { $reduce: { input: '$topicDocs.ancestors', initialValue: [], in: { $setUnion: ['$$value', '$$this'] } } }
+          ]
+        }
+      }
+    },
+    { $unwind: '$nodes' },
+    { $group: { _id: '$nodes', count: { $sum: 1 } } }
+  ]);
+  return new Map(rows.map((row) => [row._id.toString(), row.count]));
+};
+
+// Nest flat nodes under their parents, attaching deck counts
+const buildTree = (nodes, counts) => {
+  const byId = new Map(nodes.map((node) => [node._id.toString(), {
+    _id: node._id,
+    name: node.name,
+    slug: node.slug,
+    level: node.level,
+    description: node.description,
+    deckCount: counts.get(node._id.toString()) || 0,
+    children: []
+  }]));
+
+  const roots = [];
+  nodes.forEach((node) => {
+    const entry = byId.get(node._id.toString());
+    const parent = node.parent && byId.get(node.parent.toString());
+    (parent ? parent.children : roots).push(entry);
+  });
+  return roots;
+};
+
+module.exports = {
+  LEVELS,
+  childLevel,
+  resolveTopicIds,
+  normalizeGradeLevels,
+  subtreeIds,
+  deckCountsByNode,
+  buildTree
+};
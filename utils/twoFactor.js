@@ -0,0 +1,62 @@
+// Second-step login for accounts with TOTP 2FA enabled. Password or Google
+// sign-in yields a short-lived challenge token instead of a session; the
+// client trades it, plus a TOTP code or a backup code, for real tokens.
+// Each challenge is single-use and allows MAX_CHALLENGE_ATTEMPTS guesses; the
+// user stores the current challenge id and how many guesses it has used.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const speakeasy = require('speakeasy');
+
+const CHALLENGE_TTL = '5m';
+const BACKUP_CODE_COUNT = 10;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+// Returns { challengeToken, challengeId }; the caller stores challengeId on the user
+const createChallengeToken = (userId) => {
+  const challengeId = crypto.randomBytes(16).toString('hex');
+  const challengeToken = jwt.sign({ id: userId, purpose: '2fa', cid: challengeId }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+  return { challengeToken, challengeId };
+};
+
+// Returns { userId, challengeId } from a valid challenge token, otherwise null
+const verifyChallengeToken = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' && decoded.cid ? { userId: decoded.id, challengeId: decoded.cid } : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const verifyTotp = (secret, token) =>
+  !!secret && speakeasy.totp.verify({ secret, encoding: 'base32', token: String(token || ''), window: 1 });
+
+const hashBackupCode = (code) =>
+  crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+// Plaintext codes are shown to the user once; only the hashes are stored
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+// Removes a matching backup code from the user; the caller must save
+const consumeBackupCode = (user, code) => {
+  const hash = hashBackupCode(code);
+  const index = (user.twoFactorBackupCodes || []).indexOf(hash);
+  if (index === -1) return false;
+  user.twoFactorBackupCodes.splice(index, 1);
+  return true;
+};
+
+module.exports = {
+  MAX_CHALLENGE_ATTEMPTS,
+  createChallengeToken,
+  verifyChallengeToken,
+  verifyTotp,
+  generateBackupCodes,
+  consumeBackupCode
+};
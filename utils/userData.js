@@ -0,0 +1,162 @@
+// Everything stored about a user across the collections that reference them:
+// the personal data export and the erasure used by account deletion and the
+// guest cleanup job.
+const User = require('../models/User');
+const Deck = require('../models/Deck');
+const Note = require('../models/Note');
+const Flashcard = require('../models/Flashcard');
+const Media = require('../models/Media');
+const ErrorCard = require('../models/ErrorCard');
+const ReviewState = require('../models/ReviewState');
+const ReviewLog = require('../models/ReviewLog');
+const QuizAttempt = require('../models/QuizAttempt');
+const Device = require('../models/Device');
+const Classroom = require('../models/Classroom');
+const LiveSession = require('../models/LiveSession');
+const Progress = require('../models/Progress');
+const XpEvent = require('../models/XpEvent');
+const AuditLog = require('../models/AuditLog');
+const { getStorage } = require('./storage');
+const { serializeUser } = require('./users');
+
+// How long a requested account deletion waits before it is carried out
+const DELETION_GRACE_MS = (Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// ---- Export ----
+
+const EXPORT_VERSION = 1;
+
+// A JSON-ready archive of the user's account, authored content and study history
+const exportUserData = async (userId, now = new Date()) => {
+  const user = await User.findById(userId);
+  const decks = await Deck.find({ createdBy: userId }).select('-__v').lean();
+  const deckIds = decks.map((deck) => deck._id);
+
+  const [
+    notes, flashcards, media, teaching, attending, devices, liveSessions, hostedSessions,
+    progress, xpEvents, reviewStates, reviewLogs, errorCards, quizAttempts, auditLog
+  ] = await Promise.all([
+    Note.find({ deckId: { $in: deckIds } }).select('-__v').lean(),
+    Flashcard.find({ deckId: { $in: deckIds } }).select('-__v').lean(),
+    Media.find({ owner: userId }),
+    Classroom.find({ teacher: userId }).select('name description joinCode archived assignments createdAt').lean(),
+    Classroom.find({ students: userId }).select('name description teacher createdAt').lean(),
+    Device.find({ owner: userId }),
+    LiveSession.find({ 'players.userId': userId }).select('deckId status startedAt endedAt players').lean(),
+    LiveSession.find({ host: userId }).select('deckId status questionTimeSeconds createdAt startedAt endedAt players.userId').lean(),
+    Progress.findOne({ userId }).select('-__v').lean(),
+    XpEvent.find({ userId }).sort({ createdAt: 1 }).select('-__v').lean(),
+    ReviewState.find({ userId }).select('-__v').lean(),
+    ReviewLog.find({ userId }).sort({ reviewedAt: 1 }).select('-__v').lean(),
+    ErrorCard.find({ userId }).sort({ timestamp: 1 }).select('-__v').lean(),
+    QuizAttempt.find({ userId }).sort({ startedAt: 1 }).select('-__v').lean(),
+    AuditLog.find({ actor: userId }).sort({ createdAt: 1 }).select('-__v').lean()
+  ]);
+
+  return {
+    format: 'account-export',
+    version: EXPORT_VERSION,
+    exportedAt: now,
+    account: {
+      ...serializeUser(user),
+      sessions: user.sessions.map((session) => session.toJSON())
+    },
+    content: { decks, notes, flashcards, media },
+    classes: { teaching, attending },
+    study: { progress, xpEvents, reviewStates, reviewLogs, errorCards, quizAttempts },
+    // Only the user's own entry of each game
+    liveGames: liveSessions.map(({ players, ...session }) => ({
+      ...session,
+      player: players.find((player) => player.userId.equals(userId))
+    })),
+    // Games the user hosted, without the players' entries
+    hostedGames: hostedSessions.map(({ players, ...session }) => ({ ...session, playerCount: players.length })),
+    devices,
+    securityLog: auditLog
+  };
+};
+
+// ---- Erasure ----
+
+// Private decks go with their author. Shared decks stay for the students and
+// classes using them, without the author's name attached.
+const eraseAuthoredContent = async (match) => {
+  const privateDeckIds = await Deck.find({ createdBy: match, visibility: 'private' }).distinct('_id');
+  if (privateDeckIds.length) {
+    const deckId = { $in: privateDeckIds };
+    await Promise.all([
+      Flashcard.deleteMany({ deckId }),
+      Note.deleteMany({ deckId }),
+      ErrorCard.deleteMany({ deckId }),
+      ReviewState.deleteMany({ deckId }),
+      ReviewLog.deleteMany({ deckId })
+    ]);
+    await Deck.deleteMany({ _id: deckId });
+  }
+  await Promise.all([
+    Deck.updateMany({ createdBy: match }, { $unset: { createdBy: 1 } }),
+    Note.updateMany({ createdBy: match }, { $unset: { createdBy: 1 } })
+  ]);
+
+  // Uploads no remaining card uses are removed; the rest lose their file name
+  const media = await Media.find({ owner: match }).select('storageKey');
+  const inUse = new Set((await Flashcard.find({ 'attachments.media': { $in: media.map((file) => file._id) } })
+    .distinct('attachments.media')).map(String));
+  const unused = media.filter((file) => !inUse.has(file._id.toString()));
+  const storage = getStorage();
+  await Promise.all(unused.map((file) => storage.remove(file.storageKey)
+    .catch((err) => console.error(`❌ Failed to remove media ${file.storageKey}:`, err))));
+  await Promise.all([
+    Media.deleteMany({ _id: { $in: unused.map((file) => file._id) } }),
+    Media.updateMany({ owner: match }, { $unset: { originalName: 1 } })
+  ]);
+};
+
+// Audit entries are kept for security history but lose what identifies the
+// user. This is the one sanctioned change to the append-only log, so it goes
+// through the driver rather than the model's guarded queries.
+const anonymizeAuditLog = (match) => Promise.all([
+  AuditLog.collection.updateMany(
+    { actor: match },
+    { $unset: { actorEmail: '', ip: '', userAgent: '', changes: '', metadata: '' } }
+  ),
+  AuditLog.collection.updateMany({ targetId: match }, { $unset: { changes: '', metadata: '' } })
+]);
+
+// Ids of up to `size` users matching `filter`, for jobs that erase in batches.
+// (distinct() ignores limit(), so the ids are read from a plain find.)
+const findUserIdBatch = async (filter, size) =>
+  (await User.find(filter).select('_id').limit(size).lean()).map((user) => user._id);
+
+const deleteUsersAndData = async (userIds) => {
+  if (!userIds.length) return 0;
+  const match = { $in: userIds };
+
+  await eraseAuthoredContent(match);
+  await Promise.all([
+    ErrorCard.deleteMany({ userId: match }),
+    ReviewState.deleteMany({ userId: match }),
+    ReviewLog.deleteMany({ userId: match }),
+    QuizAttempt.deleteMany({ userId: match }),
+    Progress.deleteMany({ userId: match }),
+    XpEvent.deleteMany({ userId: match }),
+    Device.deleteMany({ owner: match }),
+    Classroom.updateMany({ students: match }, { $pull: { students: match } }),
+    // Taught classes are archived for the school; an admin can hand them on
+    Classroom.updateMany({ teacher: match, archived: false }, { archived: true, archivedAt: new Date() }),
+    LiveSession.updateMany({ 'players.userId': match }, { $pull: { players: { userId: match } } }),
+    anonymizeAuditLog(match)
+  ]);
+  // Hosted games stay in their players' history without the host; any still
+  // open are closed so their PINs stop working
+  await LiveSession.updateMany({ host: match, status: { $ne: 'finished' } }, { status: 'finished', endedAt: new Date() });
+  await Promise.all([
+    LiveSession.updateMany({ host: match }, { $unset: { host: 1 } }),
+    // The archived classes keep no link to the erased teacher until handed on
+    Classroom.updateMany({ teacher: match }, { $unset: { teacher: 1 } })
+  ]);
+  const result = await User.deleteMany({ _id: match });
+  return result.deletedCount;
+};
+
+module.exports = { DELETION_GRACE_MS, exportUserData, findUserIdBatch, deleteUsersAndData };
@@ -0,0 +1,61 @@
+// How users are represented in responses. Every endpoint that returns a user
+// goes through one of these views instead of sending the document:
+//   self     the signed-in user's own account
+//   teacher  a student as seen by the teacher of one of their classes
+//   admin    any account as seen by an admin
+// Other students (leaderboards, live games) only ever see nameForOthers.
+// The User model's toJSON keeps only the self fields, so a document that is
+// sent as-is never leaks hashes, codes or secrets.
+
+const VIEW_FIELDS = {
+  self: ['_id', 'name', 'firstName', 'lastName', 'email', 'role', 'isEmailVerified', 'guestExpiresAt',
+    'profile', 'preferences', 'privacy', 'twoFactorEnabled', 'identities', 'deletionScheduledFor'],
+  teacher: ['_id', 'name', 'firstName', 'lastName', 'email', 'role'],
+  admin: ['_id', 'name', 'firstName', 'lastName', 'email', 'role', 'isEmailVerified', 'guestExpiresAt',
+    'twoFactorEnabled', 'privacy', 'deletionScheduledFor']
+};
+
+const ANONYMOUS_NAME = 'Anonymous learner';
+
+// User.privacy flags; each replaces the user's name with ANONYMOUS_NAME
+// for other students in the places it names
+const PRIVACY_SETTINGS = ['hideNameOnLeaderboards', 'hideNameFromClassmates'];
+
+const pick = (user, fields) => Object.fromEntries(fields
+  .filter((field) => user[field] !== undefined)
+  .map((field) => [field, user[field]]));
+
+// `user` may be a document or a plain object
+const serializeUser = (user, view = 'self') => {
+  if (!user) return null;
+  return pick(typeof user.toJSON === 'function' ? user.toJSON() : user, VIEW_FIELDS[view]);
+};
+
+// Fields to .select() or populate for a view
+const viewSelect = (view) => VIEW_FIELDS[view].join(' ');
+
+// Name shown to the user's teachers; falls back to the email address
+const displayName = (user) =>
+  [user.firstName, user.lastName].filter(Boolean).join(' ') || user.name || user.email;
+
+// Name shown to other students; never the email address
+const publicName = (user) =>
+  [user.firstName, user.lastName].filter(Boolean).join(' ') || user.name || ANONYMOUS_NAME;
+
+// True when any of the given privacy settings is on
+const hidesName = (user, settings) => settings.some((setting) => !!user?.privacy?.[setting]);
+
+// The name other students see, honouring the user's privacy settings
+const nameForOthers = (user, settings) => (hidesName(user, settings) ? ANONYMOUS_NAME : publicName(user));
+
+module.exports = {
+  VIEW_FIELDS,
+  ANONYMOUS_NAME,
+  PRIVACY_SETTINGS,
+  serializeUser,
+  viewSelect,
+  displayName,
+  publicName,
+  hidesName,
+  nameForOthers
+};
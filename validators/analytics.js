@@ -0,0 +1,32 @@
+const { optional, objectId, idParams, oneOf, integer, dateRange } = require('./common');
+
+const format = optional(oneOf('query', ['json', 'csv'], 'format'));
+
+exports.studentActivity = {
+  ...idParams('userId'),
+  ...dateRange(),
+  interval: optional(oneOf('query', ['day', 'week'], 'interval')),
+  deckId: optional(objectId('query', 'deckId')),
+  format
+};
+
+exports.studentStreak = idParams('userId');
+
+exports.hardestCards = {
+  ...idParams('deckId'),
+  ...dateRange(),
+  limit: optional(integer('query', 'limit', { min: 1, max: 100 })),
+  classId: optional(objectId('query', 'classId')),
+  format
+};
+
+exports.classMastery = {
+  ...idParams('classId'),
+  ...dateRange(),
+  format
+};
+
+exports.classStreaks = {
+  ...idParams('classId'),
+  format
+};
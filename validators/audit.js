@@ -0,0 +1,16 @@
+const { optional, objectId, integer, text, pagination, dateRange } = require('./common');
+const { MIN_RETENTION_DAYS } = require('../utils/audit');
+
+exports.listAuditLogs = {
+  ...pagination(200),
+  ...dateRange(),
+  actor: optional(objectId('query', 'actor')),
+  targetId: optional(objectId('query', 'targetId')),
+  action: optional(text('query', 'action', { max: 100 })),
+  targetType: optional(text('query', 'targetType', { max: 50 })),
+  ip: optional(text('query', 'ip', { max: 64 }))
+};
+
+exports.updateRetention = {
+  retentionDays: integer('body', 'retentionDays', { min: MIN_RETENTION_DAYS })
+};
@@ -0,0 +1,84 @@
+const { optional, oneOf, text, token, password, email } = require('./common');
+
+// Roles anyone may sign up with; admins are promoted by another admin
+const SIGNUP_ROLES = ['student', 'teacher'];
+
+const names = {
+  name: optional(text('body', 'name', { max: 100 })),
+  firstName: optional(text('body', 'firstName', { max: 50 })),
+  lastName: optional(text('body', 'lastName', { max: 50 }))
+};
+
+// At least one of `fields` must be present
+const eitherOf = (fields, message) => ({
+  in: ['body'],
+  custom: {
+    options: (value, { req }) => fields.some((field) => req.body[field] !== undefined && req.body[field] !== ''),
+    errorMessage: message
+  }
+});
+
+exports.register = {
+  ...names,
+  email: email(),
+  password: password(),
+  role: optional(oneOf('body', SIGNUP_ROLES, 'role'))
+};
+
+exports.login = {
+  email: email(),
+  password: token('body', 'password')
+};
+
+exports.sendOtp = {
+  email: email()
+};
+
+exports.verifyOtp = {
+  email: email(),
+  otp: token('body', 'otp')
+};
+
+exports.resetPassword = {
+  email: email(),
+  newPassword: password('newPassword'),
+  otp: eitherOf(['otp', 'resetToken'], 'otp or resetToken is required'),
+  resetToken: optional(token('body', 'resetToken'))
+};
+
+// Either a Google tokenId, or an email and password
+exports.convertGuest = {
+  ...names,
+  tokenId: {
+    in: ['body'],
+    custom: {
+      options: (value, { req }) => (value === undefined
+        ? req.body.email !== undefined && req.body.password !== undefined
+        : typeof value === 'string' && value !== ''),
+      errorMessage: 'Provide a Google tokenId, or an email and password'
+    }
+  },
+  email: optional(email()),
+  password: optional(password())
+};
+
+exports.googleSignIn = {
+  tokenId: token('body', 'tokenId')
+};
+
+exports.verifyTwoFactor = {
+  challengeToken: token('body', 'challengeToken'),
+  token: eitherOf(['token', 'backupCode'], 'token or backupCode is required'),
+  backupCode: optional(token('body', 'backupCode'))
+};
+
+exports.verifyEmail = {
+  token: token('query', 'token')
+};
+
+exports.refreshToken = {
+  refreshToken: token('body', 'refreshToken')
+};
+
+exports.SIGNUP_ROLES = SIGNUP_ROLES;
+exports.password = password;
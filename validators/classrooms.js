@@ -0,0 +1,51 @@
+const { optional, objectId, idParams, text, token, boolean, date } = require('./common');
+
+// An empty or null dueAt clears the due date
+const dueAt = { ...date('body', 'dueAt'), optional: { options: { values: 'falsy' } } };
+
+exports.listClassrooms = {
+  all: optional(boolean('query', 'all')),
+  archived: optional(boolean('query', 'archived'))
+};
+
+exports.classParam = idParams('classId');
+
+exports.createClassroom = {
+  name: text('body', 'name', { max: 100 }),
+  description: optional(text('body', 'description', { min: 0, max: 1000 }))
+};
+
+exports.updateClassroom = {
+  ...idParams('classId'),
+  name: optional(text('body', 'name', { max: 100 })),
+  description: optional(text('body', 'description', { min: 0, max: 1000 }))
+};
+
+exports.joinClassroom = {
+  joinCode: token('body', 'joinCode')
+};
+
+exports.removeStudent = idParams('classId', 'studentId');
+
+exports.transferOwnership = {
+  ...idParams('classId'),
+  teacherId: objectId('body', 'teacherId')
+};
+
+exports.setArchived = {
+  ...idParams('classId'),
+  archived: optional(boolean('body', 'archived'))
+};
+
+exports.assignDeck = {
+  ...idParams('classId'),
+  deckId: objectId('body', 'deckId'),
+  dueAt
+};
+
+exports.updateAssignment = {
+  ...idParams('classId', 'assignmentId'),
+  dueAt
+};
+
+exports.assignmentParams = idParams('classId', 'assignmentId');
@@ -0,0 +1,122 @@
+// Building blocks for the express-validator schemas in validators/*.
+// Each helper returns one field's schema; spread `optional()` over it for
+// fields that may be left out.
+
+const optional = (field) => ({ ...field, optional: { options: { values: 'undefined' } } });
+
+const objectId = (location, label) => ({
+  in: [location],
+  isMongoId: { errorMessage: `${label} must be a valid id` }
+});
+
+// { deckId: ..., cardId: ... } for ids in the path
+const idParams = (...names) => Object.fromEntries(names.map((name) => [name, objectId('params', name)]));
+
+const idList = (location, label, max = 500) => ({
+  in: [location],
+  isArray: { options: { min: 1, max }, errorMessage: `${label} must be a list of 1 to ${max} ids` }
+});
+
+const oneOf = (location, values, label) => ({
+  in: [location],
+  isIn: { options: [values], errorMessage: `${label} must be one of: ${values.join(', ')}` }
+});
+
+const integer = (location, label, { min, max } = {}) => {
+  const range = min !== undefined && max !== undefined ? ` from ${min} to ${max}`
+    : min !== undefined ? ` of at least ${min}`
+      : max !== undefined ? ` of at most ${max}` : '';
+  return {
+    in: [location],
+    isInt: { options: { min, max }, errorMessage: `${label} must be an integer${range}` },
+    ...(location === 'body' && { toInt: true })
+  };
+};
+
+const text = (location, label, { min = 1, max = 200 } = {}) => ({
+  in: [location],
+  isString: { errorMessage: `${label} must be a string`, bail: true },
+  trim: true,
+  isLength: {
+    options: { min, max },
+    errorMessage: min > 0 ? `${label} must be ${min} to ${max} characters` : `${label} cannot exceed ${max} characters`
+  }
+});
+
+// Present and a string; for secrets, codes and tokens that are checked elsewhere
+const token = (location, label) => ({
+  in: [location],
+  isString: { errorMessage: `${label} is required`, bail: true },
+  notEmpty: { errorMessage: `${label} is required` }
+});
+
+// JSON booleans in the body; the strings "true"/"false" elsewhere
+const boolean = (location, label) => (location === 'body'
+  ? { in: [location], isBoolean: { options: { strict: true }, errorMessage: `${label} must be true or false` }, toBoolean: true }
+  : { in: [location], isIn: { options: [['true', 'false']], errorMessage: `${label} must be true or false` } });
+
+// A new password: the one rule for registration, reset, guest conversion,
+// change-password and adding a password. Logins only check presence (token).
+const MIN_PASSWORD_LENGTH = 8;
+const password = (label = 'password') => ({
+  in: ['body'],
+  isString: { errorMessage: `${label} is required`, bail: true },
+  isLength: { options: { min: MIN_PASSWORD_LENGTH, max: 128 }, errorMessage: `${label} must be ${MIN_PASSWORD_LENGTH} to 128 characters` },
+  matches: {
+    options: [/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/],
+    errorMessage: `${label} must contain at least one uppercase letter, one lowercase letter, one number and one special character`
+  }
+});
+
+const date = (location, label) => ({
+  in: [location],
+  isISO8601: { errorMessage: `${label} must be an ISO 8601 date` }
+});
+
+const email = (location = 'body') => ({
+  in: [location],
+  isString: { errorMessage: 'email is required', bail: true },
+  trim: true,
+  isEmail: { errorMessage: 'email must be a valid email address' }
+});
+
+const list = (location, label, { max = 100 } = {}) => ({
+  in: [location],
+  isArray: { options: { max }, errorMessage: `${label} must be a list of at most ${max} items` }
+});
+
+const object = (location, label) => ({
+  in: [location],
+  isObject: { options: { strict: true }, errorMessage: `${label} must be an object` }
+});
+
+// ?page=&limit= as read by utils/deckListing readPage
+const pagination = (maxLimit = 100) => ({
+  page: optional(integer('query', 'page', { min: 1 })),
+  limit: optional(integer('query', 'limit', { min: 1, max: maxLimit }))
+});
+
+// ?from=&to= date ranges
+const dateRange = () => ({
+  from: optional(date('query', 'from')),
+  to: optional(date('query', 'to'))
+});
+
+module.exports = {
+  optional,
+  objectId,
+  idParams,
+  idList,
+  oneOf,
+  integer,
+  text,
+  token,
+  password,
+  boolean,
+  date,
+  email,
+  list,
+  object,
+  pagination,
+  dateRange
+};
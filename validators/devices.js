@@ -0,0 +1,19 @@
+const { optional, objectId, idParams, text } = require('./common');
+
+exports.startPairing = {
+  name: optional(text('body', 'name', { max: 50 }))
+};
+
+exports.deviceParam = idParams('deviceId');
+
+exports.updateDevice = {
+  ...idParams('deviceId'),
+  name: optional(text('body', 'name', { max: 50 })),
+  // null clears the active deck
+  activeDeckId: { ...objectId('body', 'activeDeckId'), optional: { options: { values: 'null' } } }
+};
+
+exports.pushCard = {
+  ...idParams('deviceId'),
+  flashcardId: objectId('body', 'flashcardId')
+};
@@ -0,0 +1,156 @@
+const { optional, objectId, idParams, oneOf, integer, text, boolean, list, object, pagination } = require('./common');
+const { NOTE_TYPES: CARD_TYPES } = require('../utils/notes');
+const { FORMATS } = require('../utils/deckFormats');
+const { MAX_SIZE } = require('../utils/media');
+const { MAX_MARKDOWN_LENGTH } = require('../utils/richContent');
+
+const VISIBILITIES = ['private', 'class', 'public'];
+
+// Tags and grade levels may be a list or a comma-separated string; utils/tags
+// and utils/taxonomy check the values themselves
+const listOrString = (label) => ({
+  in: ['body'],
+  custom: {
+    options: (value) => Array.isArray(value) || typeof value === 'string',
+    errorMessage: `${label} must be a list or a comma-separated string`
+  }
+});
+
+const deckFields = {
+  description: optional(text('body', 'description', { min: 0, max: 2000 })),
+  visibility: optional(oneOf('body', VISIBILITIES, 'visibility')),
+  tags: optional(listOrString('tags')),
+  topics: optional(list('body', 'topics')),
+  'topics.*': objectId('body', 'topics'),
+  gradeLevels: optional(listOrString('gradeLevels'))
+};
+
+// Plain question/answer from older clients; rich content is checked by utils/cardContent
+const cardFields = {
+  question: optional(text('body', 'question', { min: 0, max: MAX_MARKDOWN_LENGTH })),
+  answer: optional(text('body', 'answer', { min: 0, max: MAX_MARKDOWN_LENGTH })),
+  content: optional(object('body', 'content')),
+  attachments: optional(list('body', 'attachments', { max: 10 })),
+  tags: optional(listOrString('tags')),
+  isMicrobit: optional(boolean('body', 'isMicrobit'))
+};
+
+const noteFields = {
+  tags: optional(listOrString('tags')),
+  isMicrobit: optional(boolean('body', 'isMicrobit')),
+  options: optional(list('body', 'options', { max: 10 })),
+  correctOption: optional(integer('body', 'correctOption', { min: 0 }))
+};
+
+const cardType = optional(oneOf('query', CARD_TYPES, 'type'));
+
+exports.listDecks = {
+  ...pagination(),
+  q: optional(text('query', 'q', { max: 200 })),
+  mine: optional(boolean('query', 'mine')),
+  topic: optional(objectId('query', 'topic')),
+  gradeLevel: optional(text('query', 'gradeLevel', { max: 20 }))
+};
+
+exports.deckParam = idParams('deckId');
+
+exports.createDeck = {
+  title: text('body', 'title'),
+  ...deckFields
+};
+
+exports.updateDeck = {
+  ...idParams('deckId'),
+  title: optional(text('body', 'title')),
+  ...deckFields
+};
+
+exports.reorderFlashcards = {
+  ...idParams('deckId'),
+  cardIds: { in: ['body'], isArray: { errorMessage: 'cardIds must be a list of card ids', bail: true } },
+  'cardIds.*': objectId('body', 'cardIds')
+};
+
+exports.importDeck = {
+  format: optional(oneOf('query', FORMATS, 'format')),
+  title: optional(text('query', 'title')),
+  description: optional(text('query', 'description', { min: 0, max: 2000 }))
+};
+
+exports.importIntoDeck = {
+  ...idParams('deckId'),
+  format: optional(oneOf('query', FORMATS, 'format'))
+};
+
+exports.exportDeck = {
+  ...idParams('deckId'),
+  format: optional(oneOf('query', FORMATS, 'format'))
+};
+
+exports.listMedia = {
+  kind: optional(oneOf('query', Object.keys(MAX_SIZE), 'kind'))
+};
+
+exports.mediaParam = idParams('mediaId');
+
+exports.addFlashcard = {
+  deckId: objectId('body', 'deckId'),
+  ...cardFields
+};
+
+exports.updateFlashcard = {
+  ...idParams('cardId'),
+  ...cardFields
+};
+
+exports.cardParam = idParams('cardId');
+
+exports.moveFlashcard = {
+  ...idParams('cardId'),
+  deckId: objectId('body', 'deckId')
+};
+
+exports.createNote = {
+  deckId: objectId('body', 'deckId'),
+  type: oneOf('body', CARD_TYPES, 'type'),
+  ...noteFields
+};
+
+exports.updateNote = {
+  ...idParams('noteId'),
+  type: optional(oneOf('body', CARD_TYPES, 'type')),
+  ...noteFields
+};
+
+exports.noteParam = idParams('noteId');
+
+exports.moveNote = {
+  ...idParams('noteId'),
+  deckId: objectId('body', 'deckId')
+};
+
+exports.getDeckFlashcards = {
+  ...idParams('deckId'),
+  type: cardType
+};
+
+exports.getDueFlashcards = {
+  ...idParams('deckId'),
+  newLimit: optional(integer('query', 'newLimit', { min: 0 }))
+};
+
+exports.reviewFlashcard = {
+  flashcardId: objectId('body', 'flashcardId'),
+  grade: integer('body', 'grade', { min: 0, max: 5 })
+};
+
+exports.markErrorCard = {
+  flashcardId: objectId('body', 'flashcardId'),
+  response: optional(text('body', 'response', { min: 0, max: 1000 })),
+  selectedOption: optional(integer('body', 'selectedOption', { min: 0 }))
+};
+
+exports.getUserErrorCards = {
+  ...idParams('userId'),
+  type: cardType
+};
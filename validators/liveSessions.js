@@ -0,0 +1,15 @@
+const { optional, objectId, idParams, integer } = require('./common');
+
+const MAX_QUESTIONS = 50;
+
+exports.createLiveSession = {
+  deckId: objectId('body', 'deckId'),
+  questionCount: optional(integer('body', 'questionCount', { min: 1, max: MAX_QUESTIONS })),
+  questionTimeSeconds: optional(integer('body', 'questionTimeSeconds', { min: 5, max: 300 }))
+};
+
+exports.sessionParam = idParams('sessionId');
+
+exports.listSessions = {
+  limit: optional(integer('query', 'limit', { min: 1, max: 100 }))
+};
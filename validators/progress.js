@@ -0,0 +1,11 @@
+const { optional, idParams, oneOf, integer } = require('./common');
+const { WINDOWS, MAX_LIMIT } = require('../utils/leaderboards');
+
+exports.leaderboard = {
+  window: optional(oneOf('query', WINDOWS, 'window')),
+  limit: optional(integer('query', 'limit', { min: 1, max: MAX_LIMIT }))
+};
+
+exports.classLeaderboard = { ...idParams('classId'), ...exports.leaderboard };
+
+exports.deckLeaderboard = { ...idParams('deckId'), ...exports.leaderboard };
@@ -0,0 +1,30 @@
+const { optional, objectId, idParams, oneOf, integer, pagination } = require('./common');
+const { QUESTION_TYPES } = require('../utils/quizBuilder');
+
+const MAX_QUESTIONS = 100;
+const MAX_DECKS = 20;
+
+exports.startQuiz = {
+  deckIds: {
+    in: ['body'],
+    isArray: { options: { min: 1, max: MAX_DECKS }, errorMessage: `deckIds must list 1 to ${MAX_DECKS} decks`, bail: true }
+  },
+  'deckIds.*': objectId('body', 'deckIds'),
+  questionCount: optional(integer('body', 'questionCount', { min: 1, max: MAX_QUESTIONS })),
+  types: optional({
+    in: ['body'],
+    isArray: { options: { min: 1 }, errorMessage: `types must be a list of: ${QUESTION_TYPES.join(', ')}`, bail: true }
+  }),
+  'types.*': oneOf('body', QUESTION_TYPES, 'types'),
+  timeLimitSeconds: optional(integer('body', 'timeLimitSeconds', { min: 1 })),
+  questionTimeLimitSeconds: optional(integer('body', 'questionTimeLimitSeconds', { min: 1 }))
+};
+
+exports.listAttempts = pagination();
+
+exports.attemptParam = idParams('attemptId');
+
+exports.answerQuestion = {
+  ...idParams('attemptId'),
+  questionIndex: integer('body', 'questionIndex', { min: 0 })
+};
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const { optional, objectId, oneOf, text, boolean, pagination } = require('./common');
+const { NOTE_TYPES: CARD_TYPES } = require('../utils/notes');
+const { normalizeTags } = require('../utils/tags');
+
+const SCOPES = ['all', 'decks', 'cards'];
+
+exports.search = {
+  q: text('query', 'q', { max: 200 }),
+  scope: optional(oneOf('query', SCOPES, 'scope')),
+  deckId: optional(objectId('query', 'deckId')),
+  owner: optional({
+    in: ['query'],
+    custom: {
+      options: (value) => value === 'me' || mongoose.isValidObjectId(value),
+      errorMessage: 'owner must be a user id or "me"'
+    }
+  }),
+  type: optional(oneOf('query', CARD_TYPES, 'type')),
+  isMicrobit: optional(boolean('query', 'isMicrobit')),
+  // ?tags=a,b or a repeated ?tags=, held to the same rules as saved tags
+  tags: optional({
+    in: ['query'],
+    custom: {
+      options: (value) => {
+        const { error } = normalizeTags(value);
+        if (error) throw new Error(error);
+        return true;
+      }
+    }
+  }),
+  ...pagination(50)
+};
@@ -0,0 +1,23 @@
+const { optional, text, pagination } = require('./common');
+
+const slugParam = { slug: { in: ['params'], isLength: { options: { max: 50 }, errorMessage: 'slug cannot exceed 50 characters' } } };
+
+exports.listTags = {
+  ...pagination(),
+  q: optional(text('query', 'q', { max: 50 }))
+};
+
+exports.listTagDecks = { ...slugParam, ...pagination() };
+
+exports.tagParam = slugParam;
+
+// The new slug shares its name with the path parameter
+exports.updateTag = [slugParam, {
+  slug: optional(text('body', 'slug', { max: 50 })),
+  name: optional(text('body', 'name', { max: 50 }))
+}];
+
+exports.mergeTag = {
+  ...slugParam,
+  into: text('body', 'into', { max: 50 })
+};
@@ -0,0 +1,34 @@
+const { optional, objectId, idParams, integer, text, pagination } = require('./common');
+
+// An empty or null parent files the node at the top, as a subject
+const parent = { ...objectId('body', 'parent'), optional: { options: { values: 'falsy' } } };
+
+const nodeFields = {
+  description: optional(text('body', 'description', { min: 0, max: 1000 })),
+  position: optional(integer('body', 'position')),
+  parent
+};
+
+const gradeLevel = optional(text('query', 'gradeLevel', { max: 20 }));
+
+exports.getTree = { gradeLevel };
+
+exports.getNode = { ...idParams('nodeId'), gradeLevel };
+
+exports.listNodeDecks = { ...idParams('nodeId'), gradeLevel, ...pagination() };
+
+exports.createNode = {
+  name: text('body', 'name', { max: 100 }),
+  ...nodeFields
+};
+
+exports.updateNode = {
+  ...idParams('nodeId'),
+  name: optional(text('body', 'name', { max: 100 })),
+  ...nodeFields
+};
+
+exports.deleteNode = {
+  ...idParams('nodeId'),
+  reassignTo: optional(objectId('query', 'reassignTo'))
+};
@@ -0,0 +1,86 @@
+const { optional, text, token, password, boolean, object, objectId } = require('./common');
+const { isSupportedProvider } = require('../utils/identities');
+const { PRIVACY_SETTINGS } = require('../utils/users');
+
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: value });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+const totp = {
+  in: ['body'],
+  isString: { errorMessage: 'Token must be 6 digits', bail: true },
+  matches: { options: [/^\d{6}$/], errorMessage: 'Token must be 6 digits' }
+};
+
+exports.updateProfile = {
+  firstName: optional(text('body', 'firstName', { min: 2, max: 50 })),
+  lastName: optional(text('body', 'lastName', { min: 2, max: 50 })),
+  email: optional({
+    in: ['body'],
+    isEmail: { errorMessage: 'Please enter a valid email' },
+    normalizeEmail: true
+  }),
+  profile: optional(object('body', 'profile')),
+  'profile.phone': optional({ in: ['body'], isMobilePhone: { errorMessage: 'Please enter a valid phone number' } }),
+  'profile.bio': optional({ in: ['body'], isString: { errorMessage: 'Bio must be text', bail: true }, isLength: { options: { max: 500 }, errorMessage: 'Bio cannot exceed 500 characters' } }),
+  'profile.avatar': optional({ in: ['body'], isURL: { errorMessage: 'Avatar must be a URL' } }),
+  preferences: optional(object('body', 'preferences')),
+  'preferences.language': optional(text('body', 'preferences.language', { min: 2, max: 10 })),
+  'preferences.timezone': optional({ in: ['body'], custom: { options: isTimeZone, errorMessage: 'Unknown timezone' } }),
+  'preferences.emailNotifications': optional(boolean('body', 'preferences.emailNotifications')),
+  privacy: optional(object('body', 'privacy')),
+  ...Object.fromEntries(PRIVACY_SETTINGS.map((setting) => [`privacy.${setting}`, optional(boolean('body', `privacy.${setting}`))]))
+};
+
+exports.changePassword = {
+  currentPassword: token('body', 'Current password'),
+  newPassword: password('newPassword')
+};
+
+exports.setPassword = {
+  newPassword: password('newPassword')
+};
+
+exports.linkGoogle = {
+  tokenId: token('body', 'Google ID token')
+};
+
+exports.unlinkIdentity = {
+  provider: { in: ['params'], custom: { options: isSupportedProvider, errorMessage: 'Unknown identity provider' } }
+};
+
+exports.verifyTwoFactorSetup = {
+  token: totp
+};
+
+// Which of these is needed depends on the account (confirmAccountOwner in routes/user.js)
+const ownerConfirmation = {
+  password: optional(token('body', 'Password')),
+  tokenId: optional(token('body', 'Google ID token')),
+  code: optional(token('body', 'code'))
+};
+
+exports.disableTwoFactor = {
+  ...ownerConfirmation,
+  token: totp
+};
+
+exports.regenerateBackupCodes = {
+  token: totp
+};
+
+exports.deleteAccount = {
+  ...ownerConfirmation,
+  confirmDelete: { in: ['body'], equals: { options: 'DELETE', errorMessage: 'Please type DELETE to confirm' } }
+};
+
+exports.revokeSession = {
+  sessionId: objectId('params', 'sessionId')
+};
+
+exports.isTimeZone = isTimeZone;